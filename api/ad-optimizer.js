@@ -1,28 +1,422 @@
 // api/ad-optimizer.js
-const { Parser } = require("json2csv");
+/**
+ * Ad Optimizer Endpoint
+ * Ranks the ads of a customer, campaign or ad group by CTR, conversion rate and CPA,
+ * runs significance tests between ads in the same ad group and labels each ad
+ * winner / loser / insufficient_data, with recommended actions (pause losers,
+ * write new variants based on winners)
+ *
+ * Posting an `ads` array without customer_id keeps the original behavior:
+ * the ads are validated and returned as optimized_ads.csv
+ */
 
-module.exports = async (req, res) => {
-  if (req.method !== "POST") {
-    return res.status(405).json({ error: "Method not allowed" });
+const { validateAsset, getBannedPhrases } = require("../utils/ad-copy-validator");
+const { sendErrorResponse } = require("../utils/error-logger");
+const { readConnectionId } = require("../utils/credential-vault");
+const { parseId, GaqlValidationError } = require("../utils/gaql-builder");
+const { getAccessTokenFromRefresh, executeGAQLQuery, normalizeCustomerId } = require("../utils/google-ads-api");
+const { readCachePolicy } = require("../utils/gaql-cache");
+const { DATE_RANGE_PRESETS, parseDateRangeParams, resolveRangeBounds } = require("../utils/date-range");
+const { buildAdGroupAdQuery, RSA_FIELDS } = require("../utils/ad-group-ads");
+const { LABELS, METRICS, DEFAULT_THRESHOLDS, evaluateAdGroup } = require("../utils/ad-significance");
+const { generateAdVariant } = require("../utils/ad-generator");
+const { sendExport } = require("../utils/report-export");
+const { logger, withRequestLogging } = require("../utils/logger");
+const { bodyProperties } = require("../utils/openapi");
+
+const CONFIDENCE_LEVELS = [0.8, 0.9, 0.95, 0.99];
+const LEGACY_CSV_COLUMNS = ["Headline", "Description", "CTA"];
+
+/**
+ * Validates posted ads and exports them as CSV (original behavior)
+ * @param {Object} req - Request object (ads in req.body)
+ * @param {Object} res - Response object
+ * @returns {Promise<Object|void>} CSV download, or a 400/422 response
+ */
+async function exportAdsCsv(req, res) {
+  const { ads = [], auto_truncate, banned_phrases } = req.body;
+
+  if (!Array.isArray(ads) || ads.length === 0) {
+    return res.status(400).json({ error: "Missing or invalid ads array" });
+  }
+
+  // Check every headline/description against Google's limits and editorial rules
+  const options = {
+    autoTruncate: auto_truncate === true || auto_truncate === "true",
+    bannedPhrases: getBannedPhrases(banned_phrases),
+  };
+  const violations = [];
+  const truncated = [];
+  const checkedAds = ads.map((ad, i) => {
+    const checked = { ...ad };
+    [["Headline", "headline"], ["Description", "description"]].forEach(([key, type]) => {
+      if (ad[key] === undefined) return;
+      const result = validateAsset(`ads[${i}].${key}`, ad[key], type, options);
+      violations.push(...result.violations);
+      if (result.truncated) truncated.push(`ads[${i}].${key}`);
+      checked[key] = result.text;
+    });
+    return checked;
+  });
+
+  if (violations.some(v => v.severity === "error")) {
+    return res.status(422).json({ error: "Ad copy validation failed", violations, truncated });
+  }
+
+  if (truncated.length > 0) {
+    res.setHeader("X-Ad-Copy-Truncated", truncated.join(","));
+  }
+
+  // Ensure ads have consistent fields
+  await sendExport(res, {
+    format: "csv",
+    rows: checkedAds.map(ad => Object.fromEntries(LEGACY_CSV_COLUMNS.map(column => [column, ad[column]]))),
+    columns: LEGACY_CSV_COLUMNS,
+    filename: "optimized_ads",
+  });
+}
+
+/**
+ * Reads a non-negative integer threshold, falling back to the default
+ * @param {*} value - Raw value
+ * @param {string} name - Parameter name used in errors
+ * @returns {number} Threshold
+ */
+function parseThreshold(value, name) {
+  if (value === undefined || value === null || value === "") return DEFAULT_THRESHOLDS[name];
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new GaqlValidationError(`${name} must be a non-negative integer`);
+  }
+  return number;
+}
+
+/**
+ * Groups ad_group_ad rows into ad groups with per-ad metrics and RSA copy
+ * @param {Array<Object>} rows - GAQL result rows
+ * @returns {Array<Object>} Ad groups with ads
+ */
+function groupAdsByAdGroup(rows) {
+  const adGroups = new Map();
+
+  rows.forEach(r => {
+    const adGroupId = r.ad_group?.id?.toString();
+    const adId = r.ad_group_ad?.ad?.id?.toString();
+    if (!adGroupId || !adId) return;
+
+    if (!adGroups.has(adGroupId)) {
+      adGroups.set(adGroupId, {
+        id: adGroupId,
+        name: r.ad_group?.name || "Unnamed Ad Group",
+        campaign_id: r.campaign?.id?.toString() || null,
+        campaign_name: r.campaign?.name || "Unnamed Campaign",
+        ads: [],
+      });
+    }
+
+    const rsa = r.ad_group_ad.ad.responsive_search_ad;
+    adGroups.get(adGroupId).ads.push({
+      id: adId,
+      name: r.ad_group_ad.ad.name || "Unnamed Ad",
+      type: r.ad_group_ad.ad.type || "UNKNOWN",
+      status: r.ad_group_ad.status || "UNKNOWN",
+      headlines: rsa?.headlines?.map(h => h.text) || [],
+      descriptions: rsa?.descriptions?.map(d => d.text) || [],
+      metrics: {
+        impressions: parseInt(r.metrics?.impressions || 0),
+        clicks: parseInt(r.metrics?.clicks || 0),
+        conversions: parseFloat(r.metrics?.conversions || 0),
+        cost_micros: parseInt(r.metrics?.cost_micros || 0),
+      },
+    });
+  });
+
+  return Array.from(adGroups.values());
+}
+
+/**
+ * Builds the recommended actions for an evaluated ad group
+ * Loser pauses are ready to post to /api/mutate-status
+ * @param {Object} adGroup - Ad group with evaluated ads
+ * @param {string} metric - Metric used for labels
+ * @returns {Array<Object>} Recommendations
+ */
+function recommendActions(adGroup, metric) {
+  const winner = adGroup.ads.find(ad => ad.label === LABELS.WINNER);
+  const recommendations = [];
+
+  adGroup.ads.filter(ad => ad.label === LABELS.LOSER).forEach(ad => {
+    recommendations.push({
+      action: "pause_ad",
+      ad_group_id: adGroup.id,
+      ad_id: ad.id,
+      reason: ad.reason,
+      operation: { resource: "ad_group_ad", ad_group_id: adGroup.id, ad_id: ad.id, status: "PAUSED" },
+    });
+  });
+
+  if (winner) {
+    recommendations.push({
+      action: "create_variant",
+      ad_group_id: adGroup.id,
+      based_on_ad_id: winner.id,
+      reason: `Test new copy against the ${metric} winner`,
+      reference_copy: { headlines: winner.headlines, descriptions: winner.descriptions },
+    });
   }
 
+  return recommendations;
+}
+
+/**
+ * Ranks ads from Google Ads performance data and recommends actions
+ * @param {Object} req - Request object (customer_id and ranking options in req.body)
+ * @param {Object} res - Response object
+ * @returns {Promise<Object>} Result of res.json
+ */
+async function optimizeFromPerformance(req, res) {
+  const context = "POST /api/ad-optimizer";
+
   try {
-    const { ads = [] } = req.body;
+    const body = req.body || {};
+    const {
+      customer_id,
+      login_customer_id,
+      campaign_id,
+      ad_group_id,
+      metric = "ctr",                 // ctr | conversion_rate | cpa - used for labels and sort order
+      confidence = 0.95,              // 0.8 | 0.9 | 0.95 | 0.99
+      date_range,                     // DURING preset, default LAST_30_DAYS
+      start_date,                     // Custom range (YYYY-MM-DD), overrides date_range
+      end_date,
+      generate_variants,              // true = write a new variant for each winner
+      product_name,                   // Used for generated variants (defaults to the ad group name)
+      banned_phrases,
+    } = body;
+
+    const { connectionId, error: connectionError } = readConnectionId(req);
+    if (connectionError) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid credentials",
+        message: connectionError,
+      });
+    }
+
+    if (!customer_id || !connectionId) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required parameters",
+        message: "Both customer_id and connection_id are required",
+      });
+    }
+
+    if (!Object.keys(METRICS).includes(metric)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid metric",
+        message: `metric must be one of: ${Object.keys(METRICS).join(", ")}`,
+      });
+    }
+
+    const { range, error: rangeError } = parseDateRangeParams({ date_range, start_date, end_date });
+    if (rangeError) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid date range",
+        message: rangeError,
+      });
+    }
+
+    // Validate everything before any API call
+    const normalizedCustomerId = normalizeCustomerId(customer_id, "customer_id");
+    const mccId = login_customer_id ? normalizeCustomerId(login_customer_id, "login_customer_id") : null;
+    const normalizedCampaignId = campaign_id ? parseId(campaign_id, "campaign_id") : null;
+    const normalizedAdGroupId = ad_group_id ? parseId(ad_group_id, "ad_group_id") : null;
+    const confidenceLevel = Number(confidence);
+    if (!CONFIDENCE_LEVELS.includes(confidenceLevel)) {
+      throw new GaqlValidationError(`confidence must be one of: ${CONFIDENCE_LEVELS.join(", ")}`);
+    }
+    const thresholds = {
+      min_impressions: parseThreshold(body.min_impressions, "min_impressions"),
+      min_clicks: parseThreshold(body.min_clicks, "min_clicks"),
+      min_conversions: parseThreshold(body.min_conversions, "min_conversions"),
+      zero_conversion_cpa_multiple: parseThreshold(body.zero_conversion_cpa_multiple, "zero_conversion_cpa_multiple"),
+    };
+
+    // Same ad_group_ad retrieval as /api/adgroups, with conversions and RSA copy for enabled ads
+    const query = buildAdGroupAdQuery({
+      campaignId: normalizedCampaignId,
+      adGroupId: normalizedAdGroupId,
+      range,
+      statuses: ["ENABLED"],
+      extraFields: ["metrics.conversions", ...RSA_FIELDS],
+    }).build();
 
-    if (!Array.isArray(ads) || ads.length === 0) {
-      return res.status(400).json({ error: "Missing or invalid ads array" });
+    const accessToken = await getAccessTokenFromRefresh(connectionId);
+    const cache = readCachePolicy(req);
+    const rows = await executeGAQLQuery(normalizedCustomerId, accessToken, query, mccId, connectionId, { cache });
+
+    const adGroups = groupAdsByAdGroup(rows).map(adGroup => {
+      const ads = evaluateAdGroup(adGroup.ads, { metric, confidence: confidenceLevel, thresholds });
+      const winner = ads.find(ad => ad.label === LABELS.WINNER);
+      return { ...adGroup, winner_ad_id: winner ? winner.id : null, ads };
+    });
+
+    const recommendations = adGroups.flatMap(adGroup => recommendActions(adGroup, metric));
+
+    // Optionally write the new variants now instead of leaving it to the caller
+    if (generate_variants === true || generate_variants === "true") {
+      for (const recommendation of recommendations.filter(r => r.action === "create_variant")) {
+        const adGroup = adGroups.find(g => g.id === recommendation.ad_group_id);
+        try {
+          recommendation.variant = await generateAdVariant(
+            { product_name: product_name || adGroup.name, reference_copy: recommendation.reference_copy },
+            { bannedPhrases: banned_phrases, avoid: [...recommendation.reference_copy.headlines, ...recommendation.reference_copy.descriptions] }
+          );
+        } catch (genErr) {
+          // The ranking is still useful without generated copy
+          logger.warn("Variant generation failed", { error: genErr });
+          recommendation.variant_error = genErr.message;
+        }
+      }
     }
 
-    // Ensure ads have consistent fields
-    const parser = new Parser({ fields: ["Headline", "Description", "CTA"] });
-    const csv = parser.parse(ads);
+    const allAds = adGroups.flatMap(adGroup => adGroup.ads);
+    const countLabel = (label) => allAds.filter(ad => ad.label === label).length;
+    const bounds = resolveRangeBounds(range);
+
+    return res.status(200).json({
+      success: true,
+      customer_id: normalizedCustomerId,
+      campaign_id: normalizedCampaignId,
+      ad_group_id: normalizedAdGroupId,
+      metric,
+      confidence: confidenceLevel,
+      thresholds,
+      date_range: range.preset || null,
+      start_date: bounds.start_date,
+      end_date: bounds.end_date,
+      summary: {
+        ad_groups: adGroups.length,
+        ads: allAds.length,
+        winners: countLabel(LABELS.WINNER),
+        losers: countLabel(LABELS.LOSER),
+        insufficient_data: countLabel(LABELS.INSUFFICIENT_DATA),
+      },
+      ad_groups: adGroups,
+      recommendations,
+    });
+
+  } catch (err) {
+    return sendErrorResponse(res, err, context);
+  }
+}
 
-    res.setHeader("Content-Type", "text/csv");
-    res.setHeader("Content-Disposition", "attachment; filename=optimized_ads.csv");
-    return res.status(200).send(csv);
+module.exports = withRequestLogging(async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
 
-  } catch (error) {
-    console.error("Ad Optimizer error:", error.message);
-    return res.status(500).json({ error: "Internal server error", details: error.message });
+  const body = req.body || {};
+  if (!body.customer_id && Array.isArray(body.ads)) {
+    try {
+      return await exportAdsCsv(req, res);
+    } catch (error) {
+      logger.error("Ad Optimizer error", { error });
+      return res.status(500).json({ error: "Internal server error", details: error.message });
+    }
   }
+
+  return optimizeFromPerformance(req, res);
+});
+
+module.exports.spec = {
+  method: "post",
+  operationId: "optimizeAds",
+  summary: "Rank ads and recommend which to pause or iterate on",
+  description: "Ranks the enabled ads of an account, campaign or ad group by CTR, conversion rate or CPA, tests significance within each ad group, labels winners and losers and recommends actions (pause_ad operations for /api/mutate-status).",
+  consequential: false,
+  requestBody: {
+    type: "object",
+    required: ["connection_id", "customer_id"],
+    properties: {
+      connection_id: bodyProperties.connection_id,
+      customer_id: bodyProperties.customer_id,
+      login_customer_id: bodyProperties.login_customer_id,
+      campaign_id: { type: "string" },
+      ad_group_id: { type: "string" },
+      metric: { type: "string", enum: Object.keys(METRICS), default: "ctr" },
+      confidence: { type: "number", enum: CONFIDENCE_LEVELS, default: 0.95 },
+      date_range: { type: "string", enum: DATE_RANGE_PRESETS, default: "LAST_30_DAYS" },
+      start_date: { type: "string", format: "date" },
+      end_date: { type: "string", format: "date" },
+      min_impressions: { type: "integer", minimum: 0, default: DEFAULT_THRESHOLDS.min_impressions },
+      min_clicks: { type: "integer", minimum: 0, default: DEFAULT_THRESHOLDS.min_clicks },
+      min_conversions: { type: "integer", minimum: 0, default: DEFAULT_THRESHOLDS.min_conversions },
+      zero_conversion_cpa_multiple: { type: "integer", minimum: 0, default: DEFAULT_THRESHOLDS.zero_conversion_cpa_multiple, description: "metric=cpa: ads without conversions that spent this many times the ad group CPA are losers" },
+      generate_variants: { type: "boolean", default: false, description: "true writes a new ad variant for each winner" },
+      product_name: { type: "string", description: "Used for generated variants (defaults to the ad group name)" },
+      banned_phrases: bodyProperties.banned_phrases,
+    },
+  },
+  response: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      metric: { type: "string" },
+      confidence: { type: "number" },
+      start_date: { type: "string", format: "date" },
+      end_date: { type: "string", format: "date" },
+      summary: {
+        type: "object",
+        properties: {
+          ad_groups: { type: "integer" },
+          ads: { type: "integer" },
+          winners: { type: "integer" },
+          losers: { type: "integer" },
+          insufficient_data: { type: "integer" },
+        },
+      },
+      ad_groups: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            name: { type: "string" },
+            winner_ad_id: { type: ["string", "null"] },
+            ads: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  id: { type: "string" },
+                  label: { type: "string", enum: Object.values(LABELS) },
+                  reason: { type: "string" },
+                  metrics: { type: "object", additionalProperties: { type: ["number", "null"] } },
+                  ranks: { type: "object", additionalProperties: { type: ["integer", "null"] } },
+                },
+              },
+            },
+          },
+        },
+      },
+      recommendations: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            action: { type: "string", enum: ["pause_ad", "create_variant"] },
+            ad_group_id: { type: "string" },
+            ad_id: { type: "string" },
+            reason: { type: "string" },
+            operation: { type: "object", description: "pause_ad: post as an operation to /api/mutate-status" },
+            reference_copy: { type: "object", description: "create_variant: the winner's headlines and descriptions" },
+            variant: { type: "object", description: "Generated copy when generate_variants is true" },
+          },
+        },
+      },
+    },
+  },
 };
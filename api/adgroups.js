@@ -2,126 +2,156 @@
 /**
  * Ad Group / Ad Data Retrieval Endpoint
  * Retrieves ad groups and ads nested under campaigns
+ * Supports page_size/cursor pagination over ad groups (next_cursor in response)
+ * format=ndjson streams one line per ad (ad_group_ad rows only) as rows arrive
+ * format=csv|xlsx exports every ad group with one row per ad (ad_group.* and ad.* columns)
  */
 
-const { logAndRespond, extractGoogleAdsError } = require('../utils/error-logger');
-const { getAccessTokenFromRefresh, executeGAQLQuery, normalizeCustomerId } = require('../utils/google-ads-api');
-
-module.exports = async (req, res) => {
+const { sendErrorResponse } = require('../utils/error-logger');
+const { readConnectionId } = require('../utils/credential-vault');
+const { gaql, parseId } = require('../utils/gaql-builder');
+const { getAccessTokenFromRefresh, executeGAQLQuery, streamGAQLQuery, normalizeCustomerId } = require('../utils/google-ads-api');
+const { readCachePolicy } = require('../utils/gaql-cache');
+const { parsePaginationParams, paginate } = require('../utils/pagination');
+const { streamNdjson } = require('../utils/ndjson');
+const { parseExportParams, flattenNested, sendExport } = require('../utils/report-export');
+const { buildAdGroupAdQuery, toAdRow, RSA_FIELDS } = require('../utils/ad-group-ads');
+const { logger, withRequestLogging } = require('../utils/logger');
+const { params, paginatedResponse } = require('../utils/openapi');
+
+const DEFAULT_PAGE_SIZE = 500;
+
+const EXPORT_COLUMNS = [
+  'ad_group.id',
+  'ad_group.name',
+  'ad_group.status',
+  'ad_group.type',
+  'ad.id',
+  'ad.name',
+  'ad.type',
+  'ad.status',
+  'ad.metrics.impressions',
+  'ad.metrics.clicks',
+  'ad.metrics.ctr',
+  'ad.metrics.cost',
+];
+
+module.exports = withRequestLogging(async (req, res) => {
   const context = 'GET /api/adgroups';
   
   try {
-    const { customer_id, refresh_token, campaign_id, login_customer_id } = req.query;
-    
-    if (!customer_id || !refresh_token) {
+    const { customer_id, campaign_id, login_customer_id } = req.query;
+
+    const { connectionId, error: connectionError } = readConnectionId(req);
+    if (connectionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: connectionError,
+      });
+    }
+
+    if (!customer_id || !connectionId) {
       return res.status(400).json({
         success: false,
         error: 'Missing required parameters',
-        message: 'Both customer_id and refresh_token are required',
+        message: 'Both customer_id and connection_id are required',
+      });
+    }
+
+    const exportParams = parseExportParams(req.query);
+    if (exportParams.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: exportParams.error,
       });
     }
 
-    // Normalize customer ID (remove dashes)
-    const normalizedCustomerId = normalizeCustomerId(customer_id);
-    const mccId = login_customer_id ? normalizeCustomerId(login_customer_id) : null;
-    console.log(`[DEBUG] /api/adgroups - customer_id: ${normalizedCustomerId}`);
-    console.log(`[DEBUG] /api/adgroups - login_customer_id provided: ${login_customer_id || 'none'}`);
-    console.log(`[DEBUG] /api/adgroups - mccId resolved: ${mccId || 'none (will use env var if set)'}`);
+    const pagination = parsePaginationParams(req.query, DEFAULT_PAGE_SIZE);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pagination parameters',
+        message: pagination.error,
+      });
+    }
 
-    // Get access token
-    const accessToken = await getAccessTokenFromRefresh(refresh_token);
+    // Normalize IDs (remove dashes); malformed IDs are rejected before any API call
+    const normalizedCampaignId = campaign_id ? parseId(campaign_id, 'campaign_id') : null;
+    const normalizedCustomerId = normalizeCustomerId(customer_id, 'customer_id');
+    const mccId = login_customer_id ? normalizeCustomerId(login_customer_id, 'login_customer_id') : null;
+    logger.debug('Listing ad groups', {
+      customer_id: normalizedCustomerId,
+      login_customer_id: login_customer_id || null,
+      mcc_id: mccId || null,
+    });
+
+    /**
+     * Restricts a query to the requested campaign, if any
+     * @param {Object} query - GAQL builder
+     * @returns {Object} Builder
+     */
+    const scopedToCampaign = (query) => (
+      normalizedCampaignId ? query.whereId('campaign.id', normalizedCampaignId, 'campaign_id') : query
+    );
 
     // Build ad_group_ad GAQL (for Search/DSA/YouTube standard)
-    let adGroupAdQuery = `
-   SELECT
-  campaign.id,
-  campaign.name,
-  ad_group.id,
-  ad_group.name,
-  ad_group.status,
-  ad_group.type,
-  ad_group_ad.ad.id,
-  ad_group_ad.ad.name,
-  ad_group_ad.ad.type,
-  ad_group_ad.status,
-  metrics.impressions,
-  metrics.clicks,
-  metrics.ctr,
-  metrics.cost_micros
-FROM ad_group_ad
-    `;
+    const adGroupAdQuery = buildAdGroupAdQuery({ campaignId: normalizedCampaignId, extraFields: RSA_FIELDS }).build();
 
-    if (campaign_id) {
-      const normalizedCampaignId = campaign_id.replace(/-/g, '');
-      adGroupAdQuery += ` WHERE campaign.id = ${normalizedCampaignId}`;
-    } else {
-      adGroupAdQuery += ` ORDER BY campaign.id, ad_group.id, ad_group_ad.ad.id`;
+    // Get access token
+    const accessToken = await getAccessTokenFromRefresh(connectionId);
+    const cache = readCachePolicy(req);
+
+    // Stream ad rows straight from searchStream without buffering the account
+    if (exportParams.format === 'ndjson') {
+      const rows = streamGAQLQuery(normalizedCustomerId, accessToken, adGroupAdQuery, mccId, connectionId);
+      await streamNdjson(res, rows, toAdRow, context);
+      return;
     }
-    adGroupAdQuery += ` LIMIT 10000`;
-
-    console.log('[DEBUG] GAQL(ad_group_ad):', adGroupAdQuery);
 
     // Execute primary query (ad_group_ad)
-    let results = await executeGAQLQuery(normalizedCustomerId, accessToken, adGroupAdQuery, mccId, refresh_token);
-    console.log(`[DEBUG] /api/adgroups - using ad_group_ad query`);
-    console.log(`[DEBUG] /api/adgroups - raw results count (ad_group_ad): ${results.length}`);
+    let results = await executeGAQLQuery(normalizedCustomerId, accessToken, adGroupAdQuery, mccId, connectionId, { cache });
+    logger.debug('ad_group_ad rows', { rows: results.length });
 
     // If no ad_group_ad rows, try Performance Max / Demand Gen via asset_group
     let usedAssetGroupFlow = false;
     if (results.length === 0) {
-      console.log('[DEBUG] /api/adgroups - no rows from ad_group_ad. Trying asset_group (PMax/Demand Gen/YouTube).');
+      logger.debug('No rows from ad_group_ad, trying asset_group (PMax/Demand Gen/YouTube)');
 
       // First, fetch asset groups
-      let assetGroupQuery = `
-        SELECT
-          asset_group.id,
-          asset_group.name,
-          asset_group.status,
-          campaign.id
-        FROM asset_group
-      `;
-      if (campaign_id) {
-        const normalizedCampaignId = campaign_id.replace(/-/g, '');
-        assetGroupQuery += ` WHERE campaign.id = ${normalizedCampaignId}`;
-      } else {
-        assetGroupQuery += ` ORDER BY campaign.id, asset_group.id`;
-      }
-      assetGroupQuery += ` LIMIT 10000`;
-
-      console.log('[DEBUG] GAQL(asset_group):', assetGroupQuery);
+      const assetGroupQuery = scopedToCampaign(gaql()
+        .select(['asset_group.id', 'asset_group.name', 'asset_group.status', 'campaign.id'])
+        .from('asset_group'))
+        .orderBy('campaign.id')
+        .orderBy('asset_group.id')
+        .build();
 
-      let assetGroups = await executeGAQLQuery(normalizedCustomerId, accessToken, assetGroupQuery, mccId, refresh_token);
-      console.log(`[DEBUG] /api/adgroups - using asset_group query, group count: ${assetGroups.length}`);
+      let assetGroups = await executeGAQLQuery(normalizedCustomerId, accessToken, assetGroupQuery, mccId, connectionId, { cache });
+      logger.debug('asset_group rows', { rows: assetGroups.length });
 
       if (assetGroups.length > 0) {
         usedAssetGroupFlow = true;
 
         // Then fetch assets for those groups (headlines, descriptions, images, videos)
-        let assetGroupAssetsQuery = `
-          SELECT
-            asset_group.id,
-            asset_group_asset.field_type,
-            asset_group_asset.status,
-            asset.text_asset.text,
-            asset.image_asset.full_size.url,
-            asset.youtube_video_asset.youtube_video_id
-          FROM asset_group_asset
-        `;
-        if (campaign_id) {
-          const normalizedCampaignId = campaign_id.replace(/-/g, '');
-          assetGroupAssetsQuery += ` WHERE campaign.id = ${normalizedCampaignId}`;
-        } else {
-          assetGroupAssetsQuery += ` ORDER BY asset_group.id`;
-        }
-        assetGroupAssetsQuery += ` LIMIT 10000`;
-
-        console.log('[DEBUG] GAQL(asset_group_asset):', assetGroupAssetsQuery);
+        const assetGroupAssetsQuery = scopedToCampaign(gaql()
+          .select([
+            'asset_group.id',
+            'asset_group_asset.field_type',
+            'asset_group_asset.status',
+            'asset.text_asset.text',
+            'asset.image_asset.full_size.url',
+            'asset.youtube_video_asset.youtube_video_id',
+          ])
+          .from('asset_group_asset'))
+          .orderBy('asset_group.id')
+          .build();
 
         let assetItems = [];
         try {
-          assetItems = await executeGAQLQuery(normalizedCustomerId, accessToken, assetGroupAssetsQuery, mccId, refresh_token);
+          assetItems = await executeGAQLQuery(normalizedCustomerId, accessToken, assetGroupAssetsQuery, mccId, connectionId, { cache });
         } catch (agErr) {
-          console.warn('[DEBUG] /api/adgroups - asset_group_asset query failed:', agErr.message);
+          logger.warn('asset_group_asset query failed', { error: agErr });
         }
 
         // Map into results compatible shape (simulate ad objects from assets)
@@ -175,30 +205,19 @@ FROM ad_group_ad
 
       // If still zero after asset_group flow, try plain ad_group list as final fallback
       if (!usedAssetGroupFlow) {
-        console.log('[DEBUG] /api/adgroups - asset_group returned 0. Trying plain ad_group list.');
-        let groupsOnlyQuery = `
-          SELECT
-            ad_group.id,
-            ad_group.name,
-            ad_group.status,
-            ad_group.type
-          FROM ad_group
-        `;
-        if (campaign_id) {
-          const normalizedCampaignId = campaign_id.replace(/-/g, '');
-          groupsOnlyQuery += ` WHERE campaign.id = ${normalizedCampaignId}`;
-        } else {
-          groupsOnlyQuery += ` ORDER BY ad_group.id`;
-        }
-        groupsOnlyQuery += ` LIMIT 10000`;
-        console.log('[DEBUG] GAQL(ad_group fallback):', groupsOnlyQuery);
+        logger.debug('asset_group returned no rows, trying plain ad_group list');
+        const groupsOnlyQuery = scopedToCampaign(gaql()
+          .select(['ad_group.id', 'ad_group.name', 'ad_group.status', 'ad_group.type'])
+          .from('ad_group'))
+          .orderBy('ad_group.id')
+          .build();
 
         try {
-          const groupResults = await executeGAQLQuery(normalizedCustomerId, accessToken, groupsOnlyQuery, mccId, refresh_token);
+          const groupResults = await executeGAQLQuery(normalizedCustomerId, accessToken, groupsOnlyQuery, mccId, connectionId, { cache });
           results = groupResults.map(r => ({ ad_group: r.ad_group }));
-          console.log(`[DEBUG] /api/adgroups - fallback ad_group results count: ${results.length}`);
+          logger.debug('Fallback ad_group rows', { rows: results.length });
         } catch (fallbackErr) {
-          console.warn('[DEBUG] /api/adgroups - fallback ad_group query failed:', fallbackErr.message);
+          logger.warn('Fallback ad_group query failed', { error: fallbackErr });
         }
       }
     }
@@ -208,8 +227,7 @@ FROM ad_group_ad
 
     if (results.length > 0) {
       const first = results[0] || {};
-      console.log('[DEBUG] /api/adgroups - sample keys:', Object.keys(first));
-      console.log('[DEBUG] /api/adgroups - has ad_group?', !!first.ad_group, 'has ad_group_ad?', !!first.ad_group_ad);
+      logger.debug('Sample row', { keys: Object.keys(first), has_ad_group: !!first.ad_group, has_ad_group_ad: !!first.ad_group_ad });
     }
 
     results.forEach(r => {
@@ -267,44 +285,104 @@ FROM ad_group_ad
       }
     });
 
-    // Convert map to array
+    // Convert map to array and select the requested page
     const adGroups = Array.from(adGroupsMap.values());
 
-    // Group by campaign if campaign_id was not provided
+    // File exports contain every ad group rather than one page
+    if (exportParams.format !== 'json') {
+      await sendExport(res, {
+        ...exportParams,
+        rows: flattenNested(adGroups, 'ads', { parentPrefix: 'ad_group.', childPrefix: 'ad.' }),
+        columns: EXPORT_COLUMNS,
+        filename: `adgroups_${normalizedCustomerId}`,
+      });
+      return;
+    }
+    const page = paginate(adGroups, pagination);
+
+    // Echo campaign_id when the request was scoped to one campaign
     let response;
     if (campaign_id) {
       response = {
         success: true,
-        campaign_id: campaign_id.replace(/-/g, ''),
-        ad_groups: adGroups,
-        count: adGroups.length,
+        campaign_id: normalizedCampaignId,
+        ad_groups: page.items,
+        count: page.items.length,
+        total_count: page.total_count,
+        page_size: page.page_size,
+        next_cursor: page.next_cursor,
       };
     } else {
-      // Group by campaign
-      const campaignsMap = new Map();
-      
-      // We need to fetch campaign IDs for ad groups
-      // For now, return all ad groups (can be enhanced to group by campaign)
       response = {
         success: true,
-        ad_groups: adGroups,
-        count: adGroups.length,
+        ad_groups: page.items,
+        count: page.items.length,
+        total_count: page.total_count,
+        page_size: page.page_size,
+        next_cursor: page.next_cursor,
       };
     }
 
-    console.log(`[DEBUG] /api/adgroups - final ad_groups count: ${adGroups.length}`);
+    logger.debug('Ad groups built', { ad_groups: adGroups.length });
     return res.status(200).json(response);
 
   } catch (err) {
-    // Check if it's a known Google Ads API error
-    const googleAdsError = extractGoogleAdsError(err);
-    if (googleAdsError) {
-      const errorResponse = logAndRespond(err, context, { googleAdsErrorType: googleAdsError.type });
-      return res.status(400).json(errorResponse);
-    }
-
-    // Generic error handling
-    const errorResponse = logAndRespond(err, context);
-    return res.status(500).json(errorResponse);
+    return sendErrorResponse(res, err, context);
   }
+});
+
+module.exports.spec = {
+  method: 'get',
+  operationId: 'listAdGroups',
+  summary: 'List ad groups and their ads',
+  description: 'Lists ad groups with their ads (RSA headlines, descriptions and paths) and all-time metrics. Performance Max campaigns return asset groups with their text, image and video assets.',
+  parameters: [
+    params.connectionId(),
+    params.customerId(),
+    params.id('campaign_id', 'Only ad groups of this campaign'),
+    params.loginCustomerId(),
+    params.pagination(DEFAULT_PAGE_SIZE),
+    params.format(),
+    params.fresh(),
+  ],
+  response: paginatedResponse('ad_groups', {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      status: { type: 'string' },
+      type: { type: 'string', description: 'SEARCH_STANDARD, DISPLAY_STANDARD, ASSET_GROUP, ...' },
+      ads: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            type: { type: 'string' },
+            status: { type: 'string' },
+            headlines: { type: 'array', items: { type: 'string' } },
+            descriptions: { type: 'array', items: { type: 'string' } },
+            path1: { type: ['string', 'null'] },
+            path2: { type: ['string', 'null'] },
+            assets: { type: 'object', description: 'Asset group bundles only: headlines, descriptions, images, videos' },
+            metrics: {
+              type: 'object',
+              description: 'All-time totals (zero for asset groups)',
+              properties: {
+                impressions: { type: 'integer' },
+                clicks: { type: 'integer' },
+                ctr: { type: 'number' },
+                cost_micros: { type: 'integer' },
+                cost: { type: 'number', description: 'Account currency' },
+              },
+            },
+          },
+        },
+      },
+    },
+  }, {
+    campaign_id: { type: 'string' },
+  }),
+  exportFormats: ['ndjson', 'csv', 'xlsx'],
 };
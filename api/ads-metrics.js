@@ -2,68 +2,281 @@
 /**
  * Campaign Metrics Retrieval Endpoint
  * Retrieves campaign performance metrics from Google Ads
- * Supports dynamic date ranges and field selection
+ * Supports DURING presets or custom start_date/end_date ranges, and compare_to period-over-period deltas
+ * Supports page_size/cursor pagination (next_cursor in response)
+ * format=ndjson streams one line per campaign per day as rows arrive
+ * format=csv|xlsx exports every campaign (one row per campaign and period when granularity is set)
+ * granularity=day|week|month adds a zero-filled time series per campaign
  */
 
-const { logAndRespond, extractGoogleAdsError } = require('../utils/error-logger');
-const { getAccessTokenFromRefresh, executeGAQLQuery, normalizeCustomerId } = require('../utils/google-ads-api');
+const { sendErrorResponse, isRequestError } = require('../utils/error-logger');
+const { readConnectionId } = require('../utils/credential-vault');
+const { gaql } = require('../utils/gaql-builder');
+const { getAccessTokenFromRefresh, executeGAQLQuery, streamGAQLQuery, normalizeCustomerId } = require('../utils/google-ads-api');
+const { readCachePolicy } = require('../utils/gaql-cache');
+const { parsePaginationParams, paginate } = require('../utils/pagination');
+const { streamNdjson } = require('../utils/ndjson');
+const { parseExportParams, flattenNested, sendExport } = require('../utils/report-export');
+const { emptyMetrics, addRowMetrics, addMetrics, finalizeMetrics } = require('../utils/report-metrics');
+const { logger, withRequestLogging } = require('../utils/logger');
+const { params, ref, paginatedResponse } = require('../utils/openapi');
+const {
+  GRANULARITIES,
+  COMPARISON_MODES,
+  listPeriods,
+  addDays,
+  parseDateRangeParams,
+  resolveRangeBounds,
+  comparisonBounds,
+} = require('../utils/date-range');
 
-module.exports = async (req, res) => {
+const DEFAULT_PAGE_SIZE = 50;
+
+const EXPORT_COLUMNS = [
+  'id',
+  'name',
+  'status',
+  'serving_status',
+  'advertising_channel_type',
+  'impressions',
+  'clicks',
+  'ctr',
+  'average_cpc',
+  'conversions',
+  'cost',
+  'conversions_value',
+  'average_cpv',
+];
+
+// Campaign statuses included in reports
+const CAMPAIGN_STATUSES = ['ENABLED', 'PAUSED', 'REMOVED'];
+
+// Metrics reported with period-over-period deltas
+const COMPARED_METRICS = ['impressions', 'clicks', 'ctr', 'average_cpc', 'conversions', 'cost_micros', 'cost', 'conversions_value', 'average_cpv'];
+
+/**
+ * Builds the daily campaign metrics query for a date range
+ * @param {Object} range - {preset} or {start_date, end_date}
+ * @returns {string} GAQL query
+ */
+function buildMetricsQuery(range) {
+  return gaql()
+    .select([
+      'campaign.id',
+      'campaign.name',
+      'campaign.status',
+      'campaign.serving_status',
+      'campaign.advertising_channel_type',
+      'metrics.impressions',
+      'metrics.clicks',
+      'metrics.ctr',
+      'metrics.average_cpc',
+      'metrics.conversions',
+      'metrics.cost_micros',
+      'metrics.conversions_value',
+      'metrics.average_cpv',
+      'segments.date',
+    ])
+    .from('campaign')
+    .whereDateRange(range)
+    .whereEnum('campaign.status', 'IN', CAMPAIGN_STATUSES)
+    .orderBy('metrics.impressions', 'DESC')
+    .build();
+}
+
+/**
+ * Buckets a campaign's daily metrics into ordered periods, zero-filling gaps
+ * @param {Object} daily - Map of YYYY-MM-DD date to metrics
+ * @param {Array<{period_start: string, period_end: string}>} periods - Ordered periods
+ * @returns {Array<Object>} Series entries with period bounds and metrics
+ */
+function buildSeries(daily = {}, periods) {
+  return periods.map(period => {
+    const metrics = emptyMetrics();
+    for (let date = period.period_start; date <= period.period_end; date = addDays(date, 1)) {
+      if (daily[date]) addMetrics(metrics, daily[date]);
+    }
+    return { ...period, ...finalizeMetrics(metrics) };
+  });
+}
+
+/**
+ * Computes absolute and percentage deltas between two metrics objects
+ * Percentage is null when the previous value is 0
+ * @param {Object} current - Current period metrics
+ * @param {Object} previous - Comparison period metrics
+ * @returns {Object} Map of metric name to {current, previous, absolute, percent}
+ */
+function computeDeltas(current, previous) {
+  const deltas = {};
+  COMPARED_METRICS.forEach(name => {
+    const currentValue = current[name] || 0;
+    const previousValue = previous[name] || 0;
+    deltas[name] = {
+      current: currentValue,
+      previous: previousValue,
+      absolute: currentValue - previousValue,
+      percent: previousValue !== 0 ? ((currentValue - previousValue) / previousValue) * 100 : null,
+    };
+  });
+  return deltas;
+}
+
+/**
+ * Lists the campaigns found in metrics rows, one entry per campaign (rows are per date segment)
+ * @param {Array<Object>} metricsResults - GAQL result rows
+ * @param {Object} metricsMap - Map of campaign ID to aggregated metrics
+ * @returns {Array<Object>} Campaigns with their aggregated metrics
+ */
+function campaignsFromMetricsRows(metricsResults, metricsMap) {
+  const seen = new Set();
+  return metricsResults
+    .filter(r => {
+      const campaignId = r.campaign?.id?.toString();
+      if (!campaignId || seen.has(campaignId)) return false;
+      seen.add(campaignId);
+      return true;
+    })
+    .map(r => ({
+      id: r.campaign.id.toString(),
+      name: r.campaign?.name || 'Unnamed Campaign',
+      status: r.campaign?.status || 'UNKNOWN',
+      serving_status: r.campaign?.serving_status || 'UNKNOWN',
+      advertising_channel_type: r.campaign?.advertising_channel_type || 'UNKNOWN',
+      ...(metricsMap[r.campaign.id.toString()] || emptyMetrics()),
+    }));
+}
+
+/**
+ * Flattens a daily campaign metrics row for NDJSON output
+ * @param {Object} r - GAQL result row
+ * @returns {Object} Flat row
+ */
+function toDailyMetricsRow(r) {
+  const impressions = parseInt(r.metrics?.impressions || 0);
+  const clicks = parseInt(r.metrics?.clicks || 0);
+  const costMicros = parseInt(r.metrics?.cost_micros || 0);
+
+  return {
+    campaign_id: r.campaign?.id?.toString() || null,
+    campaign_name: r.campaign?.name || 'Unnamed Campaign',
+    status: r.campaign?.status || 'UNKNOWN',
+    serving_status: r.campaign?.serving_status || 'UNKNOWN',
+    advertising_channel_type: r.campaign?.advertising_channel_type || 'UNKNOWN',
+    date: r.segments?.date || null,
+    impressions,
+    clicks,
+    ctr: impressions > 0 ? clicks / impressions : 0,
+    average_cpc: clicks > 0 ? costMicros / clicks / 1_000_000 : 0,
+    conversions: parseFloat(r.metrics?.conversions || 0),
+    cost_micros: costMicros,
+    cost: costMicros / 1_000_000,
+    conversions_value: parseFloat(r.metrics?.conversions_value || 0),
+  };
+}
+
+module.exports = withRequestLogging(async (req, res) => {
   const context = 'GET /api/ads-metrics';
   
   try {
     const { 
       customer_id, 
-      refresh_token, 
       login_customer_id,
-      date_range = 'LAST_30_DAYS',  // LAST_7_DAYS, LAST_30_DAYS, LAST_90_DAYS, etc.
-      include_all_campaigns = 'true' // If true, includes paused campaigns with 0 metrics
+      date_range,                    // DURING preset (LAST_7_DAYS, LAST_30_DAYS, LAST_MONTH, ...), default LAST_30_DAYS
+      start_date,                    // Custom range (YYYY-MM-DD), overrides date_range when paired with end_date
+      end_date,
+      compare_to,                    // previous_period | previous_year
+      include_all_campaigns = 'true', // If true, includes paused campaigns with 0 metrics
+      granularity = 'total',         // day | week | month add a per-campaign series; total returns totals only
     } = req.query;
-    
-    if (!customer_id || !refresh_token) {
+
+    const { connectionId, error: connectionError } = readConnectionId(req);
+    if (connectionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: connectionError,
+      });
+    }
+
+    if (!customer_id || !connectionId) {
       return res.status(400).json({
         success: false,
         error: 'Missing required parameters',
-        message: 'Both customer_id and refresh_token are required',
+        message: 'Both customer_id and connection_id are required',
+      });
+    }
+
+    // format: json (paginated), ndjson (streamed daily rows), csv or xlsx (all campaigns)
+    const exportParams = parseExportParams(req.query);
+    if (exportParams.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: exportParams.error,
+      });
+    }
+
+    const { range, error: rangeError } = parseDateRangeParams({ date_range, start_date, end_date });
+    if (rangeError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: rangeError,
+      });
+    }
+
+    if (compare_to && !COMPARISON_MODES.includes(compare_to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: `compare_to must be one of: ${COMPARISON_MODES.join(', ')}`,
+      });
+    }
+
+    if (!GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: `granularity must be one of: ${GRANULARITIES.join(', ')}`,
+      });
+    }
+
+    const pagination = parsePaginationParams(req.query, DEFAULT_PAGE_SIZE);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pagination parameters',
+        message: pagination.error,
       });
     }
 
     // Normalize customer ID (remove dashes)
-    const normalizedCustomerId = normalizeCustomerId(customer_id);
-    const mccId = login_customer_id ? normalizeCustomerId(login_customer_id) : null;
+    const normalizedCustomerId = normalizeCustomerId(customer_id, 'customer_id');
+    const mccId = login_customer_id ? normalizeCustomerId(login_customer_id, 'login_customer_id') : null;
+
+    // Build metrics query with validated date range
+    const bounds = resolveRangeBounds(range);
+    const metricsQuery = buildMetricsQuery(range);
 
     // Get access token
-    const accessToken = await getAccessTokenFromRefresh(refresh_token);
-
-    // Build metrics query with dynamic date range
-    const metricsQuery = `
-      SELECT
-        campaign.id,
-        campaign.name,
-        campaign.status,
-        campaign.serving_status,
-        campaign.advertising_channel_type,
-        metrics.impressions,
-        metrics.clicks,
-        metrics.ctr,
-        metrics.average_cpc,
-        metrics.conversions,
-        metrics.cost_micros,
-        metrics.conversions_value,
-        metrics.average_cpv,
-        segments.date
-      FROM campaign
-      WHERE segments.date DURING ${date_range}
-        AND campaign.status IN ('ENABLED', 'PAUSED', 'REMOVED')
-      ORDER BY metrics.impressions DESC
-    `;
+    const accessToken = await getAccessTokenFromRefresh(connectionId);
+    const cache = readCachePolicy(req);
+
+    // Stream daily rows straight from searchStream without buffering the account
+    if (exportParams.format === 'ndjson') {
+      const rows = streamGAQLQuery(normalizedCustomerId, accessToken, metricsQuery, mccId, connectionId);
+      await streamNdjson(res, rows, toDailyMetricsRow, context);
+      return;
+    }
 
     // Execute metrics query
     let metricsResults = [];
     let metricsMap = {};
+    const dailyMap = {}; // campaignId -> date -> metrics (for granularity series)
     
     try {
-      metricsResults = await executeGAQLQuery(normalizedCustomerId, accessToken, metricsQuery, mccId, refresh_token);
+      metricsResults = await executeGAQLQuery(normalizedCustomerId, accessToken, metricsQuery, mccId, connectionId, { cache });
       
       // Build metrics map by campaign ID
       metricsResults.forEach(r => {
@@ -71,72 +284,52 @@ module.exports = async (req, res) => {
         if (campaignId) {
           // Aggregate metrics (if multiple date segments)
           if (!metricsMap[campaignId]) {
-            metricsMap[campaignId] = {
-              impressions: 0,
-              clicks: 0,
-              ctr: 0,
-              average_cpc: 0,
-              conversions: 0,
-              cost_micros: 0,
-              conversions_value: 0,
-              average_cpv: 0,
-            };
+            metricsMap[campaignId] = emptyMetrics();
+            dailyMap[campaignId] = {};
+          }
+          addRowMetrics(metricsMap[campaignId], r);
+
+          const date = r.segments?.date;
+          if (date) {
+            if (!dailyMap[campaignId][date]) dailyMap[campaignId][date] = emptyMetrics();
+            addRowMetrics(dailyMap[campaignId][date], r);
           }
-          
-          metricsMap[campaignId].impressions += parseInt(r.metrics?.impressions || 0);
-          metricsMap[campaignId].clicks += parseInt(r.metrics?.clicks || 0);
-          metricsMap[campaignId].conversions += parseFloat(r.metrics?.conversions || 0);
-          metricsMap[campaignId].cost_micros += parseInt(r.metrics?.cost_micros || 0);
-          metricsMap[campaignId].conversions_value += parseFloat(r.metrics?.conversions_value || 0);
         }
       });
 
       // Recalculate aggregate metrics
-      Object.keys(metricsMap).forEach(campaignId => {
-        const metrics = metricsMap[campaignId];
-        metrics.ctr = metrics.impressions > 0 ? (metrics.clicks / metrics.impressions) : 0;
-        metrics.average_cpc = metrics.clicks > 0 ? (metrics.cost_micros / metrics.clicks / 1_000_000) : 0;
-        metrics.average_cpv = metrics.clicks > 0 ? (metrics.conversions_value / metrics.clicks) : 0;
-        metrics.cost = metrics.cost_micros / 1_000_000; // Convert micros to currency
-      });
+      Object.values(metricsMap).forEach(finalizeMetrics);
 
     } catch (metricsError) {
-      // If metrics query fails (e.g., account has no activity), log but continue
-      console.warn(`[${context}] Metrics query failed (may be expected for paused accounts):`, metricsError.message);
+      // Permission, quota and credential errors go to the caller; anything else is logged and the
+      // campaigns are returned without metrics
+      if (isRequestError(metricsError)) throw metricsError;
+      logger.warn('Metrics query failed, returning campaigns without metrics', { error: metricsError });
     }
 
     // If include_all_campaigns is true, fetch all campaigns and merge with metrics
     let campaigns = [];
     if (include_all_campaigns === 'true') {
-      const campaignsQuery = `
-        SELECT
-          campaign.id,
-          campaign.name,
-          campaign.status,
-          campaign.serving_status,
-          campaign.advertising_channel_type
-        FROM campaign
-        WHERE campaign.status IN ('ENABLED', 'PAUSED', 'REMOVED')
-        ORDER BY campaign.id
-      `;
+      const campaignsQuery = gaql()
+        .select([
+          'campaign.id',
+          'campaign.name',
+          'campaign.status',
+          'campaign.serving_status',
+          'campaign.advertising_channel_type',
+        ])
+        .from('campaign')
+        .whereEnum('campaign.status', 'IN', CAMPAIGN_STATUSES)
+        .orderBy('campaign.id')
+        .build();
 
       try {
-        const campaignResults = await executeGAQLQuery(normalizedCustomerId, accessToken, campaignsQuery, mccId, refresh_token);
+        const campaignResults = await executeGAQLQuery(normalizedCustomerId, accessToken, campaignsQuery, mccId, connectionId, { cache });
         
         // Merge campaigns with metrics
         campaigns = campaignResults.map(r => {
           const campaignId = r.campaign?.id?.toString();
-          const metrics = metricsMap[campaignId] || {
-            impressions: 0,
-            clicks: 0,
-            ctr: 0,
-            average_cpc: 0,
-            conversions: 0,
-            cost_micros: 0,
-            cost: 0,
-            conversions_value: 0,
-            average_cpv: 0,
-          };
+          const metrics = metricsMap[campaignId] || emptyMetrics();
 
           return {
             id: campaignId,
@@ -149,64 +342,127 @@ module.exports = async (req, res) => {
         });
       } catch (campaignError) {
         // If campaign query fails, fall back to metrics-only results
-        campaigns = metricsResults.map(r => ({
-          id: r.campaign?.id?.toString(),
-          name: r.campaign?.name || 'Unnamed Campaign',
-          status: r.campaign?.status || 'UNKNOWN',
-          serving_status: r.campaign?.serving_status || 'UNKNOWN',
-          advertising_channel_type: r.campaign?.advertising_channel_type || 'UNKNOWN',
-          ...(metricsMap[r.campaign?.id?.toString()] || {
-            impressions: 0,
-            clicks: 0,
-            ctr: 0,
-            average_cpc: 0,
-            conversions: 0,
-            cost_micros: 0,
-            cost: 0,
-            conversions_value: 0,
-            average_cpv: 0,
-          }),
-        }));
+        if (isRequestError(campaignError)) throw campaignError;
+        logger.warn('Campaign list query failed, returning campaigns with metrics only', { error: campaignError });
+        campaigns = campaignsFromMetricsRows(metricsResults, metricsMap);
       }
     } else {
       // Return only campaigns with metrics data
-      campaigns = metricsResults.map(r => ({
-        id: r.campaign?.id?.toString(),
-        name: r.campaign?.name || 'Unnamed Campaign',
-        status: r.campaign?.status || 'UNKNOWN',
-        serving_status: r.campaign?.serving_status || 'UNKNOWN',
-        advertising_channel_type: r.campaign?.advertising_channel_type || 'UNKNOWN',
-        ...(metricsMap[r.campaign?.id?.toString()] || {
-          impressions: 0,
-          clicks: 0,
-          ctr: 0,
-          average_cpc: 0,
-          conversions: 0,
-          cost_micros: 0,
-          cost: 0,
-          conversions_value: 0,
-          average_cpv: 0,
-        }),
-      }));
+      campaigns = campaignsFromMetricsRows(metricsResults, metricsMap);
+    }
+
+    // Attach an ordered, zero-filled series per campaign
+    if (granularity !== 'total') {
+      const periods = listPeriods(bounds.start_date, bounds.end_date, granularity);
+      campaigns.forEach(c => {
+        c.series = buildSeries(dailyMap[c.id], periods);
+      });
     }
 
+    // Period-over-period comparison: totals for the comparison window plus deltas per metric
+    let comparisonPeriod = null;
+    if (compare_to) {
+      comparisonPeriod = comparisonBounds(bounds, compare_to);
+      const comparisonQuery = buildMetricsQuery(comparisonPeriod);
+      const comparisonResults = await executeGAQLQuery(normalizedCustomerId, accessToken, comparisonQuery, mccId, connectionId, { cache });
+
+      const comparisonMap = {};
+      comparisonResults.forEach(r => {
+        const campaignId = r.campaign?.id?.toString();
+        if (!campaignId) return;
+        if (!comparisonMap[campaignId]) comparisonMap[campaignId] = emptyMetrics();
+        addRowMetrics(comparisonMap[campaignId], r);
+      });
+      Object.values(comparisonMap).forEach(finalizeMetrics);
+
+      campaigns.forEach(c => {
+        c.comparison = computeDeltas(c, comparisonMap[c.id] || emptyMetrics());
+      });
+    }
+
+    // File exports contain every campaign rather than one page
+    if (exportParams.format !== 'json') {
+      await sendExport(res, {
+        ...exportParams,
+        rows: flattenNested(campaigns, 'series', { childPrefix: 'series.' }),
+        columns: EXPORT_COLUMNS,
+        filename: `ads_metrics_${normalizedCustomerId}`,
+      });
+      return;
+    }
+
+    const page = paginate(campaigns, pagination);
+
     return res.status(200).json({
       success: true,
-      count: campaigns.length,
-      date_range,
-      campaigns: campaigns.slice(0, 50),
+      count: page.items.length,
+      total_count: page.total_count,
+      page_size: page.page_size,
+      next_cursor: page.next_cursor,
+      date_range: range.preset || null,
+      period: bounds,
+      granularity,
+      compare_to: compare_to || null,
+      comparison_period: comparisonPeriod,
+      campaigns: page.items,
     });
 
   } catch (err) {
-    // Check if it's a known Google Ads API error
-    const googleAdsError = extractGoogleAdsError(err);
-    if (googleAdsError) {
-      const errorResponse = logAndRespond(err, context, { googleAdsErrorType: googleAdsError.type });
-      return res.status(400).json(errorResponse);
-    }
-
-    // Generic error handling
-    const errorResponse = logAndRespond(err, context);
-    return res.status(500).json(errorResponse);
+    return sendErrorResponse(res, err, context);
   }
+});
+
+module.exports.spec = {
+  method: 'get',
+  operationId: 'getCampaignMetrics',
+  summary: 'Campaign performance metrics',
+  description: 'Impressions, clicks, CTR, CPC, conversions and cost per campaign for a date range. Optional time series (granularity) and period-over-period deltas (compare_to).',
+  parameters: [
+    params.connectionId(),
+    params.customerId(),
+    params.loginCustomerId(),
+    params.dateRange(),
+    params.customRange(),
+    { name: 'compare_to', in: 'query', description: 'Adds a comparison object with deltas per metric', schema: { type: 'string', enum: COMPARISON_MODES } },
+    { name: 'granularity', in: 'query', description: 'day, week or month add a zero-filled series per campaign', schema: { type: 'string', enum: GRANULARITIES, default: 'total' } },
+    { name: 'include_all_campaigns', in: 'query', description: 'true (default) also lists campaigns without activity, with zero metrics', schema: { type: 'boolean', default: true } },
+    params.pagination(DEFAULT_PAGE_SIZE),
+    params.format(),
+    params.fresh(),
+  ],
+  response: paginatedResponse('campaigns', {
+    allOf: [ref('Metrics')],
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      status: { type: 'string', enum: [...CAMPAIGN_STATUSES, 'UNKNOWN'] },
+      serving_status: { type: 'string' },
+      advertising_channel_type: { type: 'string' },
+      series: {
+        type: 'array',
+        items: { allOf: [ref('Metrics')], type: 'object', properties: { period_start: { type: 'string', format: 'date' }, period_end: { type: 'string', format: 'date' } } },
+      },
+      comparison: {
+        type: 'object',
+        description: 'Per metric: {current, previous, absolute, percent}; percent is null when previous is 0',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            current: { type: 'number' },
+            previous: { type: 'number' },
+            absolute: { type: 'number' },
+            percent: { type: ['number', 'null'] },
+          },
+        },
+      },
+    },
+  }, {
+    date_range: { type: ['string', 'null'] },
+    period: ref('Period'),
+    granularity: { type: 'string' },
+    compare_to: { type: ['string', 'null'] },
+    comparison_period: { anyOf: [ref('Period'), { type: 'null' }] },
+  }),
+  exportFormats: ['ndjson', 'csv', 'xlsx'],
 };
@@ -1,33 +1,71 @@
 // api/auth.js
+const crypto = require("crypto");
 const { google } = require("googleapis");
+const { logger, withRequestLogging } = require("../utils/logger");
+const {
+  signPayload,
+  createPkcePair,
+  resolveReturnTo,
+  serializeFlowCookie,
+} = require("../utils/oauth-state");
 
 const CLIENT_ID = process.env.GADS_CLIENT_ID;
 const CLIENT_SECRET = process.env.GADS_CLIENT_SECRET;
 const REDIRECT_URI = process.env.GADS_REDIRECT_URI;
 
-module.exports = (req, res) => {
+module.exports = withRequestLogging((req, res) => {
   try {
+    const { return_to, reprompt } = req.query || {};
+
+    // Only redirect back to allowlisted destinations after login
+    const returnTo = resolveReturnTo(return_to);
+    if (return_to && !returnTo) {
+      return res
+        .status(400)
+        .send(`<h2>Google Ads OAuth Error</h2><p>return_to is not an allowed redirect target</p>`);
+    }
+
     const oauth2Client = new google.auth.OAuth2(
       CLIENT_ID,
       CLIENT_SECRET,
       REDIRECT_URI
     );
 
+    // State (sent through Google) and flow cookie (kept in this browser) share a nonce,
+    // so the callback only accepts codes from a flow this browser started
+    const nonce = crypto.randomBytes(16).toString("base64url");
+    const { verifier, challenge } = createPkcePair();
+    const isReprompt = reprompt === "1";
+
+    const state = signPayload({ nonce });
+    const flowCookie = signPayload({
+      nonce,
+      verifier,
+      return_to: returnTo,
+      reprompt: isReprompt,
+    });
+
     // Generate Google OAuth URL
     const authUrl = oauth2Client.generateAuthUrl({
       access_type: "offline",
-      prompt: "consent",
+      // A re-prompt also lets the user pick the account again
+      prompt: isReprompt ? "consent select_account" : "consent",
       scope: ["https://www.googleapis.com/auth/adwords"],
+      state,
+      code_challenge: challenge,
+      code_challenge_method: "S256",
     });
 
+    res.setHeader("Set-Cookie", serializeFlowCookie(flowCookie));
+
     // ✅ Redirect instead of returning JSON
     return res.redirect(authUrl);
   } catch (err) {
-    console.error("OAuth start error:", err);
+    logger.error("OAuth start error", { error: err });
     res
       .status(500)
       .send(
         `<h2>Google Ads OAuth Error</h2><p>${err.message || "Unknown error"}</p>`
       );
   }
-};
+});
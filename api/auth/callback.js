@@ -1,15 +1,54 @@
 // api/auth/callback.js
-module.exports = async (req, res) => {
+const { createConnection } = require("../../utils/credential-vault");
+const { verifyPayload, readFlowCookie, serializeFlowCookie } = require("../../utils/oauth-state");
+const { logger, withRequestLogging } = require("../../utils/logger");
+
+/**
+ * Builds the /api/auth URL that restarts the flow with a forced consent screen
+ * @param {string|null} returnTo - Allowlisted post-login redirect to carry over
+ * @returns {string} Relative URL
+ */
+function buildRepromptUrl(returnTo) {
+  const params = new URLSearchParams({ reprompt: "1" });
+  if (returnTo) params.set("return_to", returnTo);
+  return `/api/auth?${params.toString()}`;
+}
+
+module.exports = withRequestLogging(async (req, res) => {
   try {
-    const code = req.query.code;
+    const { code, state, error } = req.query;
+
+    // The flow cookie is single-use: clear it whatever the outcome
+    const flow = verifyPayload(readFlowCookie(req));
+    res.setHeader("Set-Cookie", serializeFlowCookie(""));
+
+    if (error) {
+      return res.status(400).send(`
+        <h2>❌ OAuth Cancelled</h2>
+        <p>Google returned: <code>${String(error).replace(/[^\w.-]/g, "")}</code></p>
+        <p><a href="/api/auth">Try again</a></p>
+      `);
+    }
     if (!code) return res.status(400).send("Missing code parameter");
 
+    // Login-CSRF protection: state must be ours, unexpired, and match this browser's flow cookie
+    const statePayload = verifyPayload(state);
+    if (!statePayload || !flow || statePayload.nonce !== flow.nonce) {
+      logger.warn("OAuth callback rejected: invalid, expired or mismatched state");
+      return res.status(400).send(`
+        <h2>❌ OAuth Session Expired</h2>
+        <p>This sign-in link is invalid or has expired.</p>
+        <p><a href="/api/auth">Start again</a></p>
+      `);
+    }
+
     const params = new URLSearchParams({
       code,
       client_id: process.env.GADS_CLIENT_ID,
       client_secret: process.env.GADS_CLIENT_SECRET,
       redirect_uri: process.env.GADS_REDIRECT_URI,
       grant_type: "authorization_code",
+      code_verifier: flow.verifier,
     });
 
     // ✅ Use native fetch (no need for node-fetch)
@@ -22,7 +61,7 @@ module.exports = async (req, res) => {
     const data = await response.json();
 
     if (data.error) {
-      console.error("OAuth Error:", data);
+      logger.error("OAuth token exchange failed", { response: data });
       return res.status(400).send(`
         <h2>❌ OAuth Failed</h2>
         <p><strong>Error:</strong> ${data.error}</p>
@@ -35,28 +74,47 @@ module.exports = async (req, res) => {
       `);
     }
 
-    // ✅ Lightweight HTML with minimal payload (safe for both browser & GPT)
-    const refreshToken =
-      data.refresh_token ||
-      "No refresh token received (try adding &prompt=consent to the auth link)";
+    // Google omits refresh_token when the app was already granted; re-prompt once with forced consent
+    if (!data.refresh_token) {
+      if (!flow.reprompt) {
+        logger.warn("OAuth callback: no refresh_token received, re-prompting for consent");
+        return res.redirect(buildRepromptUrl(flow.return_to));
+      }
+      return res.status(400).send(`
+        <h2>❌ No refresh token received</h2>
+        <p>Google did not return a refresh token, even after asking for consent again.</p>
+        <p>Remove this app under <a href="https://myaccount.google.com/permissions">Google Account → Third-party access</a>,
+        then <a href="${buildRepromptUrl(flow.return_to)}">connect again</a>.</p>
+      `);
+    }
+
+    // ✅ Store the refresh token server-side; only the opaque connection ID leaves the backend
+    const connection = await createConnection(data.refresh_token, {
+      scopes: data.scope ? data.scope.split(" ") : [],
+    });
+
+    // Send the user back where they started; the fragment keeps the ID out of server logs
+    if (flow.return_to) {
+      return res.redirect(`${flow.return_to}#connection_id=${connection.connection_id}`);
+    }
 
     res.status(200).send(`
       <h2>✅ OAuth Success! -> Copy-paste this whole page into ChatGPT </h2>
-      <p><strong>Refresh Token (save this):</strong></p>
-      <pre>${refreshToken}</pre>
+      <p><strong>Connection ID (save this):</strong></p>
+      <pre>${connection.connection_id}</pre>
       <p>
         Next steps:<br/>
         1️⃣ Copy your Google Ads Customer ID (e.g., 123-456-7890).<br/>
         2️⃣ Remove dashes → 1234567890.<br/>
         3️⃣ Then call:<br/>
-        <code>/api/ads-metrics?customer_id=YOUR_ID&refresh_token=${refreshToken}</code>
+        <code>/api/ads-metrics?customer_id=YOUR_ID</code> with header <code>X-Connection-Id: ${connection.connection_id}</code>
       </p>
     `);
   } catch (err) {
-    console.error("OAuth Error:", err);
+    logger.error("OAuth callback error", { error: err });
     res.status(500).send(`
       <h2>⚠️ Internal Error</h2>
       <pre>${err.message}</pre>
     `);
   }
-};
+});
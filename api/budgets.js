@@ -0,0 +1,126 @@
+// api/budgets.js
+/**
+ * Campaign Budgets Endpoint
+ * Lists enabled campaign budgets (amount, period, delivery method, shared vs. dedicated)
+ * with the campaigns using each one and the spend guardrails that apply to the account
+ * Budget amounts are changed through POST /api/budgets/update
+ */
+
+const { sendErrorResponse } = require('../utils/error-logger');
+const { readConnectionId } = require('../utils/credential-vault');
+const { gaql } = require('../utils/gaql-builder');
+const { getAccessTokenFromRefresh, executeGAQLQuery, normalizeCustomerId } = require('../utils/google-ads-api');
+const { readCachePolicy } = require('../utils/gaql-cache');
+const { buildBudgetsQuery, toBudget, sumDailyBudgets } = require('../utils/campaign-budgets');
+const { getGuardrails } = require('../utils/budget-guardrails');
+const { withRequestLogging } = require('../utils/logger');
+const { params, ref } = require('../utils/openapi');
+
+module.exports = withRequestLogging(async (req, res) => {
+  const context = 'GET /api/budgets';
+
+  try {
+    const { customer_id, login_customer_id } = req.query;
+
+    const { connectionId, error: connectionError } = readConnectionId(req);
+    if (connectionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: connectionError,
+      });
+    }
+
+    if (!customer_id || !connectionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters',
+        message: 'Both customer_id and connection_id are required',
+      });
+    }
+
+    // Normalize customer ID (remove dashes)
+    const normalizedCustomerId = normalizeCustomerId(customer_id, 'customer_id');
+    const mccId = login_customer_id ? normalizeCustomerId(login_customer_id, 'login_customer_id') : null;
+
+    const budgetsQuery = buildBudgetsQuery();
+    const campaignsQuery = gaql()
+      .select(['campaign.id', 'campaign.name', 'campaign.status', 'campaign.campaign_budget'])
+      .from('campaign')
+      .whereEnum('campaign.status', 'IN', ['ENABLED', 'PAUSED'])
+      .orderBy('campaign.id')
+      .build();
+
+    // Get access token
+    const accessToken = await getAccessTokenFromRefresh(connectionId);
+    const cache = readCachePolicy(req);
+
+    const budgetResults = await executeGAQLQuery(normalizedCustomerId, accessToken, budgetsQuery, mccId, connectionId, { cache });
+    const campaignResults = await executeGAQLQuery(normalizedCustomerId, accessToken, campaignsQuery, mccId, connectionId, { cache });
+
+    // Attach campaigns to the budget they reference
+    const campaignsByBudget = {};
+    campaignResults.forEach(r => {
+      const budgetResourceName = r.campaign?.campaign_budget;
+      if (!budgetResourceName) return;
+      if (!campaignsByBudget[budgetResourceName]) campaignsByBudget[budgetResourceName] = [];
+      campaignsByBudget[budgetResourceName].push({
+        id: r.campaign?.id?.toString() || null,
+        name: r.campaign?.name || 'Unnamed Campaign',
+        status: r.campaign?.status || 'UNKNOWN',
+      });
+    });
+
+    const budgets = budgetResults.map(r => {
+      const budget = toBudget(r.campaign_budget);
+      budget.campaigns = campaignsByBudget[budget.resource_name] || [];
+      return budget;
+    });
+
+    return res.status(200).json({
+      success: true,
+      count: budgets.length,
+      account_daily_total: sumDailyBudgets(budgets),
+      guardrails: getGuardrails(normalizedCustomerId),
+      budgets,
+    });
+
+  } catch (err) {
+    return sendErrorResponse(res, err, context);
+  }
+});
+
+module.exports.spec = {
+  method: 'get',
+  operationId: 'listBudgets',
+  summary: 'Campaign budgets and spend guardrails',
+  description: 'Lists enabled campaign budgets with amount, period, delivery method and the campaigns using each one, plus the account daily total and the guardrails that apply to budget changes.',
+  parameters: [
+    params.connectionId(),
+    params.customerId(),
+    params.loginCustomerId(),
+    params.fresh(),
+  ],
+  response: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      count: { type: 'integer' },
+      account_daily_total: { type: 'number', description: 'Combined daily amount of budgets in use' },
+      guardrails: ref('Guardrails'),
+      budgets: {
+        type: 'array',
+        items: {
+          allOf: [ref('Budget')],
+          type: 'object',
+          properties: {
+            campaigns: {
+              type: 'array',
+              items: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' }, status: { type: 'string' } } },
+            },
+          },
+        },
+      },
+    },
+  },
+};
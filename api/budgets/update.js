@@ -0,0 +1,198 @@
+// api/budgets/update.js
+/**
+ * Budget Update Endpoint
+ * Changes the daily amount of a campaign budget after checking the account's spend guardrails
+ * (max % change per edit, account daily ceiling, approval threshold)
+ * Increases above the approval threshold are only applied when an approver sends X-Admin-Key
+ */
+
+const { sendErrorResponse } = require('../../utils/error-logger');
+const { readConnectionId } = require('../../utils/credential-vault');
+const { parseId } = require('../../utils/gaql-builder');
+const { getAccessTokenFromRefresh, executeGAQLQuery, executeMutate, normalizeCustomerId } = require('../../utils/google-ads-api');
+const { buildBudgetsQuery, toBudget, toAmountMicros, sumDailyBudgets } = require('../../utils/campaign-budgets');
+const { getGuardrails, evaluateBudgetChange } = require('../../utils/budget-guardrails');
+const { hasAdminAccess } = require('../../utils/admin-auth');
+const { logger, withRequestLogging } = require('../../utils/logger');
+const { bodyProperties, ref } = require('../../utils/openapi');
+
+module.exports = withRequestLogging(async (req, res) => {
+  const context = 'POST /api/budgets/update';
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const body = (req.body && typeof req.body === 'object') ? req.body : {};
+    const { customer_id, login_customer_id, budget_id, amount } = body;
+    const validateOnly = body.validate_only === true || body.validate_only === 'true';
+
+    const { connectionId, error: connectionError } = readConnectionId(req);
+    if (connectionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: connectionError,
+      });
+    }
+
+    if (!customer_id || !connectionId || !budget_id || amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters',
+        message: 'customer_id, connection_id, budget_id and amount are required',
+      });
+    }
+
+    // Normalize IDs (remove dashes)
+    const normalizedCustomerId = normalizeCustomerId(customer_id, 'customer_id');
+    const mccId = login_customer_id ? normalizeCustomerId(login_customer_id, 'login_customer_id') : null;
+    const normalizedBudgetId = parseId(budget_id, 'budget_id');
+    const newAmountMicros = toAmountMicros(amount, 'amount');
+    const newAmount = newAmountMicros / 1_000_000;
+
+    // All enabled budgets are needed for the account-wide daily ceiling
+    const budgetsQuery = buildBudgetsQuery();
+
+    // Get access token
+    const accessToken = await getAccessTokenFromRefresh(connectionId);
+
+    const budgetResults = await executeGAQLQuery(normalizedCustomerId, accessToken, budgetsQuery, mccId, connectionId);
+    const budgets = budgetResults.map(r => toBudget(r.campaign_budget));
+    const budget = budgets.find(b => b.id === normalizedBudgetId);
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `No enabled campaign budget ${normalizedBudgetId} in account ${normalizedCustomerId}`,
+      });
+    }
+
+    if (budget.period !== 'DAILY') {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported budget',
+        message: `Only daily budgets can be updated (budget ${normalizedBudgetId} has period ${budget.period})`,
+      });
+    }
+
+    const guardrails = getGuardrails(normalizedCustomerId);
+    const evaluation = evaluateBudgetChange({
+      currentAmount: budget.amount,
+      newAmount,
+      accountDailyTotal: sumDailyBudgets(budgets),
+    }, guardrails);
+
+    const change = {
+      budget_id: normalizedBudgetId,
+      resource_name: budget.resource_name,
+      shared: budget.shared,
+      previous_amount: budget.amount,
+      new_amount: newAmount,
+      change_percent: evaluation.change_percent,
+      account_daily_total_after: evaluation.account_daily_total_after,
+      requires_approval: evaluation.requires_approval,
+    };
+
+    logger.info('Budget change evaluated', {
+      customer_id: normalizedCustomerId,
+      budget_id: normalizedBudgetId,
+      from: budget.amount,
+      to: newAmount,
+      allowed: evaluation.allowed,
+      requires_approval: evaluation.requires_approval,
+    });
+
+    if (!evaluation.allowed) {
+      return res.status(422).json({
+        success: false,
+        error: 'Guardrail violation',
+        message: evaluation.violations.map(v => v.message).join('; '),
+        violations: evaluation.violations,
+        guardrails,
+        change,
+      });
+    }
+
+    // Dry runs report the approval requirement instead of enforcing it
+    const approved = hasAdminAccess(req);
+    if (evaluation.requires_approval && !approved && !validateOnly) {
+      return res.status(403).json({
+        success: false,
+        error: 'Approval required',
+        message: `New amount exceeds the ${guardrails.approval_threshold} approval threshold. An approver must resubmit this change with the X-Admin-Key header`,
+        guardrails,
+        change,
+      });
+    }
+
+    await executeMutate(
+      normalizedCustomerId,
+      accessToken,
+      [{
+        campaignBudgetOperation: {
+          update: { resourceName: budget.resource_name, amountMicros: String(newAmountMicros) },
+          updateMask: 'amount_micros',
+        },
+      }],
+      mccId,
+      connectionId,
+      { validateOnly }
+    );
+
+    return res.status(200).json({
+      success: true,
+      validate_only: validateOnly,
+      approved: evaluation.requires_approval ? approved : null,
+      guardrails,
+      change,
+    });
+
+  } catch (err) {
+    return sendErrorResponse(res, err, context);
+  }
+});
+
+module.exports.spec = {
+  method: 'post',
+  operationId: 'updateBudget',
+  summary: 'Change the daily amount of a campaign budget',
+  description: 'Sets a new daily amount for a budget after checking the spend guardrails (422 when violated). Large increases need an approver (403). Use validate_only=true to preview the change.',
+  consequential: true,
+  requestBody: {
+    type: 'object',
+    required: ['connection_id', 'customer_id', 'budget_id', 'amount'],
+    properties: {
+      connection_id: bodyProperties.connection_id,
+      customer_id: bodyProperties.customer_id,
+      login_customer_id: bodyProperties.login_customer_id,
+      budget_id: { type: 'string', description: 'Budget ID from /api/budgets' },
+      amount: { type: 'number', exclusiveMinimum: 0, description: 'New daily amount in account currency' },
+      validate_only: { ...bodyProperties.validate_only, default: false },
+    },
+  },
+  response: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      validate_only: { type: 'boolean' },
+      approved: { type: ['boolean', 'null'], description: 'Set when the change needed approval' },
+      guardrails: ref('Guardrails'),
+      change: {
+        type: 'object',
+        properties: {
+          budget_id: { type: 'string' },
+          resource_name: { type: 'string' },
+          shared: { type: 'boolean', description: 'Shared budgets affect every campaign using them' },
+          previous_amount: { type: 'number' },
+          new_amount: { type: 'number' },
+          change_percent: { type: ['number', 'null'] },
+          account_daily_total_after: { type: 'number' },
+          requires_approval: { type: 'boolean' },
+        },
+      },
+    },
+  },
+};
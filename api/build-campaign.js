@@ -1,22 +1,256 @@
 // api/build-campaign.js
+const { sendErrorResponse } = require("../utils/error-logger");
+const { readConnectionId } = require("../utils/credential-vault");
+const { getAccessTokenFromRefresh, executeGAQLQuery, executeMutate, normalizeCustomerId } = require("../utils/google-ads-api");
+const { buildPublishOperations, extractCreatedIds } = require("../utils/campaign-publisher");
+const { buildBudgetsQuery, toBudget, toAmountMicros, sumDailyBudgets } = require("../utils/campaign-budgets");
+const { getGuardrails, evaluateBudgetChange } = require("../utils/budget-guardrails");
+const { hasAdminAccess } = require("../utils/admin-auth");
+const { EDITOR_COLUMNS, buildEditorRows } = require("../utils/ads-editor-export");
+const { sendExport } = require("../utils/report-export");
+const { validateRsa } = require("../utils/ad-copy-validator");
+const { generateAdVariant } = require("../utils/ad-generator");
+const { logger, withRequestLogging } = require("../utils/logger");
+const { bodyProperties, ref } = require("../utils/openapi");
 
-// tiny CSV escaper (no deps)
-function csvEscape(v) {
-  if (v === null || v === undefined) return "";
-  const s = String(v);
-  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+const ACTIONS = ["export", "publish"];
+const EXPORT_FORMATS = ["csv", "ads_editor"];
+const EDITOR_ENCODINGS = ["utf-8", "utf-16"];
+
+/**
+ * Fills in the missing copy fields the chosen output needs by generating them from the brief
+ * (product_name, target_audience, tone, geo). Supplied copy is always kept as-is.
+ * @param {Object} body - build-campaign request body (updated in place)
+ * @param {Array<string>} fields - Copy fields the output needs (headlines, descriptions, cta_pool)
+ * @returns {Promise<Array<string>>} Names of the generated fields
+ */
+async function fillMissingCopy(body, fields) {
+  const missing = fields.filter(
+    key => !Array.isArray(body[key]) || body[key].length === 0
+  );
+  if (!body.product_name || missing.length === 0) return [];
+
+  const { product_name, target_audience, tone, geo, banned_phrases } = body;
+  const variant = await generateAdVariant({ product_name, target_audience, tone, geo }, { bannedPhrases: banned_phrases });
+  const generated = { headlines: variant.headlines, descriptions: variant.descriptions, cta_pool: variant.ctas };
+  missing.forEach(key => { body[key] = generated[key]; });
+  return missing;
+}
+
+/**
+ * Validates the brief's headlines, descriptions and paths and responds 422 on errors
+ * With auto_truncate, over-long text is shortened and extra assets dropped instead
+ * @param {Object} req - Request object (brief in req.body)
+ * @param {Object} res - Response object
+ * @param {boolean} checkCounts - Also enforce the RSA headline and description counts
+ * @returns {{brief: Object, validation: Object}|null} Brief with the validated copy, or null if a response was already sent
+ */
+function checkAdCopy(req, res, checkCounts) {
+  const body = req.body || {};
+  const validation = validateRsa(body, {
+    autoTruncate: body.auto_truncate === true || body.auto_truncate === "true",
+    bannedPhrases: body.banned_phrases,
+    checkCounts,
+  });
+
+  if (!validation.valid) {
+    res.status(422).json({
+      success: false,
+      error: "Ad copy validation failed",
+      violations: validation.violations,
+      truncated: validation.truncated,
+    });
+    return null;
+  }
+
+  if (validation.truncated.length > 0) {
+    res.setHeader("X-Ad-Copy-Truncated", validation.truncated.join(","));
+  }
+  return { brief: { ...body, ...validation.ad }, validation };
 }
 
-module.exports = (req, res) => {
+/**
+ * Publishes the brief as a paused Search campaign in one atomic googleAds:mutate call
+ * Defaults to validate_only so nothing is created unless the caller opts in
+ * The new budget is checked against the account's spend guardrails like any budget increase
+ */
+async function publishCampaign(req, res) {
+  const context = "POST /api/build-campaign (publish)";
+
+  try {
+    const body = req.body || {};
+    const { customer_id, login_customer_id } = body;
+    const validateOnly = !(body.validate_only === false || body.validate_only === "false");
+
+    const { connectionId, error: connectionError } = readConnectionId(req);
+    if (connectionError) {
+      return res.status(400).json({ success: false, error: "Invalid credentials", message: connectionError });
+    }
+
+    if (!customer_id || !connectionId || !body.product_name || !body.geo || !body.budget || !body.final_url) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required parameters",
+        message: "Publishing requires customer_id, connection_id, product_name, geo, budget and final_url",
+      });
+    }
+
+    // Validate the brief and build every operation before anything is sent to Google
+    const checked = checkAdCopy(req, res, true);
+    if (!checked) return;
+
+    const normalizedCustomerId = normalizeCustomerId(customer_id, "customer_id");
+    const mccId = login_customer_id ? normalizeCustomerId(login_customer_id, "login_customer_id") : null;
+    const { operations, names } = buildPublishOperations(normalizedCustomerId, checked.brief);
+    const budgetAmount = toAmountMicros(checked.brief.budget, "budget") / 1_000_000;
+
+    const accessToken = await getAccessTokenFromRefresh(connectionId);
+
+    // The new budget adds to the account's combined daily budget
+    const budgetResults = await executeGAQLQuery(normalizedCustomerId, accessToken, buildBudgetsQuery(), mccId, connectionId);
+    const guardrails = getGuardrails(normalizedCustomerId);
+    const evaluation = evaluateBudgetChange({
+      currentAmount: null,
+      newAmount: budgetAmount,
+      accountDailyTotal: sumDailyBudgets(budgetResults.map(r => toBudget(r.campaign_budget))),
+    }, guardrails);
+
+    const budgetCheck = {
+      new_amount: budgetAmount,
+      account_daily_total_after: evaluation.account_daily_total_after,
+      requires_approval: evaluation.requires_approval,
+    };
+
+    logger.info("New campaign budget evaluated", {
+      customer_id: normalizedCustomerId,
+      amount: budgetAmount,
+      allowed: evaluation.allowed,
+      requires_approval: evaluation.requires_approval,
+    });
+
+    if (!evaluation.allowed) {
+      return res.status(422).json({
+        success: false,
+        error: "Guardrail violation",
+        message: evaluation.violations.map(v => v.message).join("; "),
+        violations: evaluation.violations,
+        guardrails,
+        budget: budgetCheck,
+      });
+    }
+
+    // Dry runs report the approval requirement instead of enforcing it
+    const approved = hasAdminAccess(req);
+    if (evaluation.requires_approval && !approved && !validateOnly) {
+      return res.status(403).json({
+        success: false,
+        error: "Approval required",
+        message: `Budget exceeds the ${guardrails.approval_threshold} approval threshold. An approver must resubmit this campaign with the X-Admin-Key header`,
+        guardrails,
+        budget: budgetCheck,
+      });
+    }
+
+    const { responses } = await executeMutate(
+      normalizedCustomerId, accessToken, operations, mccId, connectionId, { validateOnly }
+    );
+
+    return res.status(200).json({
+      success: true,
+      validate_only: validateOnly,
+      status: "PAUSED",
+      operation_count: operations.length,
+      names,
+      approved: evaluation.requires_approval ? approved : null,
+      guardrails,
+      budget: budgetCheck,
+      created: extractCreatedIds(responses),
+      validation: {
+        violations: checked.validation.violations,
+        truncated: checked.validation.truncated,
+      },
+    });
+  } catch (err) {
+    return sendErrorResponse(res, err, context);
+  }
+}
+
+/**
+ * Exports the brief in Google Ads Editor's bulk import format
+ * utf-8 (default) is a comma-separated CSV; utf-16 is Editor's own UTF-16LE tab-separated format
+ */
+async function exportAdsEditor(req, res) {
+  const body = req.body || {};
+  const { product_name, geo, final_url, headlines = [], descriptions = [] } = body;
+  const encoding = String(body.encoding || req.query?.encoding || "utf-8").toLowerCase();
+
+  if (!EDITOR_ENCODINGS.includes(encoding)) {
+    res.status(400).json({ error: `encoding must be one of: ${EDITOR_ENCODINGS.join(", ")}` });
+    return;
+  }
+  if (!product_name || !geo || !final_url || headlines.length === 0 || descriptions.length === 0) {
+    res.status(400).json({
+      error: "Missing required fields (product_name, geo, final_url, headlines[], descriptions[])"
+    });
+    return;
+  }
+
+  const checked = checkAdCopy(req, res, true);
+  if (!checked) return;
+
+  await sendExport(res, {
+    format: encoding === "utf-16" ? "tsv" : "csv",
+    rows: buildEditorRows(checked.brief),
+    columns: EDITOR_COLUMNS,
+    filename: "ads_editor_import",
+  });
+}
+
+module.exports = withRequestLogging(async (req, res) => {
   if (req.method !== "POST") {
     res.status(405).json({ error: "Method not allowed" });
     return;
   }
 
+  req.body = { ...(req.body || {}) };
+  const action = req.body.action || "export";
+  if (!ACTIONS.includes(action)) {
+    res.status(400).json({ error: `action must be one of: ${ACTIONS.join(", ")}` });
+    return;
+  }
+
+  const exportFormat = req.body.export_format || req.query?.export_format || "csv";
+  if (action === "export" && !EXPORT_FORMATS.includes(exportFormat)) {
+    res.status(400).json({ error: `export_format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+    return;
+  }
+
+  // Copy the caller did not write is generated from the brief; CTAs only appear in the CSV export
+  try {
+    const neededFields = action === "export" && exportFormat === "csv"
+      ? ["headlines", "descriptions", "cta_pool"]
+      : ["headlines", "descriptions"];
+    const generatedFields = await fillMissingCopy(req.body, neededFields);
+    if (generatedFields.length > 0) {
+      res.setHeader("X-Generated-Fields", generatedFields.join(","));
+    }
+  } catch (err) {
+    logger.error("Ad copy generation failed", { error: err });
+    res.status(502).json({ error: "Failed to generate ad copy", details: err.message });
+    return;
+  }
+
+  if (action === "publish") {
+    return publishCampaign(req, res);
+  }
+  if (exportFormat === "ads_editor") {
+    return exportAdsEditor(req, res);
+  }
+
   try {
     const {
       product_name,
-      target_audience, // not used in export but accepted
+      target_audience, // used to generate missing copy
       geo,
       budget,
       tone,
@@ -36,14 +270,18 @@ module.exports = (req, res) => {
       return;
     }
 
+    const checked = checkAdCopy(req, res, false);
+    if (!checked) return;
+    const copy = checked.brief;
+
     // build rows
     const rows = [];
     for (let i = 0; i < n; i++) {
       rows.push({
         Campaign: `${product_name} - ${geo}`,
         AdGroup: `${product_name} - Core`,
-        Headline: headlines[i % headlines.length],
-        Description: descriptions[i % descriptions.length],
+        Headline: copy.headlines[i % copy.headlines.length],
+        Description: copy.descriptions[i % copy.descriptions.length],
         CTA: cta_pool[i % cta_pool.length],
         Geo: geo,
         Platform: platform || "Google Search",
@@ -52,8 +290,7 @@ module.exports = (req, res) => {
       });
     }
 
-    // headers
-    const headers = [
+    const columns = [
       "Campaign",
       "AdGroup",
       "Headline",
@@ -65,22 +302,81 @@ module.exports = (req, res) => {
       "Tone"
     ];
 
-    // assemble CSV
-    const lines = [];
-    lines.push(headers.join(","));
-    for (const r of rows) {
-      lines.push(headers.map(h => csvEscape(r[h])).join(","));
-    }
-    const csv = lines.join("\r\n");
-
-    res.setHeader("Content-Type", "text/csv; charset=utf-8");
-    res.setHeader(
-      "Content-Disposition",
-      'attachment; filename="bulk_ads_export.csv"'
-    );
-    res.status(200).send(csv);
+    await sendExport(res, { format: "csv", rows, columns, filename: "bulk_ads_export" });
   } catch (err) {
-    console.error(err);
+    logger.error("Failed to generate export", { error: err });
     res.status(500).json({ error: "Failed to generate export" });
   }
+});
+
+module.exports.spec = {
+  method: "post",
+  operationId: "buildCampaign",
+  summary: "Export or publish a Search campaign from a brief",
+  description: "Turns a brief into a bulk CSV, a Google Ads Editor import (export_format=ads_editor) or, with action=publish, a paused Search campaign in the account (a dry run unless validate_only=false). The new budget must pass the spend guardrails. Missing copy is generated.",
+  consequential: true,
+  requestBody: {
+    type: "object",
+    required: ["product_name", "geo"],
+    properties: {
+      action: { type: "string", enum: ACTIONS, default: "export", description: "publish creates the campaign in Google Ads" },
+      export_format: { type: "string", enum: EXPORT_FORMATS, default: "csv" },
+      encoding: { type: "string", enum: EDITOR_ENCODINGS, default: "utf-8", description: "ads_editor only; utf-16 is Editor's tab-separated format" },
+      connection_id: { ...bodyProperties.connection_id, description: "Required for action=publish" },
+      customer_id: { ...bodyProperties.customer_id, description: "Required for action=publish" },
+      login_customer_id: bodyProperties.login_customer_id,
+      validate_only: { ...bodyProperties.validate_only, default: true, description: "publish only: false creates the campaign" },
+      product_name: { type: "string" },
+      target_audience: { type: "string", description: "Used to generate missing copy" },
+      tone: { type: "string" },
+      geo: { type: "string", description: "Comma-separated country codes, e.g. US,CA" },
+      geo_target_ids: { type: "array", items: { type: "string" }, description: "Geo target constant IDs for other locations" },
+      budget: { type: "number", description: "Daily budget in account currency (required for publish)" },
+      cpc_bid: { type: "number", default: 1 },
+      final_url: { type: "string", format: "uri", description: "Landing page (required for publish and ads_editor)" },
+      headlines: { type: "array", items: { type: "string", maxLength: 30 }, minItems: 3, maxItems: 15 },
+      descriptions: { type: "array", items: { type: "string", maxLength: 90 }, minItems: 2, maxItems: 4 },
+      path1: { type: "string", maxLength: 15 },
+      path2: { type: "string", maxLength: 15 },
+      cta_pool: { type: "array", items: { type: "string" } },
+      num_variants: { type: "integer", minimum: 1, default: 1, description: "CSV export rows" },
+      platform: { type: "string", default: "Google Search" },
+      auto_truncate: { type: "boolean", default: false, description: "Shorten over-long copy instead of rejecting it" },
+      banned_phrases: bodyProperties.banned_phrases,
+    },
+  },
+  response: {
+    type: "object",
+    description: "action=publish; exports return a file",
+    properties: {
+      success: { type: "boolean" },
+      validate_only: { type: "boolean" },
+      status: { type: "string", const: "PAUSED" },
+      operation_count: { type: "integer" },
+      names: { type: "object", properties: { budget: { type: "string" }, campaign: { type: "string" }, ad_group: { type: "string" } } },
+      approved: { type: ["boolean", "null"], description: "Set when the budget needed approval" },
+      guardrails: ref("Guardrails"),
+      budget: {
+        type: "object",
+        properties: {
+          new_amount: { type: "number" },
+          account_daily_total_after: { type: "number" },
+          requires_approval: { type: "boolean" },
+        },
+      },
+      created: {
+        type: "object",
+        description: "IDs are null for validate_only",
+        properties: {
+          budget_id: { type: ["string", "null"] },
+          campaign_id: { type: ["string", "null"] },
+          ad_group_id: { type: ["string", "null"] },
+          ad_id: { type: ["string", "null"] },
+          location_criterion_ids: { type: "array", items: { type: "string" } },
+        },
+      },
+      validation: { type: "object", properties: { violations: { type: "array", items: { type: "object" } }, truncated: { type: "array", items: { type: "string" } } } },
+    },
+  },
+  exportFormats: ["csv", "tsv"],
 };
@@ -1,57 +1,130 @@
 // api/campaigns.js
 /**
  * Campaign Discovery Endpoint
- * Retrieves all campaign metadata for a given customer_id
+ * Retrieves all campaign metadata (including the campaign budget) for a given customer_id
+ * Supports page_size/cursor pagination (next_cursor in response)
+ * format=csv|xlsx|ndjson exports every campaign (budget flattened into budget.* columns)
  */
 
-const { logAndRespond, extractGoogleAdsError } = require('../utils/error-logger');
+const { sendErrorResponse } = require('../utils/error-logger');
+const { readConnectionId } = require('../utils/credential-vault');
+const { gaql } = require('../utils/gaql-builder');
 const { getAccessTokenFromRefresh, executeGAQLQuery, normalizeCustomerId } = require('../utils/google-ads-api');
+const { readCachePolicy } = require('../utils/gaql-cache');
+const { parsePaginationParams, paginate } = require('../utils/pagination');
+const { toBudget } = require('../utils/campaign-budgets');
+const { parseExportParams, flattenRecord, sendExport } = require('../utils/report-export');
+const { logger, withRequestLogging } = require('../utils/logger');
+const { params, ref, paginatedResponse } = require('../utils/openapi');
 
-module.exports = async (req, res) => {
+const DEFAULT_PAGE_SIZE = 500;
+
+const EXPORT_COLUMNS = [
+  'id',
+  'name',
+  'status',
+  'serving_status',
+  'advertising_channel_type',
+  'advertising_channel_sub_type',
+  'start_date',
+  'end_date',
+  'bidding_strategy_type',
+  'budget.id',
+  'budget.name',
+  'budget.status',
+  'budget.amount',
+  'budget.total_amount',
+  'budget.period',
+  'budget.delivery_method',
+  'budget.shared',
+];
+
+module.exports = withRequestLogging(async (req, res) => {
   const context = 'GET /api/campaigns';
   
   try {
-    const { customer_id, refresh_token, login_customer_id } = req.query;
-    
-    if (!customer_id || !refresh_token) {
+    const { customer_id, login_customer_id } = req.query;
+
+    const { connectionId, error: connectionError } = readConnectionId(req);
+    if (connectionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: connectionError,
+      });
+    }
+
+    if (!customer_id || !connectionId) {
       return res.status(400).json({
         success: false,
         error: 'Missing required parameters',
-        message: 'Both customer_id and refresh_token are required',
+        message: 'Both customer_id and connection_id are required',
+      });
+    }
+
+    const exportParams = parseExportParams(req.query);
+    if (exportParams.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: exportParams.error,
+      });
+    }
+
+    const pagination = parsePaginationParams(req.query, DEFAULT_PAGE_SIZE);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pagination parameters',
+        message: pagination.error,
       });
     }
 
     // Normalize customer ID (remove dashes)
-    const normalizedCustomerId = normalizeCustomerId(customer_id);
-    const mccId = login_customer_id ? normalizeCustomerId(login_customer_id) : null;
+    const normalizedCustomerId = normalizeCustomerId(customer_id, 'customer_id');
+    const mccId = login_customer_id ? normalizeCustomerId(login_customer_id, 'login_customer_id') : null;
 
     // Root Cause 3: Log MCC header usage
-    console.log(`[DEBUG] /api/campaigns - customer_id: ${normalizedCustomerId}`);
-    console.log(`[DEBUG] /api/campaigns - login_customer_id provided: ${login_customer_id || 'none'}`);
-    console.log(`[DEBUG] /api/campaigns - mccId resolved: ${mccId || 'none (will use env var if set)'}`);
+    logger.debug('Listing campaigns', {
+      customer_id: normalizedCustomerId,
+      login_customer_id: login_customer_id || null,
+      mcc_id: mccId || null,
+    });
 
     // Get access token
-    const accessToken = await getAccessTokenFromRefresh(refresh_token);
+    const accessToken = await getAccessTokenFromRefresh(connectionId);
+    const cache = readCachePolicy(req);
 
     // GAQL query to fetch all campaigns
-    const query = `
-      SELECT
-        campaign.id,
-        campaign.name,
-        campaign.status,
-        campaign.serving_status,
-        campaign.advertising_channel_type,
-        campaign.start_date,
-        campaign.end_date,
-        campaign.bidding_strategy_type,
-        campaign.advertising_channel_sub_type
-      FROM campaign
-      WHERE campaign.status IN ('ENABLED', 'PAUSED', 'REMOVED')
-      ORDER BY campaign.id
-    `;
+    const query = gaql()
+      .select([
+        'campaign.id',
+        'campaign.name',
+        'campaign.status',
+        'campaign.serving_status',
+        'campaign.advertising_channel_type',
+        'campaign.start_date',
+        'campaign.end_date',
+        'campaign.bidding_strategy_type',
+        'campaign.advertising_channel_sub_type',
+        'campaign_budget.id',
+        'campaign_budget.name',
+        'campaign_budget.resource_name',
+        'campaign_budget.status',
+        'campaign_budget.amount_micros',
+        'campaign_budget.total_amount_micros',
+        'campaign_budget.period',
+        'campaign_budget.delivery_method',
+        'campaign_budget.explicitly_shared',
+        'campaign_budget.reference_count',
+      ])
+      .from('campaign')
+      .whereEnum('campaign.status', 'IN', ['ENABLED', 'PAUSED', 'REMOVED'])
+      .orderBy('campaign.id')
+      .build();
 
     // Execute query
-    const results = await executeGAQLQuery(normalizedCustomerId, accessToken, query, mccId, refresh_token);
+    const results = await executeGAQLQuery(normalizedCustomerId, accessToken, query, mccId, connectionId, { cache });
 
     // Map results to response format
     const campaigns = results.map(r => ({
@@ -64,24 +137,63 @@ module.exports = async (req, res) => {
       start_date: r.campaign?.start_date || null,
       end_date: r.campaign?.end_date || null,
       bidding_strategy_type: r.campaign?.bidding_strategy_type || null,
+      budget: r.campaign_budget ? toBudget(r.campaign_budget) : null,
     }));
 
+    // File exports contain every campaign rather than one page
+    if (exportParams.format !== 'json') {
+      await sendExport(res, {
+        ...exportParams,
+        rows: campaigns.map(c => flattenRecord(c)),
+        columns: EXPORT_COLUMNS,
+        filename: `campaigns_${normalizedCustomerId}`,
+      });
+      return;
+    }
+
+    const page = paginate(campaigns, pagination);
+
     return res.status(200).json({
       success: true,
-      count: campaigns.length,
-      campaigns,
+      count: page.items.length,
+      total_count: page.total_count,
+      page_size: page.page_size,
+      next_cursor: page.next_cursor,
+      campaigns: page.items,
     });
 
   } catch (err) {
-    // Check if it's a known Google Ads API error
-    const googleAdsError = extractGoogleAdsError(err);
-    if (googleAdsError) {
-      const errorResponse = logAndRespond(err, context, { googleAdsErrorType: googleAdsError.type });
-      return res.status(400).json(errorResponse);
-    }
-
-    // Generic error handling
-    const errorResponse = logAndRespond(err, context);
-    return res.status(500).json(errorResponse);
+    return sendErrorResponse(res, err, context);
   }
+});
+
+module.exports.spec = {
+  method: 'get',
+  operationId: 'listCampaigns',
+  summary: 'List campaigns with their budgets',
+  description: 'Lists every enabled, paused and removed campaign of an account with its channel, bidding strategy and budget. Use the campaign IDs with the other endpoints.',
+  parameters: [
+    params.connectionId(),
+    params.customerId(),
+    params.loginCustomerId(),
+    params.pagination(DEFAULT_PAGE_SIZE),
+    params.format(),
+    params.fresh(),
+  ],
+  response: paginatedResponse('campaigns', {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      status: { type: 'string', enum: ['ENABLED', 'PAUSED', 'REMOVED', 'UNKNOWN'] },
+      serving_status: { type: 'string' },
+      advertising_channel_type: { type: 'string', description: 'SEARCH, DISPLAY, PERFORMANCE_MAX, VIDEO, ...' },
+      advertising_channel_sub_type: { type: ['string', 'null'] },
+      start_date: { type: ['string', 'null'] },
+      end_date: { type: ['string', 'null'] },
+      bidding_strategy_type: { type: ['string', 'null'] },
+      budget: { anyOf: [ref('Budget'), { type: 'null' }] },
+    },
+  }),
+  exportFormats: ['ndjson', 'csv', 'xlsx'],
 };
@@ -0,0 +1,41 @@
+// api/connections.js
+/**
+ * Connection Listing Endpoint
+ * Lists Google Ads connections stored in the credential vault (metadata only, never tokens)
+ * Requires the X-Admin-Key header to match ADMIN_API_KEY
+ */
+
+const { logAndRespond } = require('../utils/error-logger');
+const { hasAdminAccess } = require('../utils/admin-auth');
+const { listConnections } = require('../utils/credential-vault');
+const { withRequestLogging } = require('../utils/logger');
+
+module.exports = withRequestLogging(async (req, res) => {
+  const context = 'GET /api/connections';
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!hasAdminAccess(req)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: 'A valid X-Admin-Key header is required',
+    });
+  }
+
+  try {
+    const connections = await listConnections();
+
+    return res.status(200).json({
+      success: true,
+      count: connections.length,
+      connections,
+    });
+
+  } catch (err) {
+    const errorResponse = logAndRespond(err, context);
+    return res.status(500).json(errorResponse);
+  }
+});
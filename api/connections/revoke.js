@@ -0,0 +1,83 @@
+// api/connections/revoke.js
+/**
+ * Connection Revocation Endpoint
+ * Deletes a connection from the credential vault and revokes its refresh token with Google
+ * The connection ID itself authorizes the request (X-Connection-Id header or connection_id in the body)
+ */
+
+const { logAndRespond } = require('../../utils/error-logger');
+const { readConnectionId, deleteConnection } = require('../../utils/credential-vault');
+const { revokeRefreshToken } = require('../../utils/google-ads-api');
+const { logger, withRequestLogging } = require('../../utils/logger');
+const { bodyProperties } = require('../../utils/openapi');
+
+module.exports = withRequestLogging(async (req, res) => {
+  const context = 'POST /api/connections/revoke';
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const { connectionId, error: connectionError } = readConnectionId(req);
+    if (connectionError || !connectionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters',
+        message: connectionError || 'connection_id is required',
+      });
+    }
+
+    const refreshToken = await deleteConnection(connectionId);
+    if (!refreshToken) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: 'Unknown or already revoked connection_id',
+      });
+    }
+
+    // Local deletion already succeeded; upstream revocation is best effort
+    let revokedWithGoogle = false;
+    try {
+      revokedWithGoogle = await revokeRefreshToken(refreshToken);
+    } catch (revokeErr) {
+      logger.warn('Google revocation failed', { error: revokeErr });
+    }
+
+    return res.status(200).json({
+      success: true,
+      connection_id: connectionId,
+      revoked: true,
+      revoked_with_google: revokedWithGoogle,
+    });
+
+  } catch (err) {
+    const errorResponse = logAndRespond(err, context);
+    return res.status(500).json(errorResponse);
+  }
+});
+
+module.exports.spec = {
+  method: 'post',
+  operationId: 'revokeConnection',
+  summary: 'Disconnect the Google Ads account',
+  description: 'Deletes the connection and revokes its access with Google. The connection_id stops working; the user has to connect again through /api/auth.',
+  consequential: true,
+  requestBody: {
+    type: 'object',
+    required: ['connection_id'],
+    properties: {
+      connection_id: bodyProperties.connection_id,
+    },
+  },
+  response: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      connection_id: { type: 'string' },
+      revoked: { type: 'boolean' },
+      revoked_with_google: { type: 'boolean' },
+    },
+  },
+};
@@ -1,17 +1,26 @@
 // api/create-test-account.js
 const { GoogleAdsApi } = require("google-ads-api");
+const { readConnectionId, getRefreshToken, CredentialError } = require("../utils/credential-vault");
+const { invalidateCustomer } = require("../utils/gaql-cache");
+const { logger, withRequestLogging } = require("../utils/logger");
 
 const CLIENT_ID = process.env.GADS_CLIENT_ID;
 const CLIENT_SECRET = process.env.GADS_CLIENT_SECRET;
 const DEVELOPER_TOKEN = process.env.GADS_DEVELOPER_TOKEN;
 const MANAGER_ID = process.env.GADS_MANAGER_ID; // Your MCC ID (no dashes)
 
-module.exports = async (req, res) => {
+module.exports = withRequestLogging(async (req, res) => {
   try {
-    const { refresh_token } = req.query;
-    if (!refresh_token) {
-      return res.status(400).json({ error: "Missing refresh_token" });
+    const { connectionId, error: connectionError } = readConnectionId(req);
+    if (connectionError) {
+      return res.status(400).json({ error: connectionError });
     }
+    if (!connectionId) {
+      return res.status(400).json({ error: "Missing connection_id" });
+    }
+
+    // Resolve the stored refresh token server-side
+    const refresh_token = await getRefreshToken(connectionId);
 
     // Init client
     const client = new GoogleAdsApi({
@@ -40,12 +49,20 @@ module.exports = async (req, res) => {
       ],
     });
 
+    // The manager's cached customer_client rows would hide the new account until they expire
+    if (MANAGER_ID) {
+      await invalidateCustomer(String(MANAGER_ID).replace(/-/g, ""));
+    }
+
     return res.status(200).json(result);
   } catch (err) {
-    console.error("Create test account error:", err);
+    if (err instanceof CredentialError) {
+      return res.status(401).json({ error: err.message });
+    }
+    logger.error("Create test account error", { error: err });
     return res.status(500).json({
       error: "Failed to create test account",
       details: err.message,
     });
   }
-};
+});
@@ -0,0 +1,121 @@
+// api/generate-ads.js
+/**
+ * Ad Copy Generation Endpoint
+ * Generates RSA-ready headlines, descriptions and CTAs from a product brief with an LLM provider
+ * Every returned line is length-validated and deduplicated; out-of-spec lines are regenerated
+ */
+
+const { logAndRespond } = require('../utils/error-logger');
+const { generateAdVariants, getAdCopyProvider } = require('../utils/ad-generator');
+const { RSA_COUNTS } = require('../utils/ad-copy-validator');
+const { withRequestLogging } = require('../utils/logger');
+const { bodyProperties } = require('../utils/openapi');
+
+const MAX_VARIANTS = 5;
+
+module.exports = withRequestLogging(async (req, res) => {
+  const context = 'POST /api/generate-ads';
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const body = (req.body && typeof req.body === 'object') ? req.body : {};
+    const {
+      product_name,
+      target_audience,
+      tone,
+      geo,
+      num_variants = 1,
+      num_headlines = RSA_COUNTS.headlines.max,
+      num_descriptions = RSA_COUNTS.descriptions.max,
+      banned_phrases,
+    } = body;
+
+    if (!product_name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters',
+        message: 'product_name is required',
+      });
+    }
+
+    const variantCount = Number(num_variants);
+    const headlineCount = Number(num_headlines);
+    const descriptionCount = Number(num_descriptions);
+    if (!Number.isInteger(variantCount) || variantCount < 1 || variantCount > MAX_VARIANTS
+      || !Number.isInteger(headlineCount) || headlineCount < RSA_COUNTS.headlines.min || headlineCount > RSA_COUNTS.headlines.max
+      || !Number.isInteger(descriptionCount) || descriptionCount < RSA_COUNTS.descriptions.min || descriptionCount > RSA_COUNTS.descriptions.max) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: `num_variants must be 1-${MAX_VARIANTS}, num_headlines ${RSA_COUNTS.headlines.min}-${RSA_COUNTS.headlines.max} and num_descriptions ${RSA_COUNTS.descriptions.min}-${RSA_COUNTS.descriptions.max}`,
+      });
+    }
+
+    const brief = { product_name, target_audience, tone, geo };
+    const variants = await generateAdVariants(brief, variantCount, {
+      numHeadlines: headlineCount,
+      numDescriptions: descriptionCount,
+      bannedPhrases: banned_phrases,
+    });
+
+    return res.status(200).json({
+      success: variants.every(v => v.complete),
+      provider: getAdCopyProvider().name || 'custom',
+      brief,
+      count: variants.length,
+      variants,
+    });
+
+  } catch (err) {
+    // Provider failures (missing API key, upstream errors, unparseable output)
+    const errorResponse = logAndRespond(err, context);
+    return res.status(502).json(errorResponse);
+  }
+});
+
+module.exports.spec = {
+  method: 'post',
+  operationId: 'generateAdCopy',
+  summary: 'Generate responsive search ad copy',
+  description: 'Writes RSA headlines, descriptions and CTAs from a product brief. Every line is checked against Google Ads length and editorial rules; rejected lines are listed with the reason.',
+  consequential: false,
+  requestBody: {
+    type: 'object',
+    required: ['product_name'],
+    properties: {
+      product_name: { type: 'string' },
+      target_audience: { type: 'string' },
+      tone: { type: 'string', description: 'e.g. friendly, premium, urgent' },
+      geo: { type: 'string', description: 'Target market, e.g. US' },
+      num_variants: { type: 'integer', minimum: 1, maximum: MAX_VARIANTS, default: 1 },
+      num_headlines: { type: 'integer', minimum: RSA_COUNTS.headlines.min, maximum: RSA_COUNTS.headlines.max, default: RSA_COUNTS.headlines.max },
+      num_descriptions: { type: 'integer', minimum: RSA_COUNTS.descriptions.min, maximum: RSA_COUNTS.descriptions.max, default: RSA_COUNTS.descriptions.max },
+      banned_phrases: bodyProperties.banned_phrases,
+    },
+  },
+  response: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', description: 'false when a variant is incomplete' },
+      provider: { type: 'string' },
+      brief: { type: 'object', additionalProperties: true },
+      count: { type: 'integer' },
+      variants: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            headlines: { type: 'array', items: { type: 'string' } },
+            descriptions: { type: 'array', items: { type: 'string' } },
+            ctas: { type: 'array', items: { type: 'string' } },
+            complete: { type: 'boolean' },
+            rejected: { type: 'array', items: { type: 'object', properties: { text: { type: 'string' }, reasons: { type: 'array', items: { type: 'string' } } } } },
+          },
+        },
+      },
+    },
+  },
+};
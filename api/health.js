@@ -0,0 +1,77 @@
+// api/health.js
+/**
+ * Health Endpoint
+ * Reports Google Ads client settings, developer token quota usage and per-customer concurrency
+ * status is "degraded" after a recent quota error or when the daily budget is nearly used up
+ * Per-customer usage and the customer and message of the last quota error are only included
+ * for callers with a valid X-Admin-Key header
+ * Counters are per serverless instance (see utils/quota-tracker.js)
+ */
+
+const { logAndRespond } = require('../utils/error-logger');
+const { hasAdminAccess } = require('../utils/admin-auth');
+const { getClientStatus } = require('../utils/google-ads-api');
+const { getQuotaStatus } = require('../utils/quota-tracker');
+const { withRequestLogging } = require('../utils/logger');
+
+// Share of the daily budget below which the service reports itself as degraded
+const LOW_QUOTA_RATIO = 0.1;
+
+/**
+ * Strips the customer ID and Google's message from a quota error for non-admin callers
+ * @param {Object|null} error - last_quota_error from getQuotaStatus
+ * @returns {Object|null} Error without customer_id and message
+ */
+function redactQuotaError(error) {
+  if (!error) return null;
+  const { customer_id, message, ...rest } = error;
+  return rest;
+}
+
+module.exports = withRequestLogging(async (req, res) => {
+  const context = 'GET /api/health';
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const { by_customer, last_quota_error, ...quota } = getQuotaStatus();
+    const { concurrency, ...client } = getClientStatus();
+    const admin = hasAdminAccess(req);
+
+    const lowQuota = quota.remaining_estimate < quota.daily_limit * LOW_QUOTA_RATIO;
+    const degraded = quota.rate_limited_recently || lowQuota;
+
+    return res.status(200).json({
+      success: true,
+      status: degraded ? 'degraded' : 'ok',
+      timestamp: new Date().toISOString(),
+      ...client,
+      quota: admin ? { ...quota, last_quota_error, by_customer } : { ...quota, last_quota_error: redactQuotaError(last_quota_error) },
+      concurrency: admin ? concurrency : { limit: concurrency.limit, queued: concurrency.queued },
+    });
+
+  } catch (err) {
+    const errorResponse = logAndRespond(err, context);
+    return res.status(500).json(errorResponse);
+  }
+});
+
+module.exports.spec = {
+  method: 'get',
+  operationId: 'getHealth',
+  summary: 'Service health and Google Ads quota usage',
+  description: 'Reports whether the service is ok or degraded (recent rate limiting or low remaining daily quota), with today\'s request counts. Check this when calls fail with 429.',
+  response: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      status: { type: 'string', enum: ['ok', 'degraded'] },
+      timestamp: { type: 'string', format: 'date-time' },
+      api_version: { type: 'string' },
+      quota: { type: 'object', additionalProperties: true },
+      concurrency: { type: 'object', additionalProperties: true },
+    },
+  },
+};
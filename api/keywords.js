@@ -0,0 +1,358 @@
+// api/keywords.js
+/**
+ * Keyword Performance Endpoint
+ * Retrieves keywords (ad_group_criterion) with bids, quality score components
+ * and metrics (keyword_view) for a campaign or ad group
+ * Supports page_size/cursor pagination (next_cursor in response)
+ * format=csv|xlsx|ndjson exports every keyword (bids, quality and metrics as dotted columns)
+ */
+
+const { sendErrorResponse, isRequestError } = require('../utils/error-logger');
+const { readConnectionId } = require('../utils/credential-vault');
+const { gaql, parseId } = require('../utils/gaql-builder');
+const { getAccessTokenFromRefresh, executeGAQLQuery, normalizeCustomerId } = require('../utils/google-ads-api');
+const { readCachePolicy } = require('../utils/gaql-cache');
+const { fromMicros } = require('../utils/campaign-budgets');
+const { parsePaginationParams, paginate } = require('../utils/pagination');
+const { DATE_RANGE_PRESETS, isValidDateRangePreset } = require('../utils/date-range');
+const { parseExportParams, flattenRecord, sendExport } = require('../utils/report-export');
+const { logger, withRequestLogging } = require('../utils/logger');
+const { params, paginatedResponse } = require('../utils/openapi');
+
+const DEFAULT_PAGE_SIZE = 500;
+
+const EXPORT_COLUMNS = [
+  'id',
+  'campaign_id',
+  'campaign_name',
+  'ad_group_id',
+  'ad_group_name',
+  'text',
+  'match_type',
+  'status',
+  'negative',
+  'approval_status',
+  'bids.cpc_bid',
+  'bids.effective_cpc_bid',
+  'bids.first_page_cpc',
+  'quality.score',
+  'quality.expected_ctr',
+  'quality.ad_relevance',
+  'quality.landing_page_experience',
+  'metrics.impressions',
+  'metrics.clicks',
+  'metrics.ctr',
+  'metrics.average_cpc',
+  'metrics.conversions',
+  'metrics.conversion_rate',
+  'metrics.cost',
+  'metrics.cost_per_conversion',
+  'metrics.conversions_value',
+];
+
+/**
+ * Builds an empty metrics object for keywords without activity in the date range
+ * @returns {Object} Zeroed metrics
+ */
+function emptyKeywordMetrics() {
+  return {
+    impressions: 0,
+    clicks: 0,
+    ctr: 0,
+    average_cpc: 0,
+    conversions: 0,
+    conversion_rate: 0,
+    cost_micros: 0,
+    cost: 0,
+    cost_per_conversion: 0,
+    conversions_value: 0,
+  };
+}
+
+module.exports = withRequestLogging(async (req, res) => {
+  const context = 'GET /api/keywords';
+
+  try {
+    const {
+      customer_id,
+      login_customer_id,
+      campaign_id,
+      ad_group_id,
+      date_range = 'LAST_30_DAYS',
+      include_negatives = 'false', // If true, includes negative keywords (no metrics)
+    } = req.query;
+
+    const { connectionId, error: connectionError } = readConnectionId(req);
+    if (connectionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: connectionError,
+      });
+    }
+
+    if (!customer_id || !connectionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters',
+        message: 'Both customer_id and connection_id are required',
+      });
+    }
+
+    // Keyword lists are only fetched for a bounded scope
+    if (!campaign_id && !ad_group_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters',
+        message: 'Either campaign_id or ad_group_id is required',
+      });
+    }
+
+    const normalizedCampaignId = campaign_id ? parseId(campaign_id, 'campaign_id') : null;
+    const normalizedAdGroupId = ad_group_id ? parseId(ad_group_id, 'ad_group_id') : null;
+
+    if (!isValidDateRangePreset(date_range)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: `date_range must be one of: ${DATE_RANGE_PRESETS.join(', ')}`,
+      });
+    }
+
+    const exportParams = parseExportParams(req.query);
+    if (exportParams.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: exportParams.error,
+      });
+    }
+
+    const pagination = parsePaginationParams(req.query, DEFAULT_PAGE_SIZE);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pagination parameters',
+        message: pagination.error,
+      });
+    }
+
+    /**
+     * Restricts a query to the requested campaign and/or ad group
+     * @param {Object} query - GAQL builder
+     * @returns {Object} Builder
+     */
+    const scoped = (query) => {
+      if (normalizedCampaignId) query.whereId('campaign.id', normalizedCampaignId, 'campaign_id');
+      if (normalizedAdGroupId) query.whereId('ad_group.id', normalizedAdGroupId, 'ad_group_id');
+      return query;
+    };
+
+    // Keyword definitions, bids and quality score components
+    const criteriaQuery = scoped(gaql()
+      .select([
+        'campaign.id',
+        'campaign.name',
+        'ad_group.id',
+        'ad_group.name',
+        'ad_group_criterion.criterion_id',
+        'ad_group_criterion.keyword.text',
+        'ad_group_criterion.keyword.match_type',
+        'ad_group_criterion.status',
+        'ad_group_criterion.negative',
+        'ad_group_criterion.approval_status',
+        'ad_group_criterion.cpc_bid_micros',
+        'ad_group_criterion.effective_cpc_bid_micros',
+        'ad_group_criterion.position_estimates.first_page_cpc_micros',
+        'ad_group_criterion.quality_info.quality_score',
+        'ad_group_criterion.quality_info.search_predicted_ctr',
+        'ad_group_criterion.quality_info.creative_quality_score',
+        'ad_group_criterion.quality_info.post_click_quality_score',
+      ])
+      .from('ad_group_criterion')
+      .whereEnum('ad_group_criterion.type', '=', 'KEYWORD')
+      .whereEnum('ad_group_criterion.status', '!=', 'REMOVED'));
+    if (include_negatives !== 'true') {
+      criteriaQuery.whereBoolean('ad_group_criterion.negative', false);
+    }
+    criteriaQuery
+      .orderBy('ad_group.id')
+      .orderBy('ad_group_criterion.criterion_id');
+
+    // Keyword metrics over the requested date range (aggregated, no date segment)
+    const metricsQuery = scoped(gaql()
+      .select([
+        'ad_group.id',
+        'ad_group_criterion.criterion_id',
+        'metrics.impressions',
+        'metrics.clicks',
+        'metrics.conversions',
+        'metrics.cost_micros',
+        'metrics.conversions_value',
+      ])
+      .from('keyword_view')
+      .whereDuring('segments.date', date_range))
+      .build();
+
+    // Normalize customer ID (remove dashes)
+    const normalizedCustomerId = normalizeCustomerId(customer_id, 'customer_id');
+    const mccId = login_customer_id ? normalizeCustomerId(login_customer_id, 'login_customer_id') : null;
+
+    // Get access token
+    const accessToken = await getAccessTokenFromRefresh(connectionId);
+    const cache = readCachePolicy(req);
+
+    const criteriaResults = await executeGAQLQuery(normalizedCustomerId, accessToken, criteriaQuery.build(), mccId, connectionId, { cache });
+
+    // Build metrics map keyed by ad group + criterion ID
+    const metricsMap = {};
+    try {
+      const metricsResults = await executeGAQLQuery(normalizedCustomerId, accessToken, metricsQuery, mccId, connectionId, { cache });
+      metricsResults.forEach(r => {
+        const key = `${r.ad_group?.id}~${r.ad_group_criterion?.criterion_id}`;
+        const metrics = metricsMap[key] || emptyKeywordMetrics();
+        metrics.impressions += parseInt(r.metrics?.impressions || 0);
+        metrics.clicks += parseInt(r.metrics?.clicks || 0);
+        metrics.conversions += parseFloat(r.metrics?.conversions || 0);
+        metrics.cost_micros += parseInt(r.metrics?.cost_micros || 0);
+        metrics.conversions_value += parseFloat(r.metrics?.conversions_value || 0);
+        metricsMap[key] = metrics;
+      });
+
+      // Recalculate derived metrics
+      Object.values(metricsMap).forEach(metrics => {
+        metrics.ctr = metrics.impressions > 0 ? metrics.clicks / metrics.impressions : 0;
+        metrics.average_cpc = metrics.clicks > 0 ? metrics.cost_micros / metrics.clicks / 1_000_000 : 0;
+        metrics.conversion_rate = metrics.clicks > 0 ? metrics.conversions / metrics.clicks : 0;
+        metrics.cost = metrics.cost_micros / 1_000_000;
+        metrics.cost_per_conversion = metrics.conversions > 0 ? metrics.cost / metrics.conversions : 0;
+      });
+    } catch (metricsError) {
+      // Keywords are still useful without metrics, but permission, quota and credential errors go to the caller
+      if (isRequestError(metricsError)) throw metricsError;
+      logger.warn('Metrics query failed', { error: metricsError });
+    }
+
+    const keywords = criteriaResults.map(r => {
+      const criterion = r.ad_group_criterion || {};
+      const quality = criterion.quality_info || {};
+      const adGroupId = r.ad_group?.id?.toString() || null;
+      const criterionId = criterion.criterion_id?.toString() || null;
+
+      return {
+        id: criterionId,
+        campaign_id: r.campaign?.id?.toString() || null,
+        campaign_name: r.campaign?.name || 'Unnamed Campaign',
+        ad_group_id: adGroupId,
+        ad_group_name: r.ad_group?.name || 'Unnamed Ad Group',
+        text: criterion.keyword?.text || null,
+        match_type: criterion.keyword?.match_type || 'UNKNOWN',
+        status: criterion.status || 'UNKNOWN',
+        negative: criterion.negative || false,
+        approval_status: criterion.approval_status || 'UNKNOWN',
+        bids: {
+          cpc_bid_micros: criterion.cpc_bid_micros ? parseInt(criterion.cpc_bid_micros) : null,
+          cpc_bid: fromMicros(criterion.cpc_bid_micros),
+          effective_cpc_bid_micros: criterion.effective_cpc_bid_micros ? parseInt(criterion.effective_cpc_bid_micros) : null,
+          effective_cpc_bid: fromMicros(criterion.effective_cpc_bid_micros),
+          first_page_cpc: fromMicros(criterion.position_estimates?.first_page_cpc_micros),
+        },
+        quality: {
+          score: quality.quality_score ? parseInt(quality.quality_score) : null,
+          expected_ctr: quality.search_predicted_ctr || 'UNKNOWN',
+          ad_relevance: quality.creative_quality_score || 'UNKNOWN',
+          landing_page_experience: quality.post_click_quality_score || 'UNKNOWN',
+        },
+        metrics: metricsMap[`${adGroupId}~${criterionId}`] || emptyKeywordMetrics(),
+      };
+    });
+
+    // File exports contain every keyword rather than one page
+    if (exportParams.format !== 'json') {
+      await sendExport(res, {
+        ...exportParams,
+        rows: keywords.map(k => flattenRecord(k)),
+        columns: EXPORT_COLUMNS,
+        filename: `keywords_${normalizedAdGroupId || normalizedCampaignId}`,
+      });
+      return;
+    }
+
+    const page = paginate(keywords, pagination);
+
+    return res.status(200).json({
+      success: true,
+      campaign_id: normalizedCampaignId,
+      ad_group_id: normalizedAdGroupId,
+      date_range,
+      count: page.items.length,
+      total_count: page.total_count,
+      page_size: page.page_size,
+      next_cursor: page.next_cursor,
+      keywords: page.items,
+    });
+
+  } catch (err) {
+    return sendErrorResponse(res, err, context);
+  }
+});
+
+module.exports.spec = {
+  method: 'get',
+  operationId: 'listKeywords',
+  summary: 'Keywords with bids, quality score and metrics',
+  description: 'Lists the keywords of a campaign or ad group (one of campaign_id or ad_group_id is required) with match type, bids, quality score components and metrics for date_range.',
+  parameters: [
+    params.connectionId(),
+    params.customerId(),
+    params.id('campaign_id', 'Campaign to list keywords for (campaign_id or ad_group_id is required)'),
+    params.id('ad_group_id', 'Ad group to list keywords for'),
+    params.loginCustomerId(),
+    params.dateRange(),
+    { name: 'include_negatives', in: 'query', description: 'true also lists negative keywords (without metrics)', schema: { type: 'boolean', default: false } },
+    params.pagination(DEFAULT_PAGE_SIZE),
+    params.format(),
+    params.fresh(),
+  ],
+  response: paginatedResponse('keywords', {
+    type: 'object',
+    properties: {
+      id: { type: 'string', description: 'Criterion ID' },
+      campaign_id: { type: 'string' },
+      campaign_name: { type: 'string' },
+      ad_group_id: { type: 'string' },
+      ad_group_name: { type: 'string' },
+      text: { type: ['string', 'null'] },
+      match_type: { type: 'string', enum: ['EXACT', 'PHRASE', 'BROAD', 'UNKNOWN'] },
+      status: { type: 'string' },
+      negative: { type: 'boolean' },
+      approval_status: { type: 'string' },
+      bids: {
+        type: 'object',
+        properties: {
+          cpc_bid: { type: ['number', 'null'] },
+          effective_cpc_bid: { type: ['number', 'null'] },
+          first_page_cpc: { type: ['number', 'null'] },
+        },
+      },
+      quality: {
+        type: 'object',
+        properties: {
+          score: { type: ['integer', 'null'], description: 'Quality score 1-10' },
+          expected_ctr: { type: 'string' },
+          ad_relevance: { type: 'string' },
+          landing_page_experience: { type: 'string' },
+        },
+      },
+      metrics: {
+        type: 'object',
+        properties: Object.fromEntries(Object.keys(emptyKeywordMetrics()).map(name => [name, { type: 'number' }])),
+      },
+    },
+  }, {
+    campaign_id: { type: ['string', 'null'] },
+    ad_group_id: { type: ['string', 'null'] },
+    date_range: { type: 'string' },
+  }),
+  exportFormats: ['ndjson', 'csv', 'xlsx'],
+};
@@ -1,28 +1,80 @@
 // api/mcc-accounts.js
 /**
  * MCC / Account List Endpoint
- * Lists all sub-accounts accessible under a given MCC
+ * Lists the full account hierarchy under a given MCC: sub-managers, client accounts,
+ * hidden and cancelled accounts, each with its level, parent manager and the
+ * login_customer_id to use when querying it
+ * view=flat (default, depth-first list) or view=tree (nested children)
+ * format=csv|xlsx|ndjson exports the flat list
  */
 
-const { logAndRespond, extractGoogleAdsError } = require('../utils/error-logger');
-const { getAccessTokenFromRefresh, executeGAQLQuery, normalizeCustomerId } = require('../utils/google-ads-api');
+const { sendErrorResponse } = require('../utils/error-logger');
+const { readConnectionId } = require('../utils/credential-vault');
+const { getAccessTokenFromRefresh, listAccessibleCustomers, normalizeCustomerId } = require('../utils/google-ads-api');
+const { readCachePolicy } = require('../utils/gaql-cache');
+const { parseExportParams, flattenRecord, sendExport } = require('../utils/report-export');
+const { fetchAccountHierarchy, buildAccountTree, flattenAccountTree } = require('../utils/customer-clients');
+const { logger, withRequestLogging } = require('../utils/logger');
+const { params } = require('../utils/openapi');
 
-module.exports = async (req, res) => {
+const VIEWS = ['flat', 'tree'];
+
+const EXPORT_COLUMNS = [
+  'id',
+  'name',
+  'level',
+  'parent_id',
+  'login_customer_id',
+  'is_manager',
+  'status',
+  'is_hidden',
+  'is_cancelled',
+  'is_test_account',
+  'currency_code',
+  'time_zone',
+  'path',
+  'error',
+];
+
+module.exports = withRequestLogging(async (req, res) => {
   const context = 'GET /api/mcc-accounts';
   
   try {
-    const { refresh_token, manager_customer_id } = req.query;
-    
-    if (!refresh_token) {
+    const { manager_customer_id, view = 'flat' } = req.query;
+
+    const { connectionId, error: connectionError } = readConnectionId(req);
+    if (connectionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: connectionError,
+      });
+    }
+
+    if (!connectionId) {
       return res.status(400).json({
         success: false,
         error: 'Missing required parameters',
-        message: 'refresh_token is required',
+        message: 'connection_id is required',
       });
     }
 
-    // Get access token
-    const accessToken = await getAccessTokenFromRefresh(refresh_token);
+    const exportParams = parseExportParams(req.query);
+    if (exportParams.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: exportParams.error,
+      });
+    }
+
+    if (!VIEWS.includes(view)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: `view must be one of: ${VIEWS.join(', ')}`,
+      });
+    }
 
     // Use manager_customer_id if provided, otherwise use GADS_MANAGER_ID from env
     let mccId = manager_customer_id;
@@ -39,61 +91,101 @@ module.exports = async (req, res) => {
     }
 
     // Normalize MCC ID (remove dashes)
-    const normalizedMccId = normalizeCustomerId(mccId);
-
-    // GAQL query to fetch client accounts
-    const query = `
-      SELECT
-        customer_client.id,
-        customer_client.descriptive_name,
-        customer_client.currency_code,
-        customer_client.time_zone,
-        customer_client.status,
-        customer_client.manager,
-        customer_client.test_account,
-        customer_client.id
-      FROM customer_client
-      WHERE customer_client.manager = false
-      ORDER BY customer_client.descriptive_name
-    `;
-
-    // Execute query (query the MCC account itself)
-    const results = await executeGAQLQuery(normalizedMccId, accessToken, query, normalizedMccId, refresh_token);
-
-    // Map results to response format
-    const accounts = results.map(r => ({
-      id: r.customer_client?.id?.toString() || null,
-      name: r.customer_client?.descriptive_name || 'Unnamed Account',
-      currency_code: r.customer_client?.currency_code || null,
-      time_zone: r.customer_client?.time_zone || null,
-      status: r.customer_client?.status || 'UNKNOWN',
-      is_manager: r.customer_client?.manager || false,
-      is_test_account: r.customer_client?.test_account || false,
-    }));
-
-    return res.status(200).json({
+    const normalizedMccId = normalizeCustomerId(String(mccId), 'manager_customer_id');
+
+    // Get access token
+    const accessToken = await getAccessTokenFromRefresh(connectionId);
+    const cache = readCachePolicy(req);
+
+    // Managers the user can reach directly decide each account's login_customer_id
+    let accessibleIds = null;
+    try {
+      accessibleIds = await listAccessibleCustomers(accessToken, connectionId);
+    } catch (accessErr) {
+      logger.warn('listAccessibleCustomers failed, using the root manager as login_customer_id', { error: accessErr });
+    }
+
+    const hierarchy = await fetchAccountHierarchy(normalizedMccId, accessToken, connectionId, accessibleIds || [], { cache });
+    const tree = buildAccountTree(hierarchy);
+    const accounts = flattenAccountTree(tree);
+
+    if (exportParams.format !== 'json') {
+      await sendExport(res, {
+        ...exportParams,
+        rows: accounts.map(a => flattenRecord(a)),
+        columns: EXPORT_COLUMNS,
+        filename: `mcc_accounts_${normalizedMccId}`,
+      });
+      return;
+    }
+
+    const response = {
       success: true,
       manager_account_id: normalizedMccId,
+      accessible_customer_ids: accessibleIds,
+      view,
       count: accounts.length,
-      accounts,
-    });
+      manager_count: accounts.filter(a => a.is_manager).length,
+      max_level: accounts.reduce((max, a) => Math.max(max, a.level), 0),
+    };
 
-  } catch (err) {
-    // Check if it's a known Google Ads API error
-    const googleAdsError = extractGoogleAdsError(err);
-    if (googleAdsError) {
-      const errorResponse = logAndRespond(err, context, { googleAdsErrorType: googleAdsError.type });
-      
-      // Handle specific error: REQUESTED_METRICS_FOR_MANAGER
-      if (googleAdsError.type === 'REQUESTED_METRICS_FOR_MANAGER') {
-        errorResponse.message = 'Cannot query metrics for manager accounts. Query individual client accounts instead.';
-      }
-      
-      return res.status(400).json(errorResponse);
+    if (view === 'tree') {
+      response.tree = tree;
+    } else {
+      response.accounts = accounts;
     }
 
-    // Generic error handling
-    const errorResponse = logAndRespond(err, context);
-    return res.status(500).json(errorResponse);
+    return res.status(200).json(response);
+
+  } catch (err) {
+    return sendErrorResponse(res, err, context);
   }
+});
+
+const ACCOUNT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    level: { type: 'integer', description: '0 for the root manager' },
+    parent_id: { type: ['string', 'null'] },
+    login_customer_id: { type: 'string', description: 'Pass as login_customer_id when querying this account' },
+    is_manager: { type: 'boolean' },
+    status: { type: 'string' },
+    is_hidden: { type: 'boolean' },
+    is_cancelled: { type: 'boolean' },
+    is_test_account: { type: 'boolean' },
+    currency_code: { type: ['string', 'null'] },
+    time_zone: { type: ['string', 'null'] },
+    path: { type: 'array', items: { type: 'string' }, description: 'Manager IDs from the root down to the account' },
+  },
+};
+
+module.exports.spec = {
+  method: 'get',
+  operationId: 'listManagerAccounts',
+  summary: 'Account hierarchy under a manager (MCC)',
+  description: 'Lists every account under a manager: sub-managers, clients, hidden and cancelled accounts, with level, parent and the login_customer_id to use for each. Call this first to find customer IDs.',
+  parameters: [
+    params.connectionId(),
+    params.id('manager_customer_id', 'Manager account ID (defaults to the server\'s GADS_MANAGER_ID)'),
+    { name: 'view', in: 'query', description: 'flat list or nested tree', schema: { type: 'string', enum: VIEWS, default: 'flat' } },
+    params.format(),
+    params.fresh(),
+  ],
+  response: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      manager_account_id: { type: 'string' },
+      accessible_customer_ids: { type: ['array', 'null'], items: { type: 'string' } },
+      view: { type: 'string' },
+      count: { type: 'integer' },
+      manager_count: { type: 'integer' },
+      max_level: { type: 'integer' },
+      accounts: { type: 'array', items: ACCOUNT_SCHEMA, description: 'view=flat' },
+      tree: { type: 'object', description: 'view=tree: the root account with nested children arrays' },
+    },
+  },
+  exportFormats: ['ndjson', 'csv', 'xlsx'],
 };
@@ -0,0 +1,307 @@
+// api/mcc-metrics.js
+/**
+ * Cross-Account Metrics Rollup Endpoint
+ * Fans out one account-level metrics query per client account under an MCC (or a filtered subset)
+ * with bounded concurrency, and returns per-account totals plus grand totals
+ * Failed accounts are reported individually and do not fail the request
+ * format=csv|xlsx|ndjson exports one row per account
+ */
+
+const { extractGoogleAdsError, sendErrorResponse } = require('../utils/error-logger');
+const { readConnectionId } = require('../utils/credential-vault');
+const { gaql, parseId } = require('../utils/gaql-builder');
+const { getAccessTokenFromRefresh, executeGAQLQuery, normalizeCustomerId } = require('../utils/google-ads-api');
+const { readCachePolicy } = require('../utils/gaql-cache');
+const { parseDateRangeParams, resolveRangeBounds } = require('../utils/date-range');
+const { listClientAccounts } = require('../utils/customer-clients');
+const { mapSettled } = require('../utils/concurrency');
+const { emptyMetrics, addRowMetrics, addMetrics, finalizeMetrics } = require('../utils/report-metrics');
+const { parseExportParams, flattenRecord, sendExport } = require('../utils/report-export');
+const { logger, withRequestLogging } = require('../utils/logger');
+const { params, ref } = require('../utils/openapi');
+
+const DEFAULT_CONCURRENCY = 5;
+const MAX_CONCURRENCY = 20;
+
+const EXPORT_COLUMNS = [
+  'customer_id',
+  'name',
+  'currency_code',
+  'status',
+  'metrics.impressions',
+  'metrics.clicks',
+  'metrics.ctr',
+  'metrics.average_cpc',
+  'metrics.conversions',
+  'metrics.cost',
+  'metrics.conversions_value',
+  'error.type',
+  'error.message',
+  'error.hint',
+];
+
+/**
+ * Builds the account-level metrics query (one row per account for the whole range)
+ * @param {Object} range - {preset} or {start_date, end_date}
+ * @returns {string} GAQL query
+ */
+function buildAccountMetricsQuery(range) {
+  return gaql()
+    .select([
+      'customer.id',
+      'metrics.impressions',
+      'metrics.clicks',
+      'metrics.conversions',
+      'metrics.cost_micros',
+      'metrics.conversions_value',
+    ])
+    .from('customer')
+    .whereDateRange(range)
+    .build();
+}
+
+/**
+ * Sums account metrics into a grand total and per-currency totals
+ * Cost and conversion value are only summed in the grand total when all accounts share a currency
+ * @param {Array<Object>} accounts - Successful account results
+ * @returns {{grand_total: Object, totals_by_currency: Object}} Totals
+ */
+function buildTotals(accounts) {
+  const grandTotal = emptyMetrics();
+  const byCurrency = {};
+
+  accounts.forEach(account => {
+    addMetrics(grandTotal, account.metrics);
+    const currency = account.currency_code || 'UNKNOWN';
+    if (!byCurrency[currency]) byCurrency[currency] = { accounts: 0, ...emptyMetrics() };
+    byCurrency[currency].accounts += 1;
+    addMetrics(byCurrency[currency], account.metrics);
+  });
+
+  finalizeMetrics(grandTotal);
+  Object.values(byCurrency).forEach(finalizeMetrics);
+
+  const currencies = Object.keys(byCurrency);
+  const singleCurrency = currencies.length === 1 ? currencies[0] : null;
+  if (!singleCurrency && currencies.length > 1) {
+    // Money across currencies cannot be added up; see totals_by_currency
+    ['cost_micros', 'cost', 'conversions_value', 'average_cpc', 'average_cpv'].forEach(key => { grandTotal[key] = null; });
+  }
+
+  return {
+    grand_total: { accounts: accounts.length, currency_code: singleCurrency, ...grandTotal },
+    totals_by_currency: byCurrency,
+  };
+}
+
+module.exports = withRequestLogging(async (req, res) => {
+  const context = 'GET /api/mcc-metrics';
+
+  try {
+    const {
+      manager_customer_id,
+      customer_ids,                  // Optional comma-separated subset of client accounts
+      date_range,                    // DURING preset, default LAST_30_DAYS
+      start_date,                    // Custom range (YYYY-MM-DD), overrides date_range
+      end_date,
+      concurrency,                   // Parallel account queries (1-20, default 5)
+    } = req.query;
+
+    const { connectionId, error: connectionError } = readConnectionId(req);
+    if (connectionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: connectionError,
+      });
+    }
+
+    if (!connectionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters',
+        message: 'connection_id is required',
+      });
+    }
+
+    const mccId = manager_customer_id || process.env.GADS_MANAGER_ID;
+    if (!mccId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing MCC ID',
+        message: 'Either provide manager_customer_id in query or set GADS_MANAGER_ID environment variable',
+      });
+    }
+
+    const exportParams = parseExportParams(req.query);
+    if (exportParams.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: exportParams.error,
+      });
+    }
+
+    const { range, error: rangeError } = parseDateRangeParams({ date_range, start_date, end_date });
+    if (rangeError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: rangeError,
+      });
+    }
+
+    const parallelism = concurrency === undefined || concurrency === '' ? DEFAULT_CONCURRENCY : Number(concurrency);
+    if (!Number.isInteger(parallelism) || parallelism < 1 || parallelism > MAX_CONCURRENCY) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: `concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`,
+      });
+    }
+
+    // Validate IDs before any API call
+    const normalizedMccId = normalizeCustomerId(String(mccId), 'manager_customer_id');
+    const requestedIds = customer_ids
+      ? [...new Set(String(customer_ids).split(',').map(id => id.trim()).filter(Boolean).map(id => parseId(id, 'customer_ids')))]
+      : null;
+    const metricsQuery = buildAccountMetricsQuery(range);
+    const bounds = resolveRangeBounds(range);
+
+    const accessToken = await getAccessTokenFromRefresh(connectionId);
+    const cache = readCachePolicy(req);
+    const clients = await listClientAccounts(normalizedMccId, accessToken, connectionId, { cache });
+
+    // Default: every enabled client account; an explicit subset may include any client
+    const clientMap = new Map(clients.map(account => [account.id, account]));
+    const targets = requestedIds
+      ? requestedIds.filter(id => clientMap.has(id)).map(id => clientMap.get(id))
+      : clients.filter(account => account.status === 'ENABLED');
+    const unknownIds = requestedIds ? requestedIds.filter(id => !clientMap.has(id)) : [];
+
+    logger.debug('Collecting account metrics', { manager_customer_id: normalizedMccId, accounts: targets.length, concurrency: parallelism });
+
+    const settled = await mapSettled(targets, parallelism, async (account) => {
+      const rows = await executeGAQLQuery(account.id, accessToken, metricsQuery, normalizedMccId, connectionId, { cache });
+      const metrics = emptyMetrics();
+      rows.forEach(r => addRowMetrics(metrics, r));
+      return finalizeMetrics(metrics);
+    });
+
+    const accounts = targets.map((account, i) => {
+      const base = {
+        customer_id: account.id,
+        name: account.name,
+        currency_code: account.currency_code,
+        status: account.status,
+      };
+      const result = settled[i];
+      if (result.status === 'fulfilled') {
+        return { ...base, success: true, metrics: result.value };
+      }
+
+      const googleAdsError = extractGoogleAdsError(result.reason);
+      logger.warn('Account metrics failed', { customer_id: account.id, error: result.reason });
+      return {
+        ...base,
+        success: false,
+        error: {
+          type: googleAdsError?.type || 'UNKNOWN_ERROR',
+          message: result.reason?.message || 'Unknown error',
+          hint: googleAdsError?.hint || null,
+          request_id: result.reason?.requestId || null,
+        },
+      };
+    });
+
+    unknownIds.forEach(id => {
+      accounts.push({
+        customer_id: id,
+        name: null,
+        currency_code: null,
+        status: 'UNKNOWN',
+        success: false,
+        error: { type: 'NOT_A_CLIENT_ACCOUNT', message: `${id} is not a client account of ${normalizedMccId}` },
+      });
+    });
+
+    if (exportParams.format !== 'json') {
+      await sendExport(res, {
+        ...exportParams,
+        rows: accounts.map(a => flattenRecord(a)),
+        columns: EXPORT_COLUMNS,
+        filename: `mcc_metrics_${normalizedMccId}`,
+      });
+      return;
+    }
+
+    const succeeded = accounts.filter(a => a.success);
+
+    return res.status(200).json({
+      success: true,
+      manager_account_id: normalizedMccId,
+      date_range: range.preset || null,
+      period: bounds,
+      account_count: accounts.length,
+      succeeded_count: succeeded.length,
+      failed_count: accounts.length - succeeded.length,
+      ...buildTotals(succeeded),
+      accounts,
+    });
+
+  } catch (err) {
+    return sendErrorResponse(res, err, context);
+  }
+});
+
+module.exports.spec = {
+  method: 'get',
+  operationId: 'getManagerMetrics',
+  summary: 'Metrics rolled up across client accounts',
+  description: 'Queries every enabled client account under a manager (or the customer_ids subset) and returns per-account metrics, grand totals and totals per currency. Failed accounts are listed with their error.',
+  parameters: [
+    params.connectionId(),
+    params.id('manager_customer_id', 'Manager account ID (defaults to the server\'s GADS_MANAGER_ID)'),
+    { name: 'customer_ids', in: 'query', description: 'Comma-separated client account IDs to include (default: all enabled clients)', schema: { type: 'string' } },
+    params.dateRange(),
+    params.customRange(),
+    { name: 'concurrency', in: 'query', description: 'Accounts queried in parallel', schema: { type: 'integer', minimum: 1, maximum: MAX_CONCURRENCY, default: DEFAULT_CONCURRENCY } },
+    params.format(),
+    params.fresh(),
+  ],
+  response: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      manager_account_id: { type: 'string' },
+      date_range: { type: ['string', 'null'] },
+      period: ref('Period'),
+      account_count: { type: 'integer' },
+      succeeded_count: { type: 'integer' },
+      failed_count: { type: 'integer' },
+      grand_total: {
+        allOf: [ref('Metrics')],
+        type: 'object',
+        description: 'Money fields are null when the accounts use different currencies',
+        properties: { accounts: { type: 'integer' }, currency_code: { type: ['string', 'null'] } },
+      },
+      totals_by_currency: { type: 'object', additionalProperties: ref('Metrics') },
+      accounts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            customer_id: { type: 'string' },
+            name: { type: ['string', 'null'] },
+            currency_code: { type: ['string', 'null'] },
+            status: { type: 'string' },
+            success: { type: 'boolean' },
+            metrics: ref('Metrics'),
+            error: { type: 'object', properties: { type: { type: 'string' }, message: { type: 'string' }, hint: { type: ['string', 'null'] } } },
+          },
+        },
+      },
+    },
+  },
+  exportFormats: ['ndjson', 'csv', 'xlsx'],
+};
@@ -0,0 +1,220 @@
+// api/mutate-status.js
+/**
+ * Status Mutation Endpoint
+ * Pauses, enables or removes campaigns, ad groups, ads (ad_group_ad) and keywords/criteria
+ * (ad_group_criterion) in one googleAds:mutate batch
+ * Supports validate_only dry runs and reports success or failure per operation
+ */
+
+const { sendErrorResponse } = require('../utils/error-logger');
+const { readConnectionId } = require('../utils/credential-vault');
+const { parseId, parseEnum, GaqlValidationError } = require('../utils/gaql-builder');
+const { getAccessTokenFromRefresh, executeMutate, normalizeCustomerId } = require('../utils/google-ads-api');
+const { logger, withRequestLogging } = require('../utils/logger');
+const { bodyProperties } = require('../utils/openapi');
+
+const MAX_OPERATIONS = 1000;
+const STATUSES = ['ENABLED', 'PAUSED', 'REMOVED'];
+
+// Mutable resources: REST collection, MutateOperation key, result key and the IDs forming the resource name
+const RESOURCES = {
+  campaign: { collection: 'campaigns', operation: 'campaignOperation', result: 'campaignResult', ids: ['campaign_id'] },
+  ad_group: { collection: 'adGroups', operation: 'adGroupOperation', result: 'adGroupResult', ids: ['ad_group_id'] },
+  ad_group_ad: { collection: 'adGroupAds', operation: 'adGroupAdOperation', result: 'adGroupAdResult', ids: ['ad_group_id', 'ad_id'] },
+  ad_group_criterion: { collection: 'adGroupCriteria', operation: 'adGroupCriterionOperation', result: 'adGroupCriterionResult', ids: ['ad_group_id', 'criterion_id'] },
+};
+
+/**
+ * Parses a boolean flag from a JSON body or query string value
+ * @param {boolean|string|undefined} value - Raw value
+ * @param {boolean} defaultValue - Value when omitted
+ * @returns {boolean} Parsed flag
+ */
+function parseFlag(value, defaultValue) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  return value === true || value === 'true';
+}
+
+/**
+ * Validates one requested status change and builds its MutateOperation
+ * REMOVED is a remove operation; ENABLED/PAUSED update the status field only
+ * @param {string} customerId - Normalized customer ID
+ * @param {Object} op - {resource, status, campaign_id | ad_group_id [+ ad_id | criterion_id]}
+ * @param {number} index - Position in the batch (used in error messages)
+ * @returns {{resource: string, status: string, resourceName: string, mutateOperation: Object}} Parsed operation
+ */
+function buildStatusOperation(customerId, op, index) {
+  if (!op || typeof op !== 'object') {
+    throw new GaqlValidationError(`operations[${index}] must be an object`);
+  }
+
+  const resource = RESOURCES[op.resource];
+  if (!resource) {
+    throw new GaqlValidationError(`operations[${index}].resource must be one of: ${Object.keys(RESOURCES).join(', ')}`);
+  }
+
+  const status = parseEnum(op.status, STATUSES, `operations[${index}].status`);
+  const ids = resource.ids.map(name => parseId(op[name], `operations[${index}].${name}`));
+  const resourceName = `customers/${customerId}/${resource.collection}/${ids.join('~')}`;
+
+  const operation = status === 'REMOVED'
+    ? { remove: resourceName }
+    : { update: { resourceName, status }, updateMask: 'status' };
+
+  return {
+    resource: op.resource,
+    status,
+    resourceName,
+    mutateOperation: { [resource.operation]: operation },
+  };
+}
+
+module.exports = withRequestLogging(async (req, res) => {
+  const context = 'POST /api/mutate-status';
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const body = (req.body && typeof req.body === 'object') ? req.body : {};
+    const { customer_id, login_customer_id, operations } = body;
+    const validateOnly = parseFlag(body.validate_only, false);
+    const partialFailure = parseFlag(body.partial_failure, true);
+
+    const { connectionId, error: connectionError } = readConnectionId(req);
+    if (connectionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: connectionError,
+      });
+    }
+
+    if (!customer_id || !connectionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters',
+        message: 'Both customer_id and connection_id are required',
+      });
+    }
+
+    if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_OPERATIONS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: `operations must be an array of 1 to ${MAX_OPERATIONS} status changes`,
+      });
+    }
+
+    // Normalize IDs and validate every operation before anything is sent to Google
+    const normalizedCustomerId = normalizeCustomerId(customer_id, 'customer_id');
+    const mccId = login_customer_id ? normalizeCustomerId(login_customer_id, 'login_customer_id') : null;
+    const parsedOperations = operations.map((op, index) => buildStatusOperation(normalizedCustomerId, op, index));
+
+    logger.debug('Mutating statuses', { customer_id: normalizedCustomerId, operations: parsedOperations.length, validate_only: validateOnly });
+
+    // Get access token
+    const accessToken = await getAccessTokenFromRefresh(connectionId);
+
+    const { responses, errors } = await executeMutate(
+      normalizedCustomerId,
+      accessToken,
+      parsedOperations.map(op => op.mutateOperation),
+      mccId,
+      connectionId,
+      { validateOnly, partialFailure }
+    );
+
+    // validate_only responses carry no results, so report the resource names that would change
+    const results = parsedOperations.map((op, index) => {
+      const operationErrors = errors.get(index) || [];
+      const result = responses[index]?.[RESOURCES[op.resource].result];
+      return {
+        index,
+        resource: op.resource,
+        resource_name: result?.resourceName || op.resourceName,
+        status: op.status,
+        success: operationErrors.length === 0,
+        errors: operationErrors,
+      };
+    });
+
+    const failedCount = results.filter(r => !r.success).length;
+
+    return res.status(200).json({
+      success: failedCount === 0,
+      validate_only: validateOnly,
+      partial_failure: partialFailure,
+      count: results.length,
+      succeeded_count: results.length - failedCount,
+      failed_count: failedCount,
+      results,
+    });
+
+  } catch (err) {
+    return sendErrorResponse(res, err, context);
+  }
+});
+
+module.exports.spec = {
+  method: 'post',
+  operationId: 'changeStatus',
+  summary: 'Pause, enable or remove campaigns, ad groups, ads and keywords',
+  description: 'Changes the status of campaigns, ad groups, ads or keywords in one batch. Use validate_only=true for a dry run. Each operation needs the IDs of its resource. REMOVED cannot be undone.',
+  consequential: true,
+  requestBody: {
+    type: 'object',
+    required: ['connection_id', 'customer_id', 'operations'],
+    properties: {
+      connection_id: bodyProperties.connection_id,
+      customer_id: bodyProperties.customer_id,
+      login_customer_id: bodyProperties.login_customer_id,
+      validate_only: { ...bodyProperties.validate_only, default: false },
+      partial_failure: { type: 'boolean', default: true, description: 'true applies the valid operations when others fail' },
+      operations: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_OPERATIONS,
+        items: {
+          type: 'object',
+          required: ['resource', 'status'],
+          description: 'campaign needs campaign_id; ad_group needs ad_group_id; ad_group_ad needs ad_group_id and ad_id; ad_group_criterion needs ad_group_id and criterion_id',
+          properties: {
+            resource: { type: 'string', enum: Object.keys(RESOURCES) },
+            status: { type: 'string', enum: STATUSES },
+            campaign_id: { type: 'string' },
+            ad_group_id: { type: 'string' },
+            ad_id: { type: 'string' },
+            criterion_id: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+  response: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', description: 'false when any operation failed' },
+      validate_only: { type: 'boolean' },
+      partial_failure: { type: 'boolean' },
+      count: { type: 'integer' },
+      succeeded_count: { type: 'integer' },
+      failed_count: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer' },
+            resource: { type: 'string' },
+            resource_name: { type: 'string' },
+            status: { type: 'string' },
+            success: { type: 'boolean' },
+            errors: { type: 'array', items: { type: 'object', additionalProperties: true } },
+          },
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,84 @@
+// api/openapi.json.js
+/**
+ * OpenAPI Document Endpoint
+ * Serves an OpenAPI 3.1 document assembled from the `spec` each module in api/ exports
+ * Import the URL of this route as a ChatGPT Action schema
+ * The server URL is PUBLIC_BASE_URL, or the host the request was sent to
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logAndRespond } = require('../utils/error-logger');
+const { buildOpenApiDocument } = require('../utils/openapi');
+const { withRequestLogging } = require('../utils/logger');
+const { version } = require('../package.json');
+
+// Routes left out of the document on purpose: the browser OAuth pages and operator-only endpoints
+const EXCLUDED_ROUTES = ['/api/auth', '/api/auth/callback', '/api/connections', '/api/create-test-account'];
+
+/**
+ * Lists the route files under a directory, depth first
+ * @param {string} dir - Directory to scan
+ * @param {string} prefix - Route of the directory (e.g. "/api/budgets")
+ * @returns {Array<{route: string, file: string}>} Routes sorted by path
+ */
+function listRoutes(dir, prefix = '/api') {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) return listRoutes(file, `${prefix}/${entry.name}`);
+      return entry.name.endsWith('.js') ? [{ route: `${prefix}/${entry.name.slice(0, -3)}`, file }] : [];
+    });
+}
+
+/**
+ * Loads the spec of every route in api/, so new endpoints are published without a hand-kept list
+ * @returns {Object} Map of route to endpoint spec
+ * @throws {Error} If a route that is not excluded declares no spec
+ */
+function loadEndpointSpecs() {
+  const specs = {};
+  listRoutes(__dirname).forEach(({ route, file }) => {
+    if (file === __filename || EXCLUDED_ROUTES.includes(route)) return;
+    const { spec } = require(file);
+    if (!spec) {
+      throw new Error(`${route} declares no spec; export module.exports.spec or add it to EXCLUDED_ROUTES in api/openapi.json.js`);
+    }
+    specs[route] = spec;
+  });
+  return specs;
+}
+
+/**
+ * Returns the base URL the GPT should call
+ * @param {Object} req - Request object
+ * @returns {string} Base URL without trailing slash
+ */
+function resolveServerUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+  }
+  const host = req.headers?.['x-forwarded-host'] || req.headers?.host || 'localhost:3000';
+  const proto = req.headers?.['x-forwarded-proto'] || (host.startsWith('localhost') ? 'http' : 'https');
+  return `${String(proto).split(',')[0]}://${String(host).split(',')[0]}`;
+}
+
+module.exports = withRequestLogging(async (req, res) => {
+  const context = 'GET /api/openapi.json';
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const document = buildOpenApiDocument(loadEndpointSpecs(), { serverUrl: resolveServerUrl(req), version });
+
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    return res.status(200).json(document);
+
+  } catch (err) {
+    const errorResponse = logAndRespond(err, context);
+    return res.status(500).json(errorResponse);
+  }
+});
@@ -0,0 +1,370 @@
+// api/search-terms.js
+/**
+ * Search Terms Report Endpoint
+ * Retrieves search_term_view performance for a campaign or ad group and date range
+ * Flags wasteful terms as suggested negatives and converting, not-yet-added terms as suggested keywords
+ * Supports page_size/cursor pagination over terms (suggestions are always complete)
+ * format=csv|xlsx|ndjson exports every term with its suggestion and metrics
+ */
+
+const { sendErrorResponse } = require('../utils/error-logger');
+const { readConnectionId } = require('../utils/credential-vault');
+const { gaql, parseId } = require('../utils/gaql-builder');
+const { getAccessTokenFromRefresh, executeGAQLQuery, normalizeCustomerId } = require('../utils/google-ads-api');
+const { readCachePolicy } = require('../utils/gaql-cache');
+const { parsePaginationParams, paginate } = require('../utils/pagination');
+const { DATE_RANGE_PRESETS, isValidDateRangePreset } = require('../utils/date-range');
+const { parseExportParams, flattenRecord, sendExport } = require('../utils/report-export');
+const { withRequestLogging } = require('../utils/logger');
+const { params, paginatedResponse } = require('../utils/openapi');
+
+const DEFAULT_PAGE_SIZE = 500;
+const DEFAULT_WASTE_COST_THRESHOLD = 10; // currency units spent with zero conversions
+const DEFAULT_MIN_CONVERSIONS = 1;
+
+const EXPORT_COLUMNS = [
+  'search_term',
+  'status',
+  'suggestion',
+  'campaign_id',
+  'campaign_name',
+  'ad_group_id',
+  'ad_group_name',
+  'matched_keywords',
+  'metrics.impressions',
+  'metrics.clicks',
+  'metrics.ctr',
+  'metrics.conversions',
+  'metrics.conversion_rate',
+  'metrics.cost',
+  'metrics.cost_per_conversion',
+  'metrics.conversions_value',
+];
+
+// Search term statuses that already exist as keywords or negatives
+const ADDED_STATUSES = ['ADDED', 'ADDED_EXCLUDED'];
+const EXCLUDED_STATUSES = ['EXCLUDED', 'ADDED_EXCLUDED'];
+
+/**
+ * Proposes a match type for a negative keyword
+ * Long-tail queries are blocked exactly; short ones as phrase so close variants are caught too
+ * @param {string} term - Search term
+ * @returns {{match_type: string, reason: string}} Proposal
+ */
+function proposeNegativeMatchType(term) {
+  const words = term.trim().split(/\s+/).length;
+  if (words >= 4) {
+    return { match_type: 'EXACT', reason: 'Long-tail query; exact negative avoids blocking related traffic' };
+  }
+  return { match_type: 'PHRASE', reason: 'Short query; phrase negative also blocks close variants' };
+}
+
+/**
+ * Proposes a match type for a new keyword
+ * Proven terms go in as exact for control; terms with fewer conversions as phrase to keep reach
+ * @param {number} conversions - Conversions attributed to the term
+ * @returns {{match_type: string, reason: string}} Proposal
+ */
+function proposeKeywordMatchType(conversions) {
+  if (conversions >= 3) {
+    return { match_type: 'EXACT', reason: 'Consistently converting; exact match gives bid control' };
+  }
+  return { match_type: 'PHRASE', reason: 'Early conversions; phrase match keeps reach while data builds' };
+}
+
+module.exports = withRequestLogging(async (req, res) => {
+  const context = 'GET /api/search-terms';
+
+  try {
+    const {
+      customer_id,
+      login_customer_id,
+      campaign_id,
+      ad_group_id,
+      date_range = 'LAST_30_DAYS',
+      waste_cost_threshold = String(DEFAULT_WASTE_COST_THRESHOLD), // Min spend (currency) with 0 conversions to suggest a negative
+      min_conversions = String(DEFAULT_MIN_CONVERSIONS),          // Min conversions to suggest a new keyword
+    } = req.query;
+
+    const { connectionId, error: connectionError } = readConnectionId(req);
+    if (connectionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: connectionError,
+      });
+    }
+
+    if (!customer_id || !connectionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters',
+        message: 'Both customer_id and connection_id are required',
+      });
+    }
+
+    if (!campaign_id && !ad_group_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters',
+        message: 'Either campaign_id or ad_group_id is required',
+      });
+    }
+
+    const normalizedCampaignId = campaign_id ? parseId(campaign_id, 'campaign_id') : null;
+    const normalizedAdGroupId = ad_group_id ? parseId(ad_group_id, 'ad_group_id') : null;
+
+    if (!isValidDateRangePreset(date_range)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: `date_range must be one of: ${DATE_RANGE_PRESETS.join(', ')}`,
+      });
+    }
+
+    const wasteCostThreshold = Number(waste_cost_threshold);
+    const minConversions = Number(min_conversions);
+    if (!Number.isFinite(wasteCostThreshold) || wasteCostThreshold < 0 || !Number.isFinite(minConversions) || minConversions <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: 'waste_cost_threshold must be >= 0 and min_conversions must be > 0',
+      });
+    }
+
+    const exportParams = parseExportParams(req.query);
+    if (exportParams.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: exportParams.error,
+      });
+    }
+
+    const pagination = parsePaginationParams(req.query, DEFAULT_PAGE_SIZE);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pagination parameters',
+        message: pagination.error,
+      });
+    }
+
+    const query = gaql()
+      .select([
+        'campaign.id',
+        'campaign.name',
+        'ad_group.id',
+        'ad_group.name',
+        'search_term_view.search_term',
+        'search_term_view.status',
+        'segments.keyword.info.text',
+        'segments.keyword.info.match_type',
+        'metrics.impressions',
+        'metrics.clicks',
+        'metrics.cost_micros',
+        'metrics.conversions',
+        'metrics.conversions_value',
+      ])
+      .from('search_term_view')
+      .whereDuring('segments.date', date_range);
+    if (normalizedCampaignId) query.whereId('campaign.id', normalizedCampaignId, 'campaign_id');
+    if (normalizedAdGroupId) query.whereId('ad_group.id', normalizedAdGroupId, 'ad_group_id');
+    query.orderBy('metrics.cost_micros', 'DESC');
+
+    // Normalize customer ID (remove dashes)
+    const normalizedCustomerId = normalizeCustomerId(customer_id, 'customer_id');
+    const mccId = login_customer_id ? normalizeCustomerId(login_customer_id, 'login_customer_id') : null;
+
+    // Get access token
+    const accessToken = await getAccessTokenFromRefresh(connectionId);
+    const cache = readCachePolicy(req);
+
+    const results = await executeGAQLQuery(normalizedCustomerId, accessToken, query.build(), mccId, connectionId, { cache });
+
+    // Aggregate per ad group + search term (rows are split by triggering keyword)
+    const termsMap = new Map();
+    results.forEach(r => {
+      const searchTerm = r.search_term_view?.search_term;
+      const adGroupId = r.ad_group?.id?.toString();
+      if (!searchTerm || !adGroupId) return;
+
+      const key = `${adGroupId}~${searchTerm}`;
+      if (!termsMap.has(key)) {
+        termsMap.set(key, {
+          search_term: searchTerm,
+          status: r.search_term_view?.status || 'UNKNOWN',
+          campaign_id: r.campaign?.id?.toString() || null,
+          campaign_name: r.campaign?.name || 'Unnamed Campaign',
+          ad_group_id: adGroupId,
+          ad_group_name: r.ad_group?.name || 'Unnamed Ad Group',
+          matched_keywords: [],
+          metrics: {
+            impressions: 0,
+            clicks: 0,
+            ctr: 0,
+            cost_micros: 0,
+            cost: 0,
+            conversions: 0,
+            conversion_rate: 0,
+            cost_per_conversion: 0,
+            conversions_value: 0,
+          },
+          suggestion: null,
+        });
+      }
+
+      const term = termsMap.get(key);
+      const keywordText = r.segments?.keyword?.info?.text;
+      if (keywordText && !term.matched_keywords.some(k => k.text === keywordText)) {
+        term.matched_keywords.push({
+          text: keywordText,
+          match_type: r.segments.keyword.info.match_type || 'UNKNOWN',
+        });
+      }
+
+      term.metrics.impressions += parseInt(r.metrics?.impressions || 0);
+      term.metrics.clicks += parseInt(r.metrics?.clicks || 0);
+      term.metrics.cost_micros += parseInt(r.metrics?.cost_micros || 0);
+      term.metrics.conversions += parseFloat(r.metrics?.conversions || 0);
+      term.metrics.conversions_value += parseFloat(r.metrics?.conversions_value || 0);
+    });
+
+    const searchTerms = Array.from(termsMap.values());
+    const negatives = [];
+    const additions = [];
+
+    searchTerms.forEach(term => {
+      // Recalculate derived metrics
+      const metrics = term.metrics;
+      metrics.ctr = metrics.impressions > 0 ? metrics.clicks / metrics.impressions : 0;
+      metrics.cost = metrics.cost_micros / 1_000_000;
+      metrics.conversion_rate = metrics.clicks > 0 ? metrics.conversions / metrics.clicks : 0;
+      metrics.cost_per_conversion = metrics.conversions > 0 ? metrics.cost / metrics.conversions : 0;
+
+      const suggestionBase = {
+        search_term: term.search_term,
+        campaign_id: term.campaign_id,
+        ad_group_id: term.ad_group_id,
+        cost: metrics.cost,
+        clicks: metrics.clicks,
+        conversions: metrics.conversions,
+      };
+
+      if (metrics.conversions === 0 && metrics.cost > 0 && metrics.cost >= wasteCostThreshold && !EXCLUDED_STATUSES.includes(term.status)) {
+        term.suggestion = 'negative';
+        negatives.push({ ...suggestionBase, ...proposeNegativeMatchType(term.search_term) });
+      } else if (metrics.conversions >= minConversions && !ADDED_STATUSES.includes(term.status) && !EXCLUDED_STATUSES.includes(term.status)) {
+        term.suggestion = 'addition';
+        additions.push({ ...suggestionBase, ...proposeKeywordMatchType(metrics.conversions) });
+      }
+    });
+
+    // Biggest waste / most conversions first
+    negatives.sort((a, b) => b.cost - a.cost);
+    additions.sort((a, b) => b.conversions - a.conversions);
+
+    // File exports contain every term; matched keywords become "text [MATCH_TYPE]" entries
+    if (exportParams.format !== 'json') {
+      await sendExport(res, {
+        ...exportParams,
+        rows: searchTerms.map(term => flattenRecord({
+          ...term,
+          matched_keywords: term.matched_keywords.map(k => `${k.text} [${k.match_type}]`),
+        })),
+        columns: EXPORT_COLUMNS,
+        filename: `search_terms_${normalizedAdGroupId || normalizedCampaignId}`,
+      });
+      return;
+    }
+
+    const page = paginate(searchTerms, pagination);
+
+    return res.status(200).json({
+      success: true,
+      campaign_id: normalizedCampaignId,
+      ad_group_id: normalizedAdGroupId,
+      date_range,
+      thresholds: {
+        waste_cost_threshold: wasteCostThreshold,
+        min_conversions: minConversions,
+      },
+      count: page.items.length,
+      total_count: page.total_count,
+      page_size: page.page_size,
+      next_cursor: page.next_cursor,
+      search_terms: page.items,
+      suggestions: {
+        negatives,
+        additions,
+        wasted_cost: negatives.reduce((sum, n) => sum + n.cost, 0),
+      },
+    });
+
+  } catch (err) {
+    return sendErrorResponse(res, err, context);
+  }
+});
+
+const SUGGESTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    search_term: { type: 'string' },
+    campaign_id: { type: 'string' },
+    ad_group_id: { type: 'string' },
+    cost: { type: 'number' },
+    clicks: { type: 'integer' },
+    conversions: { type: 'number' },
+    match_type: { type: 'string', enum: ['EXACT', 'PHRASE', 'BROAD'] },
+    reason: { type: 'string' },
+  },
+};
+
+module.exports.spec = {
+  method: 'get',
+  operationId: 'getSearchTerms',
+  summary: 'Search terms report with negative and keyword suggestions',
+  description: 'Search terms that triggered ads in a campaign or ad group, with metrics. Suggests negatives (spend without conversions) and new keywords (converting terms not added yet).',
+  parameters: [
+    params.connectionId(),
+    params.customerId(),
+    params.id('campaign_id', 'Campaign to report on (campaign_id or ad_group_id is required)'),
+    params.id('ad_group_id', 'Ad group to report on'),
+    params.loginCustomerId(),
+    params.dateRange(),
+    { name: 'waste_cost_threshold', in: 'query', description: 'Minimum spend (account currency) with zero conversions to suggest a negative; terms that spent nothing are never suggested', schema: { type: 'number', minimum: 0, default: DEFAULT_WASTE_COST_THRESHOLD } },
+    { name: 'min_conversions', in: 'query', description: 'Minimum conversions to suggest a new keyword', schema: { type: 'number', exclusiveMinimum: 0, default: DEFAULT_MIN_CONVERSIONS } },
+    params.pagination(DEFAULT_PAGE_SIZE),
+    params.format(),
+    params.fresh(),
+  ],
+  response: paginatedResponse('search_terms', {
+    type: 'object',
+    properties: {
+      search_term: { type: 'string' },
+      status: { type: 'string', description: 'ADDED, EXCLUDED, ADDED_EXCLUDED or NONE' },
+      campaign_id: { type: 'string' },
+      campaign_name: { type: 'string' },
+      ad_group_id: { type: 'string' },
+      ad_group_name: { type: 'string' },
+      matched_keywords: { type: 'array', items: { type: 'object', properties: { text: { type: 'string' }, match_type: { type: 'string' } } } },
+      metrics: { type: 'object', additionalProperties: { type: 'number' } },
+      suggestion: { type: ['string', 'null'], enum: ['negative', 'addition', null] },
+    },
+  }, {
+    campaign_id: { type: ['string', 'null'] },
+    ad_group_id: { type: ['string', 'null'] },
+    date_range: { type: 'string' },
+    thresholds: { type: 'object', properties: { waste_cost_threshold: { type: 'number' }, min_conversions: { type: 'number' } } },
+    suggestions: {
+      type: 'object',
+      description: 'Always complete, independent of pagination',
+      properties: {
+        negatives: { type: 'array', items: SUGGESTION_SCHEMA },
+        additions: { type: 'array', items: SUGGESTION_SCHEMA },
+        wasted_cost: { type: 'number' },
+      },
+    },
+  }),
+  exportFormats: ['ndjson', 'csv', 'xlsx'],
+};
@@ -0,0 +1,254 @@
+// utils/ad-copy-validator.js
+/**
+ * Ad copy validation for responsive search ads and single text assets
+ * Checks Google's length limits (double-width characters count as 2), RSA asset counts,
+ * duplicate assets, excessive capitalization/punctuation and banned phrases.
+ * Optionally truncates over-long text (at a word boundary where possible) and drops extra assets.
+ *
+ * Banned phrases: DEFAULT_BANNED_PHRASES + AD_BANNED_PHRASES (comma-separated env var) + per-request list
+ */
+
+const LIMITS = { headline: 30, description: 90, path: 15 };
+const RSA_COUNTS = { headlines: { min: 3, max: 15 }, descriptions: { min: 2, max: 4 } };
+
+const DEFAULT_BANNED_PHRASES = ['click here', 'best ever', '100% free', 'guaranteed results', 'act now'];
+
+// East Asian wide and fullwidth ranges, counted as two characters by Google Ads
+const DOUBLE_WIDTH_RANGES = [
+  [0x1100, 0x115f], [0x2e80, 0x303e], [0x3041, 0x33ff], [0x3400, 0x4dbf], [0x4e00, 0x9fff],
+  [0xa000, 0xa4cf], [0xac00, 0xd7a3], [0xf900, 0xfaff], [0xfe30, 0xfe4f], [0xff00, 0xff60],
+  [0xffe0, 0xffe6], [0x20000, 0x3fffd],
+];
+
+/**
+ * Returns the width of one code point as Google counts it
+ * @param {string} char - Single code point
+ * @returns {number} 1 or 2
+ */
+function charWidth(char) {
+  const code = char.codePointAt(0);
+  return DOUBLE_WIDTH_RANGES.some(([start, end]) => code >= start && code <= end) ? 2 : 1;
+}
+
+/**
+ * Measures text the way Google Ads applies character limits
+ * @param {string} text - Text to measure
+ * @returns {number} Display width
+ */
+function displayWidth(text) {
+  let width = 0;
+  for (const char of String(text)) width += charWidth(char);
+  return width;
+}
+
+/**
+ * Truncates text to a display width, cutting at the last word boundary when one is close
+ * @param {string} text - Text to truncate
+ * @param {number} limit - Maximum display width
+ * @returns {string} Truncated text
+ */
+function truncateToWidth(text, limit) {
+  let width = 0;
+  let cut = '';
+  for (const char of String(text)) {
+    width += charWidth(char);
+    if (width > limit) break;
+    cut += char;
+  }
+
+  // Prefer a word boundary unless that would throw away more than a third of the text
+  const lastSpace = cut.lastIndexOf(' ');
+  if (lastSpace >= Math.ceil(cut.length * 2 / 3)) cut = cut.substring(0, lastSpace);
+  return cut.trim();
+}
+
+/**
+ * Normalizes text for duplicate detection
+ * @param {string} text - Asset text
+ * @returns {string} Lowercased, whitespace-collapsed text
+ */
+function normalizeForCompare(text) {
+  return String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Collects the banned phrase list for a request
+ * @param {Array<string>} extra - Request-specific phrases (optional)
+ * @returns {Array<string>} Lowercased phrases
+ */
+function getBannedPhrases(extra = []) {
+  const fromEnv = (process.env.AD_BANNED_PHRASES || '').split(',');
+  return [...DEFAULT_BANNED_PHRASES, ...fromEnv, ...(Array.isArray(extra) ? extra : [])]
+    .map(p => String(p).trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Checks editorial rules that do not depend on the asset position
+ * @param {string} field - Field path used in violations (e.g. "headlines[2]")
+ * @param {string} text - Asset text
+ * @param {string} type - headline, description or path
+ * @param {Array<string>} bannedPhrases - Lowercased banned phrases
+ * @returns {Array<Object>} Violations
+ */
+function checkEditorial(field, text, type, bannedPhrases) {
+  const violations = [];
+  const lower = text.toLowerCase();
+
+  bannedPhrases.filter(phrase => lower.includes(phrase)).forEach(phrase => {
+    violations.push({ field, rule: 'banned_phrase', severity: 'error', message: `Contains banned phrase "${phrase}"`, value: text });
+  });
+
+  if (/([!?.,])\1|[!?]{2,}/.test(text)) {
+    violations.push({ field, rule: 'repeated_punctuation', severity: 'error', message: 'Repeated punctuation is not allowed', value: text });
+  }
+  if (type === 'headline' && text.includes('!')) {
+    violations.push({ field, rule: 'exclamation_in_headline', severity: 'error', message: 'Headlines cannot contain exclamation marks', value: text });
+  }
+  if (type === 'description' && (text.match(/!/g) || []).length > 1) {
+    violations.push({ field, rule: 'multiple_exclamations', severity: 'error', message: 'Descriptions can contain at most one exclamation mark', value: text });
+  }
+
+  // Short all-caps words are usually acronyms (USA, SEO); longer ones read as shouting
+  const shouted = (text.match(/\b[A-Z]{4,}\b/g) || []);
+  const letters = text.replace(/[^A-Za-z]/g, '');
+  const upperRatio = letters.length >= 8 ? letters.replace(/[^A-Z]/g, '').length / letters.length : 0;
+  if (shouted.length > 0 || upperRatio > 0.5) {
+    violations.push({ field, rule: 'excessive_capitalization', severity: 'warning', message: 'Avoid words or text in ALL CAPS', value: text });
+  }
+
+  return violations;
+}
+
+/**
+ * Validates one text asset (length + editorial rules), optionally truncating it
+ * @param {string} field - Field path used in violations
+ * @param {string} text - Asset text
+ * @param {string} type - headline, description or path
+ * @param {Object} options - {autoTruncate, bannedPhrases}
+ * @returns {{text: string, violations: Array<Object>, truncated: boolean}} Result
+ */
+function validateAsset(field, text, type, { autoTruncate = false, bannedPhrases = getBannedPhrases() } = {}) {
+  const violations = [];
+  let value = String(text ?? '').trim();
+  let truncated = false;
+
+  if (!value) {
+    return { text: value, truncated, violations: [{ field, rule: 'empty', severity: 'error', message: 'Text is empty' }] };
+  }
+
+  const limit = LIMITS[type];
+  const width = displayWidth(value);
+  if (width > limit) {
+    if (autoTruncate) {
+      value = truncateToWidth(value, limit);
+      truncated = true;
+    } else {
+      violations.push({
+        field,
+        rule: 'max_length',
+        severity: 'error',
+        message: `${width} characters exceeds the ${limit}-character ${type} limit`,
+        value,
+        limit,
+        length: width,
+      });
+    }
+  }
+
+  violations.push(...checkEditorial(field, value, type, bannedPhrases));
+  return { text: value, violations, truncated };
+}
+
+/**
+ * Validates a list of assets of one type, including counts and duplicates
+ * @param {string} name - headlines or descriptions
+ * @param {Array<string>} list - Asset texts
+ * @param {string} type - headline or description
+ * @param {Object} options - {autoTruncate, bannedPhrases, checkCounts}
+ * @returns {{assets: Array<string>, violations: Array<Object>, truncated: Array<string>}} Result
+ */
+function validateAssetList(name, list, type, options) {
+  const { min, max } = RSA_COUNTS[name];
+  const violations = [];
+  const truncated = [];
+  let items = Array.isArray(list) ? list : [];
+
+  if (options.checkCounts && items.length > max) {
+    if (options.autoTruncate) {
+      items.slice(max).forEach((_, i) => truncated.push(`${name}[${max + i}]`));
+      items = items.slice(0, max);
+    } else {
+      violations.push({ field: name, rule: 'max_count', severity: 'error', message: `At most ${max} ${name} are allowed (got ${items.length})`, limit: max });
+    }
+  }
+  if (options.checkCounts && items.length < min) {
+    violations.push({ field: name, rule: 'min_count', severity: 'error', message: `At least ${min} ${name} are required (got ${items.length})`, limit: min });
+  }
+
+  const seen = new Map();
+  const assets = items.map((text, i) => {
+    const field = `${name}[${i}]`;
+    const result = validateAsset(field, text, type, options);
+    violations.push(...result.violations);
+    if (result.truncated) truncated.push(field);
+
+    const key = normalizeForCompare(result.text);
+    if (key && seen.has(key)) {
+      violations.push({ field, rule: 'duplicate', severity: 'error', message: `Duplicates ${seen.get(key)}`, value: result.text });
+    } else if (key) {
+      seen.set(key, field);
+    }
+    return result.text;
+  });
+
+  return { assets, violations, truncated };
+}
+
+/**
+ * Validates responsive search ad copy
+ * @param {Object} ad - {headlines, descriptions, path1, path2}
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.autoTruncate - Truncate over-long text and drop extra assets instead of failing
+ * @param {Array<string>} options.bannedPhrases - Extra banned phrases for this request
+ * @param {boolean} options.checkCounts - Enforce RSA asset counts (default true)
+ * @returns {{valid: boolean, violations: Array<Object>, truncated: Array<string>, ad: Object}} Result with the (possibly truncated) copy
+ */
+function validateRsa(ad, options = {}) {
+  const settings = {
+    autoTruncate: Boolean(options.autoTruncate),
+    bannedPhrases: getBannedPhrases(options.bannedPhrases),
+    checkCounts: options.checkCounts !== false,
+  };
+
+  const headlines = validateAssetList('headlines', ad.headlines, 'headline', settings);
+  const descriptions = validateAssetList('descriptions', ad.descriptions, 'description', settings);
+  const violations = [...headlines.violations, ...descriptions.violations];
+  const truncated = [...headlines.truncated, ...descriptions.truncated];
+  const result = { headlines: headlines.assets, descriptions: descriptions.assets };
+
+  ['path1', 'path2'].forEach(field => {
+    if (!ad[field]) return;
+    const path = validateAsset(field, ad[field], 'path', settings);
+    violations.push(...path.violations);
+    if (path.truncated) truncated.push(field);
+    result[field] = path.text;
+  });
+
+  return {
+    valid: !violations.some(v => v.severity === 'error'),
+    violations,
+    truncated,
+    ad: result,
+  };
+}
+
+module.exports = {
+  LIMITS,
+  RSA_COUNTS,
+  displayWidth,
+  truncateToWidth,
+  getBannedPhrases,
+  validateAsset,
+  validateRsa,
+};
@@ -0,0 +1,234 @@
+// utils/ad-generator.js
+/**
+ * LLM ad copy generation with validation, deduplication and regeneration
+ * Asks a provider for RSA headlines, descriptions and CTAs, keeps only assets that pass
+ * the ad copy validator and are not duplicates, then asks again for whatever is still missing
+ * (with the rejection reasons as feedback) up to MAX_ATTEMPTS times.
+ *
+ * Providers are pluggable: AD_COPY_PROVIDER=openai (default) or mock, or setAdCopyProvider().
+ * A provider is an object with async generate(request) returning {headlines, descriptions, ctas}.
+ */
+
+const { validateAsset, getBannedPhrases, RSA_COUNTS, LIMITS } = require('./ad-copy-validator');
+
+const MAX_ATTEMPTS = 3;
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_CTA_COUNT = 3;
+
+let provider = null;
+
+/**
+ * Builds the chat prompt for one generation round
+ * @param {Object} request - {brief, counts, avoid, feedback}
+ * @returns {Array<Object>} Chat messages
+ */
+function buildMessages({ brief, counts, avoid, feedback }) {
+  const lines = [
+    `Product: ${brief.product_name}`,
+    brief.target_audience ? `Target audience: ${brief.target_audience}` : null,
+    brief.tone ? `Tone: ${brief.tone}` : null,
+    brief.geo ? `Market: ${brief.geo}` : null,
+    brief.reference_copy ? `Best-performing existing copy to build on (write new lines, do not copy these): ${JSON.stringify(brief.reference_copy)}` : null,
+    `Write ${counts.headlines} headlines (max ${LIMITS.headline} characters each), ${counts.descriptions} descriptions (max ${LIMITS.description} characters each) and ${counts.ctas} short calls to action (max ${LIMITS.headline} characters each).`,
+    avoid.length > 0 ? `Do not repeat any of these existing lines: ${JSON.stringify(avoid)}` : null,
+    feedback.length > 0 ? `These lines were rejected, fix the problems in new lines: ${JSON.stringify(feedback)}` : null,
+    'Respond with JSON: {"headlines": [...], "descriptions": [...], "ctas": [...]}',
+  ];
+
+  return [
+    {
+      role: 'system',
+      content: 'You write Google Ads responsive search ad copy. Follow Google Ads editorial policy: no exclamation marks in headlines, no repeated punctuation, no ALL CAPS words, no unverifiable superlatives.',
+    },
+    { role: 'user', content: lines.filter(Boolean).join('\n') },
+  ];
+}
+
+/**
+ * Creates a provider backed by the OpenAI chat completions API
+ * @param {Object} options - {apiKey, model}
+ * @returns {Object} Provider
+ */
+function createOpenAIProvider({ apiKey = process.env.OPENAI_API_KEY, model = process.env.OPENAI_MODEL || DEFAULT_MODEL } = {}) {
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY is required for the openai ad copy provider');
+  }
+  const OpenAI = require('openai');
+  const client = new OpenAI({ apiKey });
+
+  return {
+    name: 'openai',
+    async generate(request) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages: buildMessages(request),
+        response_format: { type: 'json_object' },
+        temperature: 0.8,
+      });
+      return JSON.parse(completion.choices?.[0]?.message?.content || '{}');
+    },
+  };
+}
+
+/**
+ * Creates a deterministic offline provider for local development and tests
+ * Produces numbered, in-spec copy from the brief
+ * @returns {Object} Provider
+ */
+function createMockProvider() {
+  let round = 0;
+  return {
+    name: 'mock',
+    async generate({ brief, counts }) {
+      round += 1;
+      const name = String(brief.product_name).substring(0, 18);
+      const list = (count, make) => Array.from({ length: count }, (_, i) => make(i + 1));
+      return {
+        headlines: list(counts.headlines, i => `${name} Option ${round}-${i}`),
+        descriptions: list(counts.descriptions, i => `${name} for ${brief.target_audience || 'you'}. Offer ${round}-${i}, available in ${brief.geo || 'your area'}.`),
+        ctas: list(counts.ctas, i => `Shop ${name} ${round}-${i}`),
+      };
+    },
+  };
+}
+
+/**
+ * Returns the configured ad copy provider (AD_COPY_PROVIDER=openai|mock)
+ * @returns {Object} Provider
+ */
+function getAdCopyProvider() {
+  if (!provider) {
+    const backend = (process.env.AD_COPY_PROVIDER || 'openai').toLowerCase();
+    if (backend === 'mock') {
+      provider = createMockProvider();
+    } else if (backend === 'openai') {
+      provider = createOpenAIProvider();
+    } else {
+      throw new Error(`Unsupported AD_COPY_PROVIDER: ${backend}`);
+    }
+  }
+  return provider;
+}
+
+/**
+ * Replaces the ad copy provider (e.g. with a mock in tests)
+ * @param {Object} customProvider - Object with async generate(request)
+ */
+function setAdCopyProvider(customProvider) {
+  provider = customProvider;
+}
+
+/**
+ * Accepts generated lines that pass validation and are not duplicates
+ * @param {Array<string>} candidates - Generated lines
+ * @param {string} type - headline or description
+ * @param {Array<string>} accepted - Lines accepted so far (mutated)
+ * @param {number} wanted - Number of lines needed in total
+ * @param {Object} options - Validator options
+ * @returns {Array<Object>} Rejected lines with reasons
+ */
+function acceptLines(candidates, type, accepted, wanted, options) {
+  const rejected = [];
+  const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ');
+  const seen = new Set(accepted.map(normalize));
+
+  (Array.isArray(candidates) ? candidates : []).forEach(candidate => {
+    if (accepted.length >= wanted) return;
+    const result = validateAsset(type, candidate, type, options);
+    const errors = result.violations.filter(v => v.severity === 'error');
+    const key = normalize(result.text);
+
+    if (errors.length > 0) {
+      rejected.push({ text: String(candidate), reasons: errors.map(e => e.message) });
+    } else if (seen.has(key)) {
+      rejected.push({ text: String(candidate), reasons: ['Duplicate'] });
+    } else {
+      seen.add(key);
+      accepted.push(result.text);
+    }
+  });
+
+  return rejected;
+}
+
+/**
+ * Generates one RSA-ready variant, regenerating out-of-spec lines
+ * @param {Object} brief - {product_name, target_audience, tone, geo, reference_copy}
+ * @param {Object} options - Optional settings
+ * @param {number} options.numHeadlines - Headlines to produce (3-15, default 15)
+ * @param {number} options.numDescriptions - Descriptions to produce (2-4, default 4)
+ * @param {number} options.numCtas - CTAs to produce (default 3)
+ * @param {Array<string>} options.bannedPhrases - Extra banned phrases
+ * @param {Array<string>} options.avoid - Lines used by earlier variants
+ * @returns {Promise<Object>} {headlines, descriptions, ctas, complete, attempts, rejected}
+ */
+async function generateAdVariant(brief, options = {}) {
+  const wanted = {
+    headlines: options.numHeadlines || RSA_COUNTS.headlines.max,
+    descriptions: options.numDescriptions || RSA_COUNTS.descriptions.max,
+    ctas: options.numCtas || DEFAULT_CTA_COUNT,
+  };
+  const validatorOptions = { bannedPhrases: getBannedPhrases(options.bannedPhrases) };
+  const accepted = { headlines: [], descriptions: [], ctas: [] };
+  const rejected = [];
+  const adCopyProvider = getAdCopyProvider();
+
+  let attempts = 0;
+  while (attempts < MAX_ATTEMPTS) {
+    const counts = {
+      headlines: wanted.headlines - accepted.headlines.length,
+      descriptions: wanted.descriptions - accepted.descriptions.length,
+      ctas: wanted.ctas - accepted.ctas.length,
+    };
+    if (counts.headlines <= 0 && counts.descriptions <= 0 && counts.ctas <= 0) break;
+
+    attempts += 1;
+    const output = await adCopyProvider.generate({
+      brief,
+      counts,
+      avoid: [...(options.avoid || []), ...accepted.headlines, ...accepted.descriptions],
+      feedback: rejected.slice(-10),
+    });
+
+    rejected.push(
+      ...acceptLines(output.headlines, 'headline', accepted.headlines, wanted.headlines, validatorOptions),
+      ...acceptLines(output.descriptions, 'description', accepted.descriptions, wanted.descriptions, validatorOptions),
+      ...acceptLines(output.ctas, 'headline', accepted.ctas, wanted.ctas, validatorOptions)
+    );
+  }
+
+  return {
+    ...accepted,
+    complete: accepted.headlines.length >= RSA_COUNTS.headlines.min
+      && accepted.descriptions.length >= RSA_COUNTS.descriptions.min,
+    attempts,
+    rejected,
+  };
+}
+
+/**
+ * Generates several variants, steering each away from copy already used
+ * @param {Object} brief - {product_name, target_audience, tone, geo}
+ * @param {number} numVariants - Number of variants
+ * @param {Object} options - Passed to generateAdVariant
+ * @returns {Promise<Array<Object>>} Variants
+ */
+async function generateAdVariants(brief, numVariants = 1, options = {}) {
+  const variants = [];
+  const used = [];
+  for (let i = 0; i < numVariants; i++) {
+    const variant = await generateAdVariant(brief, { ...options, avoid: used });
+    used.push(...variant.headlines, ...variant.descriptions);
+    variants.push(variant);
+  }
+  return variants;
+}
+
+module.exports = {
+  createOpenAIProvider,
+  createMockProvider,
+  getAdCopyProvider,
+  setAdCopyProvider,
+  generateAdVariant,
+  generateAdVariants,
+};
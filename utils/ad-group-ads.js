@@ -0,0 +1,92 @@
+// utils/ad-group-ads.js
+/**
+ * Shared ad_group_ad retrieval for /api/adgroups and /api/ad-optimizer
+ * Builds the ad-level GAQL query (optionally scoped to a campaign, ad group and date range)
+ * and flattens result rows
+ */
+
+const { gaql } = require('./gaql-builder');
+
+const AD_GROUP_AD_FIELDS = [
+  'campaign.id',
+  'campaign.name',
+  'ad_group.id',
+  'ad_group.name',
+  'ad_group.status',
+  'ad_group.type',
+  'ad_group_ad.ad.id',
+  'ad_group_ad.ad.name',
+  'ad_group_ad.ad.type',
+  'ad_group_ad.status',
+  'metrics.impressions',
+  'metrics.clicks',
+  'metrics.ctr',
+  'metrics.cost_micros',
+];
+
+// Responsive search ad copy; other ad types leave these fields empty
+const RSA_FIELDS = [
+  'ad_group_ad.ad.responsive_search_ad.headlines',
+  'ad_group_ad.ad.responsive_search_ad.descriptions',
+  'ad_group_ad.ad.responsive_search_ad.path1',
+  'ad_group_ad.ad.responsive_search_ad.path2',
+];
+
+/**
+ * Builds the ad_group_ad query used for Search/DSA/YouTube standard ads
+ * IDs must already be validated (parseId); the date range comes from parseDateRangeParams
+ * @param {Object} options - Optional settings
+ * @param {string} options.campaignId - Restrict to one campaign
+ * @param {string} options.adGroupId - Restrict to one ad group
+ * @param {Object} options.range - Date range ({preset} or {start_date, end_date}); omitted = all time
+ * @param {Array<string>} options.statuses - Allowed ad_group_ad.status values
+ * @param {Array<string>} options.extraFields - Fields selected in addition to AD_GROUP_AD_FIELDS
+ * @returns {Object} GAQL builder ordered by campaign, ad group and ad (stable for cursors)
+ */
+function buildAdGroupAdQuery({ campaignId, adGroupId, range, statuses, extraFields = [] } = {}) {
+  const query = gaql()
+    .select(AD_GROUP_AD_FIELDS, extraFields)
+    .from('ad_group_ad');
+
+  if (campaignId) query.whereId('campaign.id', campaignId, 'campaign_id');
+  if (adGroupId) query.whereId('ad_group.id', adGroupId, 'ad_group_id');
+  if (range) query.whereDateRange(range);
+  if (statuses) query.whereEnum('ad_group_ad.status', 'IN', statuses);
+
+  return query
+    .orderBy('campaign.id')
+    .orderBy('ad_group.id')
+    .orderBy('ad_group_ad.ad.id');
+}
+
+/**
+ * Flattens an ad_group_ad row for NDJSON output
+ * @param {Object} r - GAQL result row
+ * @returns {Object} Flat row
+ */
+function toAdRow(r) {
+  return {
+    campaign_id: r.campaign?.id?.toString() || null,
+    campaign_name: r.campaign?.name || 'Unnamed Campaign',
+    ad_group_id: r.ad_group?.id?.toString() || null,
+    ad_group_name: r.ad_group?.name || 'Unnamed Ad Group',
+    ad_group_status: r.ad_group?.status || 'UNKNOWN',
+    ad_group_type: r.ad_group?.type || 'UNKNOWN',
+    ad_id: r.ad_group_ad?.ad?.id?.toString() || null,
+    ad_name: r.ad_group_ad?.ad?.name || 'Unnamed Ad',
+    ad_type: r.ad_group_ad?.ad?.type || 'UNKNOWN',
+    ad_status: r.ad_group_ad?.status || 'UNKNOWN',
+    impressions: parseInt(r.metrics?.impressions || 0),
+    clicks: parseInt(r.metrics?.clicks || 0),
+    ctr: parseFloat(r.metrics?.ctr || 0),
+    cost_micros: parseInt(r.metrics?.cost_micros || 0),
+    cost: parseFloat(r.metrics?.cost_micros || 0) / 1_000_000,
+  };
+}
+
+module.exports = {
+  AD_GROUP_AD_FIELDS,
+  RSA_FIELDS,
+  buildAdGroupAdQuery,
+  toAdRow,
+};
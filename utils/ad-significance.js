@@ -0,0 +1,259 @@
+// utils/ad-significance.js
+/**
+ * Ad performance ranking and significance testing within an ad group
+ * Ads are compared on CTR (clicks / impressions), conversion rate (conversions / clicks)
+ * or CPA (cost / conversion). The best ad with enough data is the leader; every other ad
+ * is tested against it (two-sided, normal approximation):
+ *   - CTR: two-proportion z-test
+ *   - Conversion rate: conditional test on conversions per click (Poisson rate comparison),
+ *     since with "every" counting an ad can have more conversions than clicks
+ *   - CPA: conditional test on conversions per unit of cost (Poisson rate comparison)
+ * Labels: winner (leader that significantly beats at least one ad), loser (significantly
+ * worse than the leader) or insufficient_data (below thresholds or no significant difference)
+ *
+ * For CPA, ads without any conversion have no CPA but are still judged: they are losers once
+ * the leader's conversions per cost are significantly higher, or once they have spent
+ * zero_conversion_cpa_multiple times the ad group's CPA without converting.
+ */
+
+const LABELS = { WINNER: 'winner', LOSER: 'loser', INSUFFICIENT_DATA: 'insufficient_data' };
+
+const DEFAULT_THRESHOLDS = { min_impressions: 1000, min_clicks: 100, min_conversions: 10, zero_conversion_cpa_multiple: 3 };
+
+/**
+ * Standard normal cumulative distribution (Abramowitz-Stegun 7.1.26, error < 1.5e-7)
+ * @param {number} z - Z score
+ * @returns {number} P(Z <= z)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Converts a z score to a two-sided p-value
+ * @param {number} z - Z score
+ * @returns {number} p-value
+ */
+function twoSidedPValue(z) {
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+/**
+ * Two-proportion z-test (pooled variance)
+ * @param {number} successesA - Successes for A (e.g. clicks)
+ * @param {number} trialsA - Trials for A (e.g. impressions)
+ * @param {number} successesB - Successes for B
+ * @param {number} trialsB - Trials for B
+ * @returns {{z: number, p_value: number}} Result (z > 0 means A has the higher rate)
+ */
+function twoProportionTest(successesA, trialsA, successesB, trialsB) {
+  if (trialsA <= 0 || trialsB <= 0) return { z: 0, p_value: 1 };
+  const pooled = (successesA + successesB) / (trialsA + trialsB);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / trialsA + 1 / trialsB));
+  if (!Number.isFinite(se) || se === 0) return { z: 0, p_value: 1 };
+  const z = (successesA / trialsA - successesB / trialsB) / se;
+  return { z, p_value: twoSidedPValue(z) };
+}
+
+/**
+ * Compares two event rates per unit of exposure (e.g. conversions per currency unit spent)
+ * Under equal rates, A's share of all events follows its share of the exposure
+ * @param {number} eventsA - Events for A
+ * @param {number} exposureA - Exposure for A
+ * @param {number} eventsB - Events for B
+ * @param {number} exposureB - Exposure for B
+ * @returns {{z: number, p_value: number}} Result (z > 0 means A has the higher rate)
+ */
+function rateTest(eventsA, exposureA, eventsB, exposureB) {
+  const events = eventsA + eventsB;
+  if (events <= 0 || exposureA <= 0 || exposureB <= 0) return { z: 0, p_value: 1 };
+  const share = exposureA / (exposureA + exposureB);
+  const z = (eventsA - events * share) / Math.sqrt(events * share * (1 - share));
+  return { z, p_value: twoSidedPValue(z) };
+}
+
+// Ranking metrics: value, direction, minimum data and the test used against the leader
+const METRICS = {
+  ctr: {
+    higherIsBetter: true,
+    value: m => (m.impressions > 0 ? m.clicks / m.impressions : null),
+    missingData: (m, t) => (m.impressions < t.min_impressions ? `fewer than ${t.min_impressions} impressions` : null),
+    test: (a, b) => twoProportionTest(a.clicks, a.impressions, b.clicks, b.impressions),
+  },
+  conversion_rate: {
+    higherIsBetter: true,
+    value: m => (m.clicks > 0 ? m.conversions / m.clicks : null),
+    missingData: (m, t) => (m.clicks < t.min_clicks ? `fewer than ${t.min_clicks} clicks` : null),
+    test: (a, b) => rateTest(a.conversions, a.clicks, b.conversions, b.clicks),
+  },
+  cpa: {
+    higherIsBetter: false,
+    value: m => (m.conversions > 0 ? m.cost / m.conversions : null),
+    missingData: (m, t) => (m.conversions < t.min_conversions ? `fewer than ${t.min_conversions} conversions` : null),
+    // Lower CPA = more conversions per unit of cost, so the rate test is run on conversions / cost
+    test: (a, b) => rateTest(a.conversions, a.cost, b.conversions, b.cost),
+  },
+};
+
+/**
+ * Computes derived metrics from additive ones
+ * @param {Object} m - {impressions, clicks, conversions, cost_micros}
+ * @returns {Object} Metrics with cost, ctr, conversion_rate and cpa (null when undefined)
+ */
+function deriveMetrics(m) {
+  const metrics = {
+    impressions: m.impressions || 0,
+    clicks: m.clicks || 0,
+    conversions: m.conversions || 0,
+    cost_micros: m.cost_micros || 0,
+    cost: (m.cost_micros || 0) / 1_000_000,
+  };
+  metrics.ctr = METRICS.ctr.value(metrics);
+  metrics.conversion_rate = METRICS.conversion_rate.value(metrics);
+  metrics.cpa = METRICS.cpa.value(metrics);
+  return metrics;
+}
+
+/**
+ * Returns a sort comparator that orders ads best-first on a metric
+ * @param {string} metric - ctr, conversion_rate or cpa
+ * @returns {function(Object, Object): number} Comparator
+ */
+function bestFirst(metric) {
+  const { higherIsBetter } = METRICS[metric];
+  return (a, b) => (higherIsBetter ? b.metrics[metric] - a.metrics[metric] : a.metrics[metric] - b.metrics[metric]);
+}
+
+/**
+ * Ranks ads on one metric (1 = best); ads without a value are unranked (null)
+ * @param {Array<Object>} ads - Ads with derived metrics
+ * @param {string} metric - ctr, conversion_rate or cpa
+ * @returns {Map<Object, number>} Rank per ad
+ */
+function rankBy(ads, metric) {
+  const ranked = ads
+    .filter(ad => ad.metrics[metric] !== null)
+    .sort(bestFirst(metric));
+  return new Map(ranked.map((ad, i) => [ad, i + 1]));
+}
+
+/**
+ * Labels ads that spent without converting when ranking on CPA
+ * @param {Array<Object>} ads - Ads of the ad group with derived metrics
+ * @param {Object|undefined} leader - Best ad with enough conversions, if any
+ * @param {Object} limits - Thresholds (zero_conversion_cpa_multiple)
+ * @param {number} alpha - Significance level
+ * @returns {{compared: number, beaten: number}} Ads tested against the leader and how many lost significantly
+ */
+function labelZeroConversionAds(ads, leader, limits, alpha) {
+  // CPA of the ads that convert, so the spend being judged does not raise its own bar
+  const totals = ads.filter(ad => ad.metrics.conversions > 0).reduce(
+    (sum, ad) => ({ cost: sum.cost + ad.metrics.cost, conversions: sum.conversions + ad.metrics.conversions }),
+    { cost: 0, conversions: 0 }
+  );
+  const groupCpa = totals.conversions > 0 ? totals.cost / totals.conversions : null;
+  let compared = 0;
+  let beaten = 0;
+
+  ads.filter(ad => ad.metrics.conversions === 0 && ad.metrics.cost > 0).forEach(ad => {
+    if (leader) {
+      const { z, p_value } = METRICS.cpa.test(leader.metrics, ad.metrics);
+      ad.test = { against_ad_id: leader.id, z, p_value };
+      compared += 1;
+      if (z > 0 && p_value < alpha) {
+        beaten += 1;
+        ad.label = LABELS.LOSER;
+        ad.reason = `no conversions; conversions per cost are significantly below ad ${leader.id} (p=${p_value.toFixed(4)})`;
+        return;
+      }
+    }
+
+    if (groupCpa !== null && ad.metrics.cost >= groupCpa * limits.zero_conversion_cpa_multiple) {
+      ad.label = LABELS.LOSER;
+      ad.reason = `no conversions after spending ${ad.metrics.cost.toFixed(2)}, at least ${limits.zero_conversion_cpa_multiple}x the ad group CPA of ${groupCpa.toFixed(2)}`;
+    }
+  });
+
+  return { compared, beaten };
+}
+
+/**
+ * Ranks and labels the ads of one ad group
+ * @param {Array<Object>} ads - Ads with a metrics object ({impressions, clicks, conversions, cost_micros})
+ * @param {Object} options - Optional settings
+ * @param {string} options.metric - Metric used for labels: ctr (default), conversion_rate or cpa
+ * @param {number} options.confidence - Confidence level for significance (default 0.95)
+ * @param {Object} options.thresholds - {min_impressions, min_clicks, min_conversions, zero_conversion_cpa_multiple}
+ * @returns {Array<Object>} Ads sorted by the chosen metric, with metrics, ranks, label, reason and test
+ */
+function evaluateAdGroup(ads, { metric = 'ctr', confidence = 0.95, thresholds = {} } = {}) {
+  const definition = METRICS[metric];
+  const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const alpha = 1 - confidence;
+
+  const evaluated = ads.map(ad => ({ ...ad, metrics: deriveMetrics(ad.metrics || {}) }));
+  const ranks = Object.fromEntries(Object.keys(METRICS).map(name => [name, rankBy(evaluated, name)]));
+  evaluated.forEach(ad => {
+    ad.ranks = Object.fromEntries(Object.keys(METRICS).map(name => [name, ranks[name].get(ad) || null]));
+    ad.label = LABELS.INSUFFICIENT_DATA;
+    ad.reason = definition.missingData(ad.metrics, limits);
+    ad.test = null;
+  });
+
+  const eligible = evaluated
+    .filter(ad => !ad.reason && ad.metrics[metric] !== null)
+    .sort(bestFirst(metric));
+
+  const [leader, ...others] = eligible;
+  let compared = others.length;
+  let beaten = 0;
+  others.forEach(ad => {
+    const { z, p_value } = definition.test(leader.metrics, ad.metrics);
+    ad.test = { against_ad_id: leader.id, z, p_value };
+    if (p_value < alpha) {
+      beaten += 1;
+      ad.label = LABELS.LOSER;
+      ad.reason = `${metric} is significantly worse than ad ${leader.id} (p=${p_value.toFixed(4)})`;
+    } else {
+      ad.reason = `${metric} is not significantly different from ad ${leader.id} (p=${p_value.toFixed(4)})`;
+    }
+  });
+
+  // Zero-conversion ads never reach min_conversions, so the worst spenders would otherwise go unlabelled
+  if (metric === 'cpa') {
+    const zeroConversion = labelZeroConversionAds(evaluated, leader, limits, alpha);
+    compared += zeroConversion.compared;
+    beaten += zeroConversion.beaten;
+  }
+
+  if (leader) {
+    if (compared === 0) {
+      leader.reason = 'no other ad in the ad group has enough data to compare against';
+    } else if (beaten > 0) {
+      leader.label = LABELS.WINNER;
+      leader.reason = `best ${metric}, significantly better than ${beaten} of ${compared} other ad(s) at ${Math.round(confidence * 100)}% confidence`;
+    } else {
+      leader.reason = `best ${metric}, but not significantly better than any other ad`;
+    }
+  }
+
+  return evaluated.sort((a, b) => {
+    const rankA = a.ranks[metric] ?? Infinity;
+    const rankB = b.ranks[metric] ?? Infinity;
+    return rankA - rankB;
+  });
+}
+
+module.exports = {
+  LABELS,
+  METRICS,
+  DEFAULT_THRESHOLDS,
+  normalCdf,
+  twoProportionTest,
+  rateTest,
+  deriveMetrics,
+  evaluateAdGroup,
+};
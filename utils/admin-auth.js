@@ -0,0 +1,25 @@
+// utils/admin-auth.js
+/**
+ * Admin key check shared by operator-only endpoints and approval flows
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compares the X-Admin-Key header with ADMIN_API_KEY in constant time
+ * @param {Object} req - Request object
+ * @returns {boolean} True if the caller presented the admin key
+ */
+function hasAdminAccess(req) {
+  const expected = process.env.ADMIN_API_KEY;
+  const provided = req.headers?.['x-admin-key'];
+  if (!expected || typeof provided !== 'string') return false;
+
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  const providedHash = crypto.createHash('sha256').update(provided).digest();
+  return crypto.timingSafeEqual(expectedHash, providedHash);
+}
+
+module.exports = {
+  hasAdminAccess,
+};
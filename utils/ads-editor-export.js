@@ -0,0 +1,109 @@
+// utils/ads-editor-export.js
+/**
+ * Google Ads Editor bulk import format for build-campaign briefs
+ * Emits one campaign row (budget, bidding, first location), extra location rows,
+ * one ad group row and one responsive search ad row with Headline 1-15 / Description 1-4
+ * Editor imports UTF-8 CSV and UTF-16LE tab-separated files (its own export format);
+ * both are written by utils/report-export.js
+ */
+
+const { COUNTRY_GEO_TARGETS, buildResourceNames } = require('./campaign-publisher');
+const { RSA_COUNTS } = require('./ad-copy-validator');
+
+const EDITOR_COLUMNS = [
+  'Campaign',
+  'Campaign Type',
+  'Networks',
+  'Budget',
+  'Budget type',
+  'Bid Strategy Type',
+  'Campaign Status',
+  'Location',
+  'Location ID',
+  'Ad Group',
+  'Max CPC',
+  'Ad Group Status',
+  'Ad type',
+  ...Array.from({ length: RSA_COUNTS.headlines.max }, (_, i) => `Headline ${i + 1}`),
+  ...Array.from({ length: RSA_COUNTS.descriptions.max }, (_, i) => `Description ${i + 1}`),
+  'Path 1',
+  'Path 2',
+  'Final URL',
+  'Status',
+];
+
+/**
+ * Splits the brief's geo into Editor locations
+ * Country codes get their location ID; anything else is passed through as a location name
+ * @param {string} geo - Comma-separated locations, e.g. "US,CA" or "Berlin"
+ * @param {Array<string|number>} geoTargetIds - Geo target constant IDs (optional)
+ * @returns {Array<{name: string, id: string}>} Locations
+ */
+function toEditorLocations(geo, geoTargetIds) {
+  if (Array.isArray(geoTargetIds) && geoTargetIds.length > 0) {
+    return geoTargetIds.map(id => ({ name: '', id: String(id) }));
+  }
+  return String(geo || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => ({ name, id: COUNTRY_GEO_TARGETS[name.toUpperCase()] || '' }));
+}
+
+/**
+ * Builds Editor rows for a campaign brief
+ * Campaign and ad group are named like the publish action; the budget is set on the campaign row,
+ * so Editor creates it without a name of its own
+ * @param {Object} brief - build-campaign request body
+ * @returns {Array<Object>} Rows keyed by EDITOR_COLUMNS
+ */
+function buildEditorRows(brief) {
+  const { geo, geo_target_ids, budget, cpc_bid, final_url, headlines = [], descriptions = [], path1, path2 } = brief;
+  const { campaign, ad_group: adGroup } = buildResourceNames(brief);
+  const [firstLocation, ...otherLocations] = toEditorLocations(geo, geo_target_ids);
+
+  const rows = [
+    {
+      'Campaign': campaign,
+      'Campaign Type': 'Search',
+      'Networks': 'Google search;Search Partners',
+      'Budget': budget ?? '',
+      'Budget type': 'Daily',
+      'Bid Strategy Type': 'Manual CPC',
+      'Campaign Status': 'Paused',
+      'Location': firstLocation?.name || '',
+      'Location ID': firstLocation?.id || '',
+    },
+    ...otherLocations.map(location => ({
+      'Campaign': campaign,
+      'Location': location.name,
+      'Location ID': location.id,
+    })),
+    {
+      'Campaign': campaign,
+      'Ad Group': adGroup,
+      'Max CPC': cpc_bid ?? '',
+      'Ad Group Status': 'Enabled',
+    },
+  ];
+
+  const adRow = {
+    'Campaign': campaign,
+    'Ad Group': adGroup,
+    'Ad type': 'Responsive search ad',
+    'Path 1': path1 || '',
+    'Path 2': path2 || '',
+    'Final URL': final_url || '',
+    'Status': 'Enabled',
+  };
+  headlines.slice(0, RSA_COUNTS.headlines.max).forEach((text, i) => { adRow[`Headline ${i + 1}`] = text; });
+  descriptions.slice(0, RSA_COUNTS.descriptions.max).forEach((text, i) => { adRow[`Description ${i + 1}`] = text; });
+  rows.push(adRow);
+
+  return rows;
+}
+
+module.exports = {
+  EDITOR_COLUMNS,
+  buildEditorRows,
+};
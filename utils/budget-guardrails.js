@@ -0,0 +1,114 @@
+// utils/budget-guardrails.js
+/**
+ * Spend guardrails for campaign budget changes
+ * Every budget edit, and every budget created when a campaign is published, is checked
+ * against three limits before it is sent to Google:
+ * - max_change_percent: largest allowed change per edit, up or down (default 50%); not applied to new budgets
+ * - daily_ceiling: maximum combined daily budget of the account after the change
+ * - approval_threshold: increases to a daily amount above this need an approver (X-Admin-Key)
+ *
+ * Defaults come from BUDGET_MAX_CHANGE_PERCENT, BUDGET_DAILY_CEILING and BUDGET_APPROVAL_THRESHOLD.
+ * Per-account overrides are read from BUDGET_GUARDRAILS, a JSON object keyed by customer ID:
+ *   {"1234567890": {"daily_ceiling": 500, "approval_threshold": 200}}
+ * Amounts are in account currency units; unset ceiling/threshold disable that check.
+ */
+
+const { logger } = require('./logger');
+
+const DEFAULT_MAX_CHANGE_PERCENT = 50;
+
+/**
+ * Parses an optional non-negative number from config
+ * @param {*} value - Raw value
+ * @returns {number|null} Parsed number or null when unset/invalid
+ */
+function parseLimit(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Reads per-account overrides from BUDGET_GUARDRAILS
+ * @returns {Object} Overrides keyed by customer ID
+ */
+function readAccountOverrides() {
+  if (!process.env.BUDGET_GUARDRAILS) return {};
+  try {
+    const overrides = JSON.parse(process.env.BUDGET_GUARDRAILS);
+    return overrides && typeof overrides === 'object' ? overrides : {};
+  } catch (e) {
+    logger.warn('BUDGET_GUARDRAILS is not valid JSON, ignoring per-account overrides', { error: e.message });
+    return {};
+  }
+}
+
+/**
+ * Resolves the guardrails that apply to an account
+ * @param {string} customerId - Normalized customer ID
+ * @returns {{max_change_percent: number, daily_ceiling: number|null, approval_threshold: number|null}} Guardrails
+ */
+function getGuardrails(customerId) {
+  const override = readAccountOverrides()[customerId] || {};
+  const pick = (key, envValue) => (override[key] !== undefined ? parseLimit(override[key]) : parseLimit(envValue));
+
+  return {
+    max_change_percent: pick('max_change_percent', process.env.BUDGET_MAX_CHANGE_PERCENT) ?? DEFAULT_MAX_CHANGE_PERCENT,
+    daily_ceiling: pick('daily_ceiling', process.env.BUDGET_DAILY_CEILING),
+    approval_threshold: pick('approval_threshold', process.env.BUDGET_APPROVAL_THRESHOLD),
+  };
+}
+
+/**
+ * Checks a budget change against the account guardrails
+ * @param {Object} change - Proposed change (currency units)
+ * @param {number|null} change.currentAmount - Current daily amount of the budget, or null for a budget being created
+ * @param {number} change.newAmount - Requested daily amount
+ * @param {number} change.accountDailyTotal - Current combined daily budget of the account (including this budget if it exists)
+ * @param {Object} guardrails - Result of getGuardrails
+ * @returns {{allowed: boolean, requires_approval: boolean, change_percent: number|null, account_daily_total_after: number, violations: Array<Object>}} Evaluation
+ */
+function evaluateBudgetChange({ currentAmount: givenAmount, newAmount, accountDailyTotal }, guardrails) {
+  const violations = [];
+  const isNew = givenAmount === null;
+  const currentAmount = isNew ? 0 : givenAmount;
+  const changePercent = currentAmount > 0 ? ((newAmount - currentAmount) / currentAmount) * 100 : null;
+  const totalAfter = accountDailyTotal - currentAmount + newAmount;
+
+  if (!isNew && (changePercent === null || Math.abs(changePercent) > guardrails.max_change_percent)) {
+    violations.push({
+      rule: 'max_change_percent',
+      limit: guardrails.max_change_percent,
+      value: changePercent,
+      message: changePercent === null
+        ? 'Current budget is 0, so the percentage change cannot be checked'
+        : `Change of ${changePercent.toFixed(1)}% exceeds the ${guardrails.max_change_percent}% limit per edit`,
+    });
+  }
+
+  if (guardrails.daily_ceiling !== null && newAmount > currentAmount && totalAfter > guardrails.daily_ceiling) {
+    violations.push({
+      rule: 'daily_ceiling',
+      limit: guardrails.daily_ceiling,
+      value: totalAfter,
+      message: `Account daily budget would be ${totalAfter.toFixed(2)}, above the ${guardrails.daily_ceiling} ceiling`,
+    });
+  }
+
+  const requiresApproval = guardrails.approval_threshold !== null
+    && newAmount > currentAmount
+    && newAmount > guardrails.approval_threshold;
+
+  return {
+    allowed: violations.length === 0,
+    requires_approval: requiresApproval,
+    change_percent: changePercent,
+    account_daily_total_after: totalAfter,
+    violations,
+  };
+}
+
+module.exports = {
+  getGuardrails,
+  evaluateBudgetChange,
+};
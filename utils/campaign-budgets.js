@@ -0,0 +1,98 @@
+// utils/campaign-budgets.js
+/**
+ * Campaign budget queries and formatting shared by the budget endpoints and /api/campaigns
+ */
+
+const { gaql, GaqlValidationError } = require('./gaql-builder');
+
+// Budget amounts must be a multiple of the smallest currency unit (0.01)
+const AMOUNT_STEP_MICROS = 10_000;
+
+/**
+ * Converts micros to currency units, keeping nulls
+ * @param {string|number|null} micros - Amount in micros
+ * @returns {number|null} Amount in currency units
+ */
+function fromMicros(micros) {
+  return micros === undefined || micros === null ? null : parseInt(micros) / 1_000_000;
+}
+
+/**
+ * Converts a currency amount to micros rounded to the currency step
+ * @param {number|string} amount - Amount in currency units
+ * @param {string} name - Parameter name used in the error message
+ * @returns {number} Amount in micros
+ * @throws {GaqlValidationError} If the amount is not a positive number
+ */
+function toAmountMicros(amount, name = 'amount') {
+  const micros = Math.round(Number(amount) * 1_000_000 / AMOUNT_STEP_MICROS) * AMOUNT_STEP_MICROS;
+  if (!Number.isFinite(micros) || micros <= 0) {
+    throw new GaqlValidationError(`${name} must be a positive number in account currency units`);
+  }
+  return micros;
+}
+
+/**
+ * Builds the campaign_budget query, optionally for a single budget
+ * @param {string} budgetId - Budget ID (optional, validated by the builder)
+ * @returns {string} GAQL query
+ */
+function buildBudgetsQuery(budgetId = null) {
+  const query = gaql()
+    .select([
+      'campaign_budget.id',
+      'campaign_budget.name',
+      'campaign_budget.resource_name',
+      'campaign_budget.status',
+      'campaign_budget.amount_micros',
+      'campaign_budget.total_amount_micros',
+      'campaign_budget.period',
+      'campaign_budget.delivery_method',
+      'campaign_budget.explicitly_shared',
+      'campaign_budget.reference_count',
+    ])
+    .from('campaign_budget')
+    .whereEnum('campaign_budget.status', '=', 'ENABLED');
+  if (budgetId) query.whereId('campaign_budget.id', budgetId, 'budget_id');
+  return query.orderBy('campaign_budget.id').build();
+}
+
+/**
+ * Maps a campaign_budget row (or the campaign_budget part of a campaign row) to the response shape
+ * @param {Object} budget - campaign_budget object from a GAQL row
+ * @returns {Object} Budget
+ */
+function toBudget(budget = {}) {
+  return {
+    id: budget.id?.toString() || null,
+    name: budget.name || null,
+    resource_name: budget.resource_name || null,
+    status: budget.status || 'UNKNOWN',
+    amount_micros: budget.amount_micros ? parseInt(budget.amount_micros) : null,
+    amount: fromMicros(budget.amount_micros),
+    total_amount: fromMicros(budget.total_amount_micros),
+    period: budget.period || 'UNKNOWN',
+    delivery_method: budget.delivery_method || 'UNKNOWN',
+    shared: budget.explicitly_shared === true,
+    reference_count: budget.reference_count !== undefined ? parseInt(budget.reference_count) : null,
+  };
+}
+
+/**
+ * Sums the daily amounts of budgets that are in use
+ * @param {Array<Object>} budgets - Budgets from toBudget
+ * @returns {number} Combined daily budget (currency units)
+ */
+function sumDailyBudgets(budgets) {
+  return budgets
+    .filter(b => b.period === 'DAILY' && b.reference_count > 0 && b.amount !== null)
+    .reduce((sum, b) => sum + b.amount, 0);
+}
+
+module.exports = {
+  fromMicros,
+  toAmountMicros,
+  buildBudgetsQuery,
+  toBudget,
+  sumDailyBudgets,
+};
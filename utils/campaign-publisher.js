@@ -0,0 +1,228 @@
+// utils/campaign-publisher.js
+/**
+ * Turns a build-campaign brief into one atomic googleAds:mutate batch
+ * Creates the budget, a paused Search campaign, its location targeting, an ad group and a
+ * responsive search ad. New resources reference each other through negative temporary IDs,
+ * so the whole batch succeeds or fails together.
+ */
+
+const { parseId, GaqlValidationError } = require('./gaql-builder');
+const { toAmountMicros } = require('./campaign-budgets');
+const { RSA_COUNTS } = require('./ad-copy-validator');
+
+// Geo target constant IDs for common country codes (full list: Google Ads geotargets CSV)
+const COUNTRY_GEO_TARGETS = {
+  AU: '2036',
+  AT: '2040',
+  BE: '2056',
+  BR: '2076',
+  CA: '2124',
+  CH: '2756',
+  DE: '2276',
+  DK: '2208',
+  ES: '2724',
+  FR: '2250',
+  GB: '2826',
+  IE: '2372',
+  IN: '2356',
+  IT: '2380',
+  JP: '2392',
+  MX: '2484',
+  NL: '2528',
+  NO: '2578',
+  NZ: '2554',
+  PL: '2616',
+  SE: '2752',
+  SG: '2702',
+  UK: '2826',
+  US: '2840',
+  ZA: '2710',
+};
+
+/**
+ * Resolves geo targeting to geo target constant IDs
+ * Explicit geo_target_ids win; otherwise geo is read as comma-separated country codes
+ * @param {string} geo - Country code(s), e.g. "US" or "US,CA"
+ * @param {Array<string|number>} geoTargetIds - Geo target constant IDs (optional)
+ * @returns {Array<string>} Geo target constant IDs
+ */
+function resolveGeoTargets(geo, geoTargetIds) {
+  if (Array.isArray(geoTargetIds) && geoTargetIds.length > 0) {
+    return geoTargetIds.map(id => parseId(id, 'geo_target_ids'));
+  }
+
+  const codes = String(geo || '').split(',').map(c => c.trim().toUpperCase()).filter(Boolean);
+  const unknown = codes.filter(code => !COUNTRY_GEO_TARGETS[code]);
+  if (codes.length === 0 || unknown.length > 0) {
+    throw new GaqlValidationError(
+      `geo must be country codes (${Object.keys(COUNTRY_GEO_TARGETS).join(', ')}); pass geo_target_ids for other locations`
+    );
+  }
+  return [...new Set(codes.map(code => COUNTRY_GEO_TARGETS[code]))];
+}
+
+/**
+ * Names the budget, campaign and ad group created for a brief (publish action and Ads Editor export)
+ * The timestamp keeps names unique, since budget and campaign names must not collide
+ * @param {Object} brief - Campaign brief ({product_name, geo, geo_target_ids})
+ * @param {Date} now - Time used for the stamp (default: now)
+ * @returns {{budget: string, campaign: string, ad_group: string}} Resource names
+ */
+function buildResourceNames({ product_name, geo, geo_target_ids }, now = new Date()) {
+  const location = geo || (Array.isArray(geo_target_ids) ? geo_target_ids.join(',') : '');
+  const stamp = now.toISOString().replace('T', ' ').substring(0, 19);
+  return {
+    budget: `${product_name} - ${location} Budget (${stamp})`,
+    campaign: `${product_name} - ${location} (${stamp})`,
+    ad_group: `${product_name} - Core`,
+  };
+}
+
+/**
+ * Builds the mutate operations for a campaign brief
+ * @param {string} customerId - Normalized customer ID
+ * @param {Object} brief - Campaign brief
+ * @param {string} brief.product_name - Used for campaign, ad group and budget names
+ * @param {string} brief.geo - Country code(s) when geo_target_ids is not given
+ * @param {Array<string|number>} brief.geo_target_ids - Geo target constant IDs (optional)
+ * @param {number|string} brief.budget - Daily budget in account currency
+ * @param {number|string} brief.cpc_bid - Default max CPC for the ad group (optional, default 1)
+ * @param {string} brief.final_url - Landing page URL
+ * @param {Array<string>} brief.headlines - RSA headlines (3-15)
+ * @param {Array<string>} brief.descriptions - RSA descriptions (2-4)
+ * @param {string} brief.path1 - Display URL path 1 (optional)
+ * @param {string} brief.path2 - Display URL path 2 (optional)
+ * @returns {{operations: Array<Object>, names: Object}} MutateOperations and the names given to new resources
+ */
+function buildPublishOperations(customerId, brief) {
+  const { geo, geo_target_ids, budget, cpc_bid = 1, final_url, headlines = [], descriptions = [], path1, path2 } = brief;
+
+  if (!/^https?:\/\//i.test(String(final_url || ''))) {
+    throw new GaqlValidationError('final_url must be an http(s) URL');
+  }
+  if (headlines.length < RSA_COUNTS.headlines.min || descriptions.length < RSA_COUNTS.descriptions.min) {
+    throw new GaqlValidationError(
+      `A responsive search ad needs at least ${RSA_COUNTS.headlines.min} headlines and ${RSA_COUNTS.descriptions.min} descriptions`
+    );
+  }
+
+  const geoTargets = resolveGeoTargets(geo, geo_target_ids);
+  const budgetMicros = toAmountMicros(budget, 'budget');
+  const cpcBidMicros = toAmountMicros(cpc_bid, 'cpc_bid');
+  const names = buildResourceNames(brief);
+
+  const budgetResourceName = `customers/${customerId}/campaignBudgets/-1`;
+  const campaignResourceName = `customers/${customerId}/campaigns/-2`;
+  const adGroupResourceName = `customers/${customerId}/adGroups/-3`;
+
+  const operations = [
+    {
+      campaignBudgetOperation: {
+        create: {
+          resourceName: budgetResourceName,
+          name: names.budget,
+          amountMicros: String(budgetMicros),
+          deliveryMethod: 'STANDARD',
+          explicitlyShared: false,
+        },
+      },
+    },
+    {
+      campaignOperation: {
+        create: {
+          resourceName: campaignResourceName,
+          name: names.campaign,
+          status: 'PAUSED',
+          advertisingChannelType: 'SEARCH',
+          campaignBudget: budgetResourceName,
+          manualCpc: {},
+          networkSettings: {
+            targetGoogleSearch: true,
+            targetSearchNetwork: true,
+            targetContentNetwork: false,
+          },
+          containsEuPoliticalAdvertising: 'DOES_NOT_CONTAIN_EU_POLITICAL_ADVERTISING',
+        },
+      },
+    },
+    ...geoTargets.map(id => ({
+      campaignCriterionOperation: {
+        create: {
+          campaign: campaignResourceName,
+          location: { geoTargetConstant: `geoTargetConstants/${id}` },
+        },
+      },
+    })),
+    {
+      adGroupOperation: {
+        create: {
+          resourceName: adGroupResourceName,
+          campaign: campaignResourceName,
+          name: names.ad_group,
+          status: 'ENABLED',
+          type: 'SEARCH_STANDARD',
+          cpcBidMicros: String(cpcBidMicros),
+        },
+      },
+    },
+    {
+      adGroupAdOperation: {
+        create: {
+          adGroup: adGroupResourceName,
+          status: 'ENABLED',
+          ad: {
+            finalUrls: [final_url],
+            responsiveSearchAd: {
+              headlines: headlines.slice(0, RSA_COUNTS.headlines.max).map(text => ({ text })),
+              descriptions: descriptions.slice(0, RSA_COUNTS.descriptions.max).map(text => ({ text })),
+              ...(path1 ? { path1 } : {}),
+              ...(path2 ? { path2 } : {}),
+            },
+          },
+        },
+      },
+    },
+  ];
+
+  return { operations, names };
+}
+
+/**
+ * Reads the IDs of the created resources from the mutate responses
+ * validate_only responses carry no results, so every ID is null in that case
+ * @param {Array<Object>} responses - mutateOperationResponses in operation order
+ * @returns {Object} Resource names and IDs of the budget, campaign, criteria, ad group and ad
+ */
+function extractCreatedIds(responses) {
+  const resourceNames = (key) => responses.map(r => r[key]?.resourceName).filter(Boolean);
+  const lastSegment = (resourceName) => (resourceName ? resourceName.split('/').pop() : null);
+
+  const [budget] = resourceNames('campaignBudgetResult');
+  const [campaign] = resourceNames('campaignResult');
+  const [adGroup] = resourceNames('adGroupResult');
+  const [adGroupAd] = resourceNames('adGroupAdResult');
+  const criteria = resourceNames('campaignCriterionResult');
+
+  return {
+    budget_id: lastSegment(budget),
+    campaign_id: lastSegment(campaign),
+    ad_group_id: lastSegment(adGroup),
+    ad_id: adGroupAd ? lastSegment(adGroupAd).split('~').pop() : null,
+    location_criterion_ids: criteria.map(name => lastSegment(name).split('~').pop()),
+    resource_names: {
+      budget: budget || null,
+      campaign: campaign || null,
+      ad_group: adGroup || null,
+      ad_group_ad: adGroupAd || null,
+      campaign_criteria: criteria,
+    },
+  };
+}
+
+module.exports = {
+  COUNTRY_GEO_TARGETS,
+  resolveGeoTargets,
+  buildResourceNames,
+  buildPublishOperations,
+  extractCreatedIds,
+};
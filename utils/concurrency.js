@@ -0,0 +1,88 @@
+// utils/concurrency.js
+/**
+ * Bounded-concurrency helpers for fanning out API calls
+ */
+
+/**
+ * Runs an async function over items with at most `limit` calls in flight
+ * Never rejects: each result is settled like Promise.allSettled, in input order
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum concurrent calls
+ * @param {function(*, number): Promise<*>} fn - Called with (item, index)
+ * @returns {Promise<Array<{status: string, value?: *, reason?: Error}>>} Settled results
+ */
+async function mapSettled(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Creates a limiter that allows at most `limit` concurrent tasks per key (e.g. per customer ID)
+ * Waiting tasks start in arrival order as slots free up
+ * @param {number} limit - Maximum concurrent tasks per key
+ * @returns {{run: function(string, function(): Promise<*>): Promise<*>, stats: function(): Object}} Limiter
+ */
+function createKeyedLimiter(limit) {
+  const keys = new Map(); // key -> {active, queue}
+
+  const release = (key) => {
+    const entry = keys.get(key);
+    const next = entry.queue.shift();
+    if (next) {
+      next();
+    } else {
+      entry.active -= 1;
+      if (entry.active === 0) keys.delete(key);
+    }
+  };
+
+  return {
+    async run(key, task) {
+      if (!keys.has(key)) keys.set(key, { active: 0, queue: [] });
+      const entry = keys.get(key);
+
+      if (entry.active < limit) {
+        entry.active += 1;
+      } else {
+        // The releasing task hands its slot straight to the next waiter
+        await new Promise(resolve => entry.queue.push(resolve));
+      }
+
+      try {
+        return await task();
+      } finally {
+        release(key);
+      }
+    },
+
+    stats() {
+      const active = {};
+      let queued = 0;
+      keys.forEach((entry, key) => {
+        active[key] = entry.active;
+        queued += entry.queue.length;
+      });
+      return { limit, active, queued };
+    },
+  };
+}
+
+module.exports = {
+  mapSettled,
+  createKeyedLimiter,
+};
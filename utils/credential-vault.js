@@ -0,0 +1,327 @@
+// utils/credential-vault.js
+/**
+ * Server-side credential vault
+ * Stores OAuth refresh tokens encrypted at rest (AES-256-GCM) and hands out
+ * opaque connection IDs, so refresh tokens never leave the backend
+ *
+ * Backend is selected with CREDENTIAL_STORE:
+ *   redis   REDIS_URL (default redis://127.0.0.1:6379), shared by every instance
+ *   file    CREDENTIAL_STORE_PATH (default .data/credentials.json), local development only
+ *   memory  per instance, lost on cold start
+ * Outside local development CREDENTIAL_STORE must be set, and the file store is refused:
+ * deployed functions have a read-only, per-instance filesystem.
+ * Any store implementing get/set/delete/list can be plugged in with setCredentialStore
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createMemoryStore, createFileStore, createRedisStore } = require('./kv-store');
+const { logger, maskToken } = require('./logger');
+
+const KEY_PREFIX = 'connection:';
+// last_used_at lives under its own key, so recording use never rewrites the connection record
+const USAGE_KEY_PREFIX = 'connection-used:';
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+const CONNECTION_ID_PATTERN = /^conn_[A-Za-z0-9_-]{32}$/;
+const DEFAULT_FILE_PATH = path.join(process.cwd(), '.data', 'credentials.json');
+const DEFAULT_REDIS_URL = 'redis://127.0.0.1:6379';
+
+let store = null;
+let encryptionKey = null;
+const lastTouched = new Map();
+
+const REAUTH_HINT = 'Google no longer accepts this connection (the access was revoked, the password changed or the grant expired). Reconnect through /api/auth and use the new connection_id.';
+
+/**
+ * Raised when a connection ID cannot be resolved to usable credentials
+ * Endpoints respond with 401 so the caller knows to reconnect
+ */
+class CredentialError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} type - INVALID_CONNECTION, or REAUTH_REQUIRED when Google rejected the refresh token
+   */
+  constructor(message, type = 'INVALID_CONNECTION') {
+    super(message);
+    this.name = 'CredentialError';
+    this.status = 401;
+    this.type = type;
+    this.hint = type === 'REAUTH_REQUIRED' ? REAUTH_HINT : 'Reconnect through /api/auth and use the new connection_id.';
+  }
+}
+
+/**
+ * Checks whether the code runs in a deployment rather than on a developer machine
+ * @returns {boolean} True for production and preview deployments
+ */
+function isDeployed() {
+  return process.env.NODE_ENV === 'production' || ['production', 'preview'].includes(process.env.VERCEL_ENV);
+}
+
+/**
+ * Returns the configured credential store, creating it on first use
+ * @returns {Object} Store with get/set/delete/list
+ * @throws {Error} If no usable backend is configured for a deployment
+ */
+function getCredentialStore() {
+  if (!store) {
+    if (!process.env.CREDENTIAL_STORE && isDeployed()) {
+      throw new Error('CREDENTIAL_STORE environment variable is required in deployments (use redis, or plug in a store with setCredentialStore)');
+    }
+
+    const backend = (process.env.CREDENTIAL_STORE || 'file').toLowerCase();
+    if (backend === 'redis') {
+      store = createRedisStore(process.env.REDIS_URL || DEFAULT_REDIS_URL);
+    } else if (backend === 'memory') {
+      store = createMemoryStore();
+    } else if (backend === 'file') {
+      if (isDeployed()) {
+        throw new Error('CREDENTIAL_STORE=file is only supported in local development; deployed functions cannot keep files (use redis)');
+      }
+      store = createFileStore(process.env.CREDENTIAL_STORE_PATH || DEFAULT_FILE_PATH);
+    } else {
+      throw new Error(`Unsupported CREDENTIAL_STORE backend: ${backend}`);
+    }
+  }
+  return store;
+}
+
+/**
+ * Replaces the credential store (e.g. with a database-backed implementation)
+ * @param {Object} customStore - Store with get/set/delete/list
+ */
+function setCredentialStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Derives the 256-bit encryption key from CREDENTIAL_VAULT_KEY
+ * @returns {Buffer} Encryption key
+ */
+function getEncryptionKey() {
+  if (!encryptionKey) {
+    const secret = process.env.CREDENTIAL_VAULT_KEY;
+    if (!secret) {
+      throw new Error('CREDENTIAL_VAULT_KEY environment variable is required to store credentials');
+    }
+    encryptionKey = crypto.scryptSync(secret, 'enterprise-gpt-backend/credential-vault', 32);
+  }
+  return encryptionKey;
+}
+
+/**
+ * Encrypts a secret with AES-256-GCM
+ * @param {string} plaintext - Secret to encrypt
+ * @returns {string} Versioned payload: v1:iv:authTag:ciphertext (base64)
+ */
+function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypts a payload produced by encryptSecret
+ * @param {string} payload - Encrypted payload
+ * @returns {string} Plaintext secret
+ */
+function decryptSecret(payload) {
+  const [version, iv, authTag, ciphertext] = String(payload).split(':');
+  if (version !== 'v1' || !iv || !authTag || !ciphertext) {
+    throw new Error('Unsupported credential payload format');
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Checks whether a value looks like a connection ID issued by this vault
+ * @param {string} value - Candidate value
+ * @returns {boolean} True for connection IDs
+ */
+function isConnectionId(value) {
+  return typeof value === 'string' && CONNECTION_ID_PATTERN.test(value);
+}
+
+/**
+ * Removes secret fields from a stored connection record
+ * @param {Object} record - Stored record
+ * @param {string|null} lastUsedAt - Time of last use (ISO 8601)
+ * @returns {Object} Public connection metadata
+ */
+function toConnectionInfo(record, lastUsedAt = null) {
+  return {
+    connection_id: record.id,
+    label: record.label || null,
+    scopes: record.scopes || [],
+    created_at: record.created_at,
+    last_used_at: lastUsedAt || record.last_used_at || null,
+    needs_reauth: Boolean(record.needs_reauth),
+  };
+}
+
+/**
+ * Stores a refresh token and issues a new connection ID for it
+ * @param {string} refreshToken - OAuth refresh token
+ * @param {Object} metadata - Optional metadata (label, scopes)
+ * @returns {Promise<Object>} Public connection metadata including connection_id
+ */
+async function createConnection(refreshToken, metadata = {}) {
+  if (!refreshToken) {
+    throw new Error('refreshToken is required');
+  }
+
+  const id = `conn_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id,
+    label: metadata.label || null,
+    scopes: metadata.scopes || [],
+    refresh_token: encryptSecret(refreshToken),
+    created_at: new Date().toISOString(),
+    last_used_at: null,
+  };
+
+  await getCredentialStore().set(KEY_PREFIX + id, record);
+  return toConnectionInfo(record);
+}
+
+/**
+ * Resolves a connection ID to its decrypted refresh token
+ * @param {string} connectionId - Connection ID issued by createConnection
+ * @returns {Promise<string>} Refresh token
+ */
+async function getRefreshToken(connectionId) {
+  if (!isConnectionId(connectionId)) {
+    throw new CredentialError('Invalid connection_id format');
+  }
+
+  const record = await getCredentialStore().get(KEY_PREFIX + connectionId);
+  if (!record) {
+    throw new CredentialError('Unknown or revoked connection_id. Reconnect via /api/auth');
+  }
+  if (record.needs_reauth) {
+    throw new CredentialError('This connection must be re-authorized. Reconnect via /api/auth', 'REAUTH_REQUIRED');
+  }
+
+  return decryptSecret(record.refresh_token);
+}
+
+/**
+ * Flags a connection whose refresh token Google rejected (invalid_grant)
+ * Later requests fail with REAUTH_REQUIRED without calling Google again
+ * @param {string} connectionId - Connection ID
+ * @param {string} reason - Google's error_description
+ * @returns {Promise<boolean>} True if the connection exists
+ */
+async function markConnectionNeedsReauth(connectionId, reason = null) {
+  const record = await getCredentialStore().get(KEY_PREFIX + connectionId);
+  if (!record) return false;
+
+  record.needs_reauth = true;
+  record.reauth_reason = reason;
+  record.reauth_marked_at = new Date().toISOString();
+  await getCredentialStore().set(KEY_PREFIX + connectionId, record);
+  logger.warn('Connection marked as needing re-authorization', { connection_id: maskToken(connectionId), reason });
+  return true;
+}
+
+/**
+ * Records that a connection was used (best effort, never throws)
+ * Writes at most once per TOUCH_INTERVAL_MS per instance, to a separate key than the connection record
+ * @param {string} connectionId - Connection ID
+ * @returns {Promise<void>}
+ */
+async function touchConnection(connectionId) {
+  const now = Date.now();
+  if (now - (lastTouched.get(connectionId) || 0) < TOUCH_INTERVAL_MS) {
+    return;
+  }
+  lastTouched.set(connectionId, now);
+
+  try {
+    await getCredentialStore().set(USAGE_KEY_PREFIX + connectionId, new Date(now).toISOString());
+  } catch (err) {
+    logger.warn('Failed to update connection last_used_at', { error: err.message });
+  }
+}
+
+/**
+ * Lists stored connections (metadata only, never tokens)
+ * @returns {Promise<Array<Object>>} Public connection metadata
+ */
+async function listConnections() {
+  const credentialStore = getCredentialStore();
+  const keys = await credentialStore.list(KEY_PREFIX);
+  const connections = await Promise.all(keys.map(async (key) => {
+    const record = await credentialStore.get(key);
+    return record && toConnectionInfo(record, await credentialStore.get(USAGE_KEY_PREFIX + record.id));
+  }));
+  return connections
+    .filter(Boolean)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+/**
+ * Deletes a connection from the vault
+ * @param {string} connectionId - Connection ID
+ * @returns {Promise<string|null>} The refresh token that was stored (so it can be revoked upstream), or null if unknown
+ */
+async function deleteConnection(connectionId) {
+  if (!isConnectionId(connectionId)) {
+    return null;
+  }
+
+  const credentialStore = getCredentialStore();
+  const record = await credentialStore.get(KEY_PREFIX + connectionId);
+  if (!record) {
+    return null;
+  }
+
+  await credentialStore.delete(KEY_PREFIX + connectionId);
+  await credentialStore.delete(USAGE_KEY_PREFIX + connectionId);
+  lastTouched.delete(connectionId);
+  return decryptSecret(record.refresh_token);
+}
+
+/**
+ * Reads the connection ID from the X-Connection-Id header or connection_id query/body parameter
+ * Rejects requests that still send a raw refresh_token
+ * @param {Object} req - Request object
+ * @returns {{connectionId: string|null, error: string|null}} Connection ID or a validation message
+ */
+function readConnectionId(req) {
+  const query = req.query || {};
+  const body = (req.body && typeof req.body === 'object') ? req.body : {};
+
+  if (query.refresh_token || body.refresh_token) {
+    return {
+      connectionId: null,
+      error: 'refresh_token is no longer accepted. Connect via /api/auth and pass the returned connection_id instead',
+    };
+  }
+
+  const connectionId = req.headers?.['x-connection-id'] || query.connection_id || body.connection_id || null;
+  if (connectionId && !isConnectionId(connectionId)) {
+    return { connectionId: null, error: 'connection_id is malformed' };
+  }
+
+  return { connectionId, error: null };
+}
+
+module.exports = {
+  CredentialError,
+  getCredentialStore,
+  setCredentialStore,
+  isConnectionId,
+  createConnection,
+  getRefreshToken,
+  markConnectionNeedsReauth,
+  touchConnection,
+  listConnections,
+  deleteConnection,
+  readConnectionId,
+  encryptSecret,
+  decryptSecret,
+};
@@ -0,0 +1,205 @@
+// utils/customer-clients.js
+/**
+ * Client accounts under a manager (MCC) account
+ * customer_client returns every account linked to the manager, directly or through sub-managers
+ *
+ * fetchAccountHierarchy walks the tree one level at a time (customer_client.level <= 1 per manager)
+ * so every account gets its parent manager, its depth and the login_customer_id to use for it:
+ * the highest manager on its path that the OAuth user can access directly
+ */
+
+const { gaql } = require('./gaql-builder');
+const { executeGAQLQuery } = require('./google-ads-api');
+const { mapSettled } = require('./concurrency');
+
+const HIERARCHY_CONCURRENCY = 5;
+
+/**
+ * Builds the client account query (non-manager accounts only)
+ * @returns {string} GAQL query
+ */
+function buildClientAccountsQuery() {
+  return gaql()
+    .select([
+      'customer_client.id',
+      'customer_client.descriptive_name',
+      'customer_client.currency_code',
+      'customer_client.time_zone',
+      'customer_client.status',
+      'customer_client.manager',
+      'customer_client.test_account',
+    ])
+    .from('customer_client')
+    .whereBoolean('customer_client.manager', false)
+    .orderBy('customer_client.descriptive_name')
+    .build();
+}
+
+/**
+ * Builds the query for a manager's own row (level 0) and its direct children (level 1)
+ * Managers, hidden and cancelled accounts are all included
+ * @returns {string} GAQL query
+ */
+function buildHierarchyQuery() {
+  return gaql()
+    .select([
+      'customer_client.id',
+      'customer_client.descriptive_name',
+      'customer_client.currency_code',
+      'customer_client.time_zone',
+      'customer_client.status',
+      'customer_client.manager',
+      'customer_client.test_account',
+      'customer_client.hidden',
+      'customer_client.level',
+    ])
+    .from('customer_client')
+    .where('customer_client.level', '<=', 1)
+    .orderBy('customer_client.level')
+    .orderBy('customer_client.descriptive_name')
+    .build();
+}
+
+/**
+ * Maps a customer_client row to the account response format
+ * @param {Object} r - GAQL result row
+ * @returns {Object} Account
+ */
+function toAccount(r) {
+  return {
+    id: r.customer_client?.id?.toString() || null,
+    name: r.customer_client?.descriptive_name || 'Unnamed Account',
+    currency_code: r.customer_client?.currency_code || null,
+    time_zone: r.customer_client?.time_zone || null,
+    status: r.customer_client?.status || 'UNKNOWN',
+    is_manager: r.customer_client?.manager || false,
+    is_test_account: r.customer_client?.test_account || false,
+    is_hidden: r.customer_client?.hidden || false,
+  };
+}
+
+/**
+ * Lists the client accounts of a manager
+ * @param {string} managerId - Normalized manager customer ID
+ * @param {string} accessToken - OAuth access token
+ * @param {string} connectionId - Connection ID (for token refresh on 401)
+ * @param {Object} options - executeGAQLQuery options (e.g. {cache})
+ * @returns {Promise<Array<Object>>} Accounts
+ */
+async function listClientAccounts(managerId, accessToken, connectionId, options = {}) {
+  // Query the manager account itself, with itself as login-customer-id
+  const results = await executeGAQLQuery(managerId, accessToken, buildClientAccountsQuery(), managerId, connectionId, options);
+  return results.map(toAccount);
+}
+
+/**
+ * Walks the account tree below a manager, breadth first
+ * An account linked under several managers is listed once, under the first (shallowest) one
+ * A sub-manager whose children cannot be read gets an `error`; only a root failure throws
+ * @param {string} rootId - Normalized manager customer ID
+ * @param {string} accessToken - OAuth access token
+ * @param {string} connectionId - Connection ID (for token refresh on 401)
+ * @param {Array<string>} accessibleIds - Customers the user can access directly (listAccessibleCustomers)
+ * @param {Object} options - executeGAQLQuery options (e.g. {cache})
+ * @returns {Promise<Array<Object>>} Accounts with level, parent_id, path and login_customer_id
+ */
+async function fetchAccountHierarchy(rootId, accessToken, connectionId, accessibleIds = [], options = {}) {
+  const query = buildHierarchyQuery();
+  const nodes = new Map();
+  const visitedManagers = new Set([rootId]);
+  let frontier = [rootId];
+
+  while (frontier.length > 0) {
+    // Queries go to each manager, through the root manager's login context
+    const settled = await mapSettled(frontier, HIERARCHY_CONCURRENCY, managerId => (
+      executeGAQLQuery(managerId, accessToken, query, rootId, connectionId, options)
+    ));
+
+    const next = [];
+    frontier.forEach((managerId, i) => {
+      const result = settled[i];
+      if (result.status === 'rejected') {
+        if (managerId === rootId) throw result.reason;
+        nodes.get(managerId).error = result.reason?.message || 'Unknown error';
+        return;
+      }
+
+      result.value.forEach(r => {
+        const account = toAccount(r);
+        if (!account.id || nodes.has(account.id)) return;
+
+        // Level is relative to the queried manager: 0 is the manager itself
+        if (parseInt(r.customer_client?.level || 0) === 0) {
+          if (managerId === rootId) nodes.set(account.id, { ...account, level: 0, parent_id: null, path: [account.id] });
+          return;
+        }
+
+        const parent = nodes.get(managerId) || { level: 0, path: [managerId] };
+        nodes.set(account.id, { ...account, level: parent.level + 1, parent_id: managerId, path: [...parent.path, account.id] });
+        if (account.is_manager && !visitedManagers.has(account.id)) {
+          visitedManagers.add(account.id);
+          next.push(account.id);
+        }
+      });
+
+      // Root row missing (e.g. unexpected response): keep the tree anchored anyway
+      if (managerId === rootId && !nodes.has(rootId)) {
+        nodes.set(rootId, { id: rootId, name: 'Unnamed Account', is_manager: true, level: 0, parent_id: null, path: [rootId] });
+      }
+    });
+
+    frontier = next;
+  }
+
+  const accessible = new Set(accessibleIds);
+  return Array.from(nodes.values()).map(node => ({
+    ...node,
+    is_cancelled: node.status === 'CANCELED',
+    login_customer_id: node.path.find(id => accessible.has(id)) || rootId,
+  }));
+}
+
+/**
+ * Nests hierarchy accounts under their parent managers
+ * @param {Array<Object>} accounts - Accounts from fetchAccountHierarchy
+ * @returns {Object|null} Root account with nested `children`
+ */
+function buildAccountTree(accounts) {
+  const byId = new Map(accounts.map(account => [account.id, { ...account, children: [] }]));
+  let root = null;
+
+  byId.forEach(node => {
+    const parent = node.parent_id ? byId.get(node.parent_id) : null;
+    if (parent) parent.children.push(node);
+    else if (!root) root = node;
+  });
+
+  // Managers first, then by name, at every level
+  const sortChildren = (node) => {
+    node.children.sort((a, b) => (Number(b.is_manager) - Number(a.is_manager)) || String(a.name).localeCompare(String(b.name)));
+    node.children.forEach(sortChildren);
+  };
+  if (root) sortChildren(root);
+  return root;
+}
+
+/**
+ * Lists a tree depth first (parents before their children)
+ * @param {Object|null} root - Root from buildAccountTree
+ * @returns {Array<Object>} Accounts without `children`
+ */
+function flattenAccountTree(root) {
+  if (!root) return [];
+  const { children, ...account } = root;
+  return [account, ...children.flatMap(flattenAccountTree)];
+}
+
+module.exports = {
+  buildClientAccountsQuery,
+  buildHierarchyQuery,
+  toAccount,
+  listClientAccounts,
+  fetchAccountHierarchy,
+  buildAccountTree,
+  flattenAccountTree,
+};
@@ -0,0 +1,245 @@
+// utils/date-range.js
+/**
+ * Date range helpers for GAQL reporting queries
+ * Only allowlisted DURING presets are spliced into queries
+ * Dates are handled as YYYY-MM-DD strings in UTC
+ */
+
+// GAQL predefined date ranges accepted by "segments.date DURING ..."
+const DATE_RANGE_PRESETS = [
+  'TODAY',
+  'YESTERDAY',
+  'LAST_7_DAYS',
+  'LAST_14_DAYS',
+  'LAST_30_DAYS',
+  'LAST_BUSINESS_WEEK',
+  'LAST_WEEK_MON_SUN',
+  'LAST_WEEK_SUN_SAT',
+  'THIS_WEEK_MON_TODAY',
+  'THIS_WEEK_SUN_TODAY',
+  'THIS_MONTH',
+  'LAST_MONTH',
+];
+
+/**
+ * Checks a date_range value against the DURING preset allowlist
+ * @param {string} dateRange - Requested preset
+ * @returns {boolean} True if the preset can be used in a DURING clause
+ */
+function isValidDateRangePreset(dateRange) {
+  return DATE_RANGE_PRESETS.includes(dateRange);
+}
+
+const GRANULARITIES = ['day', 'week', 'month', 'total'];
+const COMPARISON_MODES = ['previous_period', 'previous_year'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Formats a Date as YYYY-MM-DD (UTC)
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Adds days to a YYYY-MM-DD date
+ * @param {string} dateStr - Date string
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Date string
+ */
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+}
+
+/**
+ * Checks that a value is a real calendar date in YYYY-MM-DD form
+ * @param {string} value - Candidate date
+ * @returns {boolean} True for valid dates
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && formatDate(date) === value;
+}
+
+/**
+ * Returns the day of week for a YYYY-MM-DD date (0 = Sunday)
+ * @param {string} dateStr - Date string
+ * @returns {number} Day of week
+ */
+function dayOfWeek(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Resolves a DURING preset to inclusive start/end dates
+ * Google evaluates presets in the account time zone; this uses UTC, which can differ by a day at the edges
+ * @param {string} preset - DURING preset
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {{start_date: string, end_date: string}|null} Bounds, or null for unknown presets
+ */
+function resolvePresetBounds(preset, now = new Date()) {
+  const today = formatDate(now);
+  const yesterday = addDays(today, -1);
+  const mondayThisWeek = addDays(today, -((dayOfWeek(today) + 6) % 7));
+  const sundayThisWeek = addDays(today, -dayOfWeek(today));
+  const firstOfMonth = `${today.slice(0, 8)}01`;
+
+  switch (preset) {
+    case 'TODAY': return { start_date: today, end_date: today };
+    case 'YESTERDAY': return { start_date: yesterday, end_date: yesterday };
+    case 'LAST_7_DAYS': return { start_date: addDays(today, -7), end_date: yesterday };
+    case 'LAST_14_DAYS': return { start_date: addDays(today, -14), end_date: yesterday };
+    case 'LAST_30_DAYS': return { start_date: addDays(today, -30), end_date: yesterday };
+    case 'LAST_BUSINESS_WEEK': return { start_date: addDays(mondayThisWeek, -7), end_date: addDays(mondayThisWeek, -3) };
+    case 'LAST_WEEK_MON_SUN': return { start_date: addDays(mondayThisWeek, -7), end_date: addDays(mondayThisWeek, -1) };
+    case 'LAST_WEEK_SUN_SAT': return { start_date: addDays(sundayThisWeek, -7), end_date: addDays(sundayThisWeek, -1) };
+    case 'THIS_WEEK_MON_TODAY': return { start_date: mondayThisWeek, end_date: today };
+    case 'THIS_WEEK_SUN_TODAY': return { start_date: sundayThisWeek, end_date: today };
+    case 'THIS_MONTH': return { start_date: firstOfMonth, end_date: today };
+    case 'LAST_MONTH': {
+      const lastOfPrevMonth = addDays(firstOfMonth, -1);
+      return { start_date: `${lastOfPrevMonth.slice(0, 8)}01`, end_date: lastOfPrevMonth };
+    }
+    default: return null;
+  }
+}
+
+/**
+ * Returns the first day of the period containing a date
+ * Weeks start on Monday (ISO 8601)
+ * @param {string} dateStr - Date string
+ * @param {string} granularity - day | week | month
+ * @returns {string} Period start date
+ */
+function periodStart(dateStr, granularity) {
+  if (granularity === 'week') return addDays(dateStr, -((dayOfWeek(dateStr) + 6) % 7));
+  if (granularity === 'month') return `${dateStr.slice(0, 8)}01`;
+  return dateStr;
+}
+
+/**
+ * Lists every period between two dates, so gaps can be zero-filled
+ * The first and last periods are clipped to the range
+ * @param {string} startDate - Inclusive start date
+ * @param {string} endDate - Inclusive end date
+ * @param {string} granularity - day | week | month
+ * @returns {Array<{period_start: string, period_end: string}>} Ordered periods
+ */
+function listPeriods(startDate, endDate, granularity) {
+  const periods = [];
+  let cursor = startDate;
+
+  while (cursor <= endDate) {
+    let next;
+    if (granularity === 'week') {
+      next = addDays(periodStart(cursor, 'week'), 7);
+    } else if (granularity === 'month') {
+      const [year, month] = cursor.split('-').map(Number);
+      next = formatDate(new Date(Date.UTC(year, month, 1)));
+    } else {
+      next = addDays(cursor, 1);
+    }
+
+    const periodEnd = addDays(next, -1);
+    periods.push({
+      period_start: cursor,
+      period_end: periodEnd < endDate ? periodEnd : endDate,
+    });
+    cursor = next;
+  }
+
+  return periods;
+}
+
+/**
+ * Reads date_range / start_date / end_date request parameters
+ * A start_date + end_date pair takes precedence over date_range
+ * @param {Object} params - Request parameters
+ * @param {string} defaultPreset - Preset used when nothing is supplied
+ * @returns {{range: Object|null, error: string|null}} Range ({preset} or {start_date, end_date}) or a validation message
+ */
+function parseDateRangeParams({ date_range, start_date, end_date } = {}, defaultPreset = 'LAST_30_DAYS') {
+  if (start_date || end_date) {
+    if (!start_date || !end_date) {
+      return { range: null, error: 'start_date and end_date must be provided together' };
+    }
+    if (!isValidDate(start_date) || !isValidDate(end_date)) {
+      return { range: null, error: 'start_date and end_date must be valid dates in YYYY-MM-DD format' };
+    }
+    if (start_date > end_date) {
+      return { range: null, error: 'start_date must be on or before end_date' };
+    }
+    return { range: { start_date, end_date }, error: null };
+  }
+
+  const preset = date_range || defaultPreset;
+  if (!isValidDateRangePreset(preset)) {
+    return { range: null, error: `date_range must be one of: ${DATE_RANGE_PRESETS.join(', ')}` };
+  }
+  return { range: { preset }, error: null };
+}
+
+/**
+ * Resolves a parsed range to inclusive start/end dates
+ * @param {Object} range - Range from parseDateRangeParams
+ * @param {Date} now - Reference time for presets (defaults to now)
+ * @returns {{start_date: string, end_date: string}} Bounds
+ */
+function resolveRangeBounds(range, now = new Date()) {
+  return range.preset ? resolvePresetBounds(range.preset, now) : { start_date: range.start_date, end_date: range.end_date };
+}
+
+/**
+ * Shifts a date back by one year (Feb 29 becomes Feb 28)
+ * @param {string} dateStr - Date string
+ * @returns {string} Date string
+ */
+function previousYearDate(dateStr) {
+  const candidate = `${Number(dateStr.slice(0, 4)) - 1}${dateStr.slice(4)}`;
+  return isValidDate(candidate) ? candidate : addDays(`${candidate.slice(0, 8)}01`, 27);
+}
+
+/**
+ * Computes the comparison window for period-over-period reporting
+ * previous_period: the same number of days immediately before (or the previous calendar month
+ * when the range is exactly one calendar month); previous_year: the same dates one year earlier
+ * @param {{start_date: string, end_date: string}} bounds - Current period
+ * @param {string} mode - previous_period | previous_year
+ * @returns {{start_date: string, end_date: string}} Comparison bounds
+ */
+function comparisonBounds(bounds, mode) {
+  if (mode === 'previous_year') {
+    return { start_date: previousYearDate(bounds.start_date), end_date: previousYearDate(bounds.end_date) };
+  }
+
+  const isFullMonth = bounds.start_date.endsWith('-01')
+    && bounds.start_date.slice(0, 7) === bounds.end_date.slice(0, 7)
+    && addDays(bounds.end_date, 1).endsWith('-01');
+  if (isFullMonth) {
+    const previousMonthEnd = addDays(bounds.start_date, -1);
+    return { start_date: `${previousMonthEnd.slice(0, 8)}01`, end_date: previousMonthEnd };
+  }
+
+  const days = Math.round((Date.parse(bounds.end_date) - Date.parse(bounds.start_date)) / 86_400_000) + 1;
+  return { start_date: addDays(bounds.start_date, -days), end_date: addDays(bounds.start_date, -1) };
+}
+
+module.exports = {
+  DATE_RANGE_PRESETS,
+  GRANULARITIES,
+  COMPARISON_MODES,
+  isValidDateRangePreset,
+  isValidDate,
+  formatDate,
+  addDays,
+  resolvePresetBounds,
+  listPeriods,
+  parseDateRangeParams,
+  resolveRangeBounds,
+  comparisonBounds,
+};
@@ -4,17 +4,10 @@
  * Ensures consistent error handling across all endpoints
  */
 
-/**
- * Masks sensitive tokens in logs (shows first few chars + last few chars)
- * @param {string} token - Token to mask
- * @returns {string} Masked token
- */
-function maskToken(token) {
-  if (!token || typeof token !== 'string' || token.length < 10) {
-    return '***';
-  }
-  return `${token.substring(0, 8)}...${token.substring(token.length - 6)}`;
-}
+const { GaqlValidationError } = require('./gaql-builder');
+const { CredentialError } = require('./credential-vault');
+const { GoogleAdsApiError } = require('./google-ads-errors');
+const { logger, getRequestId, maskToken } = require('./logger');
 
 /**
  * Logs error with context and returns standardized error response
@@ -51,12 +44,11 @@ function logAndRespond(error, context = '', additionalData = {}) {
   }
 
   // Log error with full context
-  console.error(`[ERROR][${context}]`, {
-    message: errorMessage,
+  logger.error(errorMessage, {
+    context,
     details: sanitizedDetails,
     stack: errorStack,
     ...additionalData,
-    timestamp: new Date().toISOString(),
   });
 
   // Return standardized error response
@@ -65,42 +57,84 @@ function logAndRespond(error, context = '', additionalData = {}) {
     context: context || 'Unknown',
     message: errorMessage,
     details: sanitizedDetails,
+    request_id: getRequestId(),
     timestamp: new Date().toISOString(),
   };
 }
 
 /**
- * Checks if error is a known Google Ads API error and extracts error code
+ * Describes a Google Ads API error thrown by utils/google-ads-api.js
  * @param {Error|Object} error - Error object
- * @returns {Object|null} Extracted error code and type, or null
+ * @returns {Object|null} {type, status, hint, message}, or null for other errors
  */
 function extractGoogleAdsError(error) {
-  const errorString = JSON.stringify(error).toLowerCase();
-  const errorMessage = error?.message?.toLowerCase() || '';
-  
-  // Known Google Ads API error patterns
-  const errorPatterns = {
-    REQUESTED_METRICS_FOR_MANAGER: /metrics.*cannot.*requested.*manager/i,
-    AUTHENTICATION_ERROR: /authentication|unauthorized|invalid.*token/i,
-    PERMISSION_DENIED: /permission.*denied|forbidden/i,
-    INVALID_CUSTOMER_ID: /invalid.*customer|customer.*not.*found/i,
-    QUERY_ERROR: /query.*error|invalid.*query/i,
+  if (!(error instanceof GoogleAdsApiError)) return null;
+  return {
+    type: error.type,
+    status: error.status,
+    hint: error.hint,
+    message: error.message,
   };
+}
+
+/**
+ * Checks whether an error carries its own status for the caller (credential or Google Ads errors)
+ * Endpoints that tolerate a failed secondary query rethrow these so sendErrorResponse can map them
+ * @param {Error} error - Caught error
+ * @returns {boolean} True for CredentialError and GoogleAdsApiError
+ */
+function isRequestError(error) {
+  return error instanceof CredentialError || error instanceof GoogleAdsApiError;
+}
 
-  for (const [errorType, pattern] of Object.entries(errorPatterns)) {
-    if (pattern.test(errorString) || pattern.test(errorMessage)) {
-      return {
-        type: errorType,
-        message: error?.message || error?.error?.message || 'Google Ads API error',
-      };
-    }
+/**
+ * Sends the error response shared by Google Ads endpoints
+ *   GaqlValidationError -> 400 (rejected before anything was sent to Google)
+ *   CredentialError -> 401 (unknown, revoked or REAUTH_REQUIRED connection - caller must reconnect)
+ *   GoogleAdsApiError -> status from the mapping table in utils/google-ads-errors.js, with a hint
+ *   anything else -> 500
+ * @param {Object} res - Response object
+ * @param {Error} error - Caught error
+ * @param {string} context - Context where error occurred (e.g., "GET /api/campaigns")
+ * @returns {Object} Result of res.json
+ */
+function sendErrorResponse(res, error, context = '') {
+  if (error instanceof GaqlValidationError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: error.message,
+    });
+  }
+
+  if (error instanceof CredentialError) {
+    return res.status(401).json({
+      ...logAndRespond(error, context),
+      error: error.type,
+      hint: error.hint,
+    });
+  }
+
+  if (error instanceof GoogleAdsApiError) {
+    const errorResponse = logAndRespond(error, context, {
+      googleAdsErrorType: error.type,
+      requestId: error.requestId,
+    });
+    return res.status(error.status).json({
+      ...errorResponse,
+      error: error.type,
+      hint: error.hint,
+      google_ads_error: error.toJSON(),
+    });
   }
 
-  return null;
+  return res.status(500).json(logAndRespond(error, context));
 }
 
 module.exports = {
   logAndRespond,
   maskToken,
   extractGoogleAdsError,
+  isRequestError,
+  sendErrorResponse,
 };
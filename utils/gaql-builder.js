@@ -0,0 +1,293 @@
+// utils/gaql-builder.js
+/**
+ * Safe GAQL query builder
+ * Every value spliced into a query is validated by type (numeric IDs, enum constants,
+ * booleans, numbers, date literals and DURING presets), so request input can never
+ * change the shape of a query. Malformed input raises GaqlValidationError (HTTP 400)
+ * before anything is sent to Google.
+ */
+
+const { isValidDateRangePreset, isValidDate, DATE_RANGE_PRESETS } = require('./date-range');
+
+const FIELD_PATTERN = /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)*$/;
+const RESOURCE_PATTERN = /^[a-z][a-z0-9_]*$/;
+const ENUM_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const ID_PATTERN = /^\d{1,20}$/;
+const COMPARISON_OPERATORS = ['=', '!=', '>', '>=', '<', '<='];
+const LIST_OPERATORS = ['IN', 'NOT IN'];
+const MAX_LIMIT = 10000;
+
+/**
+ * Raised when request input cannot be safely turned into GAQL
+ * Endpoints respond with 400 and the message
+ */
+class GaqlValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GaqlValidationError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Validates and normalizes a numeric Google Ads ID (dashes allowed, e.g. 123-456-7890)
+ * @param {string|number} value - Raw ID
+ * @param {string} name - Parameter name used in the error message
+ * @returns {string} ID digits
+ */
+function parseId(value, name = 'id') {
+  const normalized = String(value ?? '').trim().replace(/-/g, '');
+  if (!ID_PATTERN.test(normalized)) {
+    throw new GaqlValidationError(`${name} must be a numeric ID`);
+  }
+  return normalized;
+}
+
+/**
+ * Validates an enum constant against an optional allowlist
+ * @param {string} value - Raw value
+ * @param {Array<string>} allowed - Allowed values (optional)
+ * @param {string} name - Parameter name used in the error message
+ * @returns {string} Enum constant
+ */
+function parseEnum(value, allowed = null, name = 'value') {
+  const normalized = String(value ?? '').trim().toUpperCase();
+  if (!ENUM_PATTERN.test(normalized) || (allowed && !allowed.includes(normalized))) {
+    const hint = allowed ? `: ${allowed.join(', ')}` : ' (an uppercase enum constant)';
+    throw new GaqlValidationError(`${name} must be one of${hint}`);
+  }
+  return normalized;
+}
+
+/**
+ * Ensures a field path is a plain GAQL identifier (e.g. metrics.cost_micros)
+ * @param {string} field - Field path
+ * @returns {string} Field path
+ */
+function assertField(field) {
+  if (typeof field !== 'string' || !FIELD_PATTERN.test(field)) {
+    throw new GaqlValidationError(`Invalid GAQL field: ${String(field)}`);
+  }
+  return field;
+}
+
+/**
+ * Formats a typed JavaScript value as a GAQL literal
+ * Numbers and booleans are emitted bare; strings must be enum constants and are quoted
+ * @param {number|boolean|string} value - Value to format
+ * @returns {string} GAQL literal
+ */
+function formatLiteral(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new GaqlValidationError('Numeric GAQL values must be finite');
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  if (typeof value === 'string' && ENUM_PATTERN.test(value)) {
+    return `'${value}'`;
+  }
+  throw new GaqlValidationError(`Unsupported GAQL value: ${String(value)}`);
+}
+
+/**
+ * Creates a chainable GAQL query builder
+ * @returns {Object} Builder with select, from, where variants, orderBy, limit and build
+ *
+ * @example
+ * gaql()
+ *   .select(['campaign.id', 'metrics.clicks'])
+ *   .from('campaign')
+ *   .whereId('campaign.id', req.query.campaign_id, 'campaign_id')
+ *   .whereDateRange(range)
+ *   .orderBy('metrics.clicks', 'DESC')
+ *   .build();
+ */
+function gaql() {
+  const parts = { select: [], from: null, where: [], orderBy: [], limit: null };
+
+  const builder = {
+    /**
+     * Adds fields to the SELECT clause
+     * @param {...(string|Array<string>)} fields - Field paths
+     */
+    select(...fields) {
+      fields.flat().forEach(f => parts.select.push(assertField(f)));
+      return builder;
+    },
+
+    /**
+     * Sets the FROM resource
+     * @param {string} resource - Resource name (e.g. campaign, ad_group_ad)
+     */
+    from(resource) {
+      if (typeof resource !== 'string' || !RESOURCE_PATTERN.test(resource)) {
+        throw new GaqlValidationError(`Invalid GAQL resource: ${String(resource)}`);
+      }
+      parts.from = resource;
+      return builder;
+    },
+
+    /**
+     * Adds a condition with a typed literal (number, boolean or enum constant, or an array of them for IN)
+     * @param {string} field - Field path
+     * @param {string} operator - Comparison or list operator
+     * @param {number|boolean|string|Array} value - Typed value
+     */
+    where(field, operator, value) {
+      assertField(field);
+      if (LIST_OPERATORS.includes(operator)) {
+        if (!Array.isArray(value) || value.length === 0) {
+          throw new GaqlValidationError(`${operator} requires a non-empty list for ${field}`);
+        }
+        parts.where.push(`${field} ${operator} (${value.map(formatLiteral).join(', ')})`);
+      } else if (COMPARISON_OPERATORS.includes(operator)) {
+        parts.where.push(`${field} ${operator} ${formatLiteral(value)}`);
+      } else {
+        throw new GaqlValidationError(`Unsupported GAQL operator: ${String(operator)}`);
+      }
+      return builder;
+    },
+
+    /**
+     * Adds "field = <id>" after validating the ID
+     * @param {string} field - Field path (e.g. campaign.id)
+     * @param {string|number} value - Raw ID
+     * @param {string} name - Parameter name used in the error message
+     */
+    whereId(field, value, name = field) {
+      parts.where.push(`${assertField(field)} = ${parseId(value, name)}`);
+      return builder;
+    },
+
+    /**
+     * Adds "field IN (<ids>)" after validating every ID
+     * @param {string} field - Field path
+     * @param {Array<string|number>} values - Raw IDs
+     * @param {string} name - Parameter name used in the error message
+     */
+    whereIdIn(field, values, name = field) {
+      if (!Array.isArray(values) || values.length === 0) {
+        throw new GaqlValidationError(`${name} must contain at least one ID`);
+      }
+      parts.where.push(`${assertField(field)} IN (${values.map(v => parseId(v, name)).join(', ')})`);
+      return builder;
+    },
+
+    /**
+     * Adds an enum condition, validating values against an optional allowlist
+     * @param {string} field - Field path (e.g. campaign.status)
+     * @param {string} operator - =, !=, IN or NOT IN
+     * @param {string|Array<string>} values - Enum constant(s)
+     * @param {Array<string>} allowed - Allowed values (optional)
+     */
+    whereEnum(field, operator, values, allowed = null) {
+      const list = Array.isArray(values) ? values : [values];
+      const parsed = list.map(v => parseEnum(v, allowed, field));
+      return builder.where(field, operator, LIST_OPERATORS.includes(operator) ? parsed : parsed[0]);
+    },
+
+    /**
+     * Adds "field = TRUE|FALSE"
+     * @param {string} field - Field path
+     * @param {boolean} value - Boolean value
+     */
+    whereBoolean(field, value) {
+      if (typeof value !== 'boolean') {
+        throw new GaqlValidationError(`${field} must be a boolean`);
+      }
+      return builder.where(field, '=', value);
+    },
+
+    /**
+     * Adds "field DURING <preset>" for an allowlisted preset
+     * @param {string} field - Date field (e.g. segments.date)
+     * @param {string} preset - DURING preset
+     */
+    whereDuring(field, preset) {
+      if (!isValidDateRangePreset(preset)) {
+        throw new GaqlValidationError(`date_range must be one of: ${DATE_RANGE_PRESETS.join(', ')}`);
+      }
+      parts.where.push(`${assertField(field)} DURING ${preset}`);
+      return builder;
+    },
+
+    /**
+     * Adds "field BETWEEN 'start' AND 'end'" for validated YYYY-MM-DD dates
+     * @param {string} field - Date field (e.g. segments.date)
+     * @param {string} startDate - Inclusive start date
+     * @param {string} endDate - Inclusive end date
+     */
+    whereBetween(field, startDate, endDate) {
+      if (!isValidDate(startDate) || !isValidDate(endDate) || startDate > endDate) {
+        throw new GaqlValidationError('start_date and end_date must be valid YYYY-MM-DD dates with start_date <= end_date');
+      }
+      parts.where.push(`${assertField(field)} BETWEEN '${startDate}' AND '${endDate}'`);
+      return builder;
+    },
+
+    /**
+     * Adds a segments.date condition for a range from parseDateRangeParams
+     * @param {Object} range - {preset} or {start_date, end_date}
+     * @param {string} field - Date field (defaults to segments.date)
+     */
+    whereDateRange(range, field = 'segments.date') {
+      return range.preset
+        ? builder.whereDuring(field, range.preset)
+        : builder.whereBetween(field, range.start_date, range.end_date);
+    },
+
+    /**
+     * Adds an ORDER BY field
+     * @param {string} field - Field path
+     * @param {string} direction - ASC or DESC
+     */
+    orderBy(field, direction = 'ASC') {
+      const dir = String(direction).toUpperCase();
+      if (dir !== 'ASC' && dir !== 'DESC') {
+        throw new GaqlValidationError(`Invalid sort direction: ${String(direction)}`);
+      }
+      parts.orderBy.push(`${assertField(field)} ${dir}`);
+      return builder;
+    },
+
+    /**
+     * Sets the LIMIT
+     * @param {number} n - Row limit (1 to 10000)
+     */
+    limit(n) {
+      const value = Number(n);
+      if (!Number.isInteger(value) || value < 1 || value > MAX_LIMIT) {
+        throw new GaqlValidationError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+      }
+      parts.limit = value;
+      return builder;
+    },
+
+    /**
+     * Renders the query
+     * @returns {string} GAQL query
+     */
+    build() {
+      if (parts.select.length === 0 || !parts.from) {
+        throw new Error('GAQL query requires select() and from()');
+      }
+
+      let query = `SELECT\n  ${parts.select.join(',\n  ')}\nFROM ${parts.from}`;
+      if (parts.where.length > 0) query += `\nWHERE ${parts.where.join('\n  AND ')}`;
+      if (parts.orderBy.length > 0) query += `\nORDER BY ${parts.orderBy.join(', ')}`;
+      if (parts.limit !== null) query += `\nLIMIT ${parts.limit}`;
+      return query;
+    },
+  };
+
+  return builder;
+}
+
+module.exports = {
+  GaqlValidationError,
+  gaql,
+  parseId,
+  parseEnum,
+};
@@ -0,0 +1,207 @@
+// utils/gaql-cache.js
+/**
+ * GAQL result cache
+ * Read endpoints pass a cache policy to executeGAQLQuery; cached rows are keyed by customer,
+ * login customer, connection and the whitespace-normalized query. Keys include the connection
+ * so one user's results are never served to another user.
+ *
+ * TTLs depend on the queried resource (the FROM clause); see DEFAULT_TTLS.
+ *   GAQL_CACHE_TTL   seconds for resources not listed (default 300)
+ *   GAQL_CACHE_TTLS  JSON overrides per resource, e.g. {"campaign": 60, "customer_client": 7200}; 0 disables caching
+ *
+ * Backend is selected with GAQL_CACHE_STORE (memory | file | none, default memory);
+ * any store implementing get/set/delete/list can be plugged in with setGaqlCacheStore.
+ * executeMutate calls invalidateCustomer after every applied batch. With the memory store this
+ * only clears the current instance; other instances serve their copy until it expires.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createMemoryStore, createFileStore } = require('./kv-store');
+const { logger } = require('./logger');
+
+const KEY_PREFIX = 'gaql:';
+const DEFAULT_TTL_SECONDS = 300;
+const DEFAULT_FILE_PATH = path.join(process.cwd(), '.data', 'gaql-cache.json');
+const SWEEP_EVERY_WRITES = 100;
+
+// Seconds per FROM resource; resources not listed use GAQL_CACHE_TTL
+const DEFAULT_TTLS = {
+  customer_client: 3600,    // Account hierarchy rarely changes
+  campaign_budget: 120,     // Budgets are edited through this API and by hand
+  search_term_view: 900,
+  keyword_view: 600,
+};
+
+let store = null;
+let writesSinceSweep = 0;
+
+/**
+ * Returns the configured cache store, creating it on first use
+ * @returns {Object|null} Store with get/set/delete/list, or null when caching is off
+ */
+function getGaqlCacheStore() {
+  if (store === null) {
+    const backend = (process.env.GAQL_CACHE_STORE || 'memory').toLowerCase();
+    if (backend === 'memory') {
+      store = createMemoryStore();
+    } else if (backend === 'file') {
+      store = createFileStore(process.env.GAQL_CACHE_PATH || DEFAULT_FILE_PATH);
+    } else if (backend === 'none') {
+      store = false;
+    } else {
+      throw new Error(`Unsupported GAQL_CACHE_STORE backend: ${backend}`);
+    }
+  }
+  return store || null;
+}
+
+/**
+ * Replaces the cache store (e.g. with a shared KV implementation); pass false to turn caching off
+ * @param {Object|false} customStore - Store with get/set/delete/list
+ */
+function setGaqlCacheStore(customStore) {
+  store = customStore;
+  writesSinceSweep = 0;
+}
+
+/**
+ * Reads the cache policy of a request
+ * "Cache-Control: no-cache" (or max-age=0) and fresh=1 skip cached rows but still store the new ones;
+ * "Cache-Control: no-store" skips the cache entirely
+ * @param {Object} req - Request object
+ * @returns {{read: boolean, write: boolean}} Cache policy
+ */
+function readCachePolicy(req) {
+  const cacheControl = String(req.headers?.['cache-control'] || '').toLowerCase();
+  const fresh = String(req.query?.fresh ?? req.body?.fresh ?? '').toLowerCase();
+  const noStore = cacheControl.includes('no-store');
+
+  return {
+    read: !noStore && !cacheControl.includes('no-cache') && !/max-age=0\b/.test(cacheControl) && !['1', 'true'].includes(fresh),
+    write: !noStore,
+  };
+}
+
+/**
+ * Returns the TTL for a query, based on the resource in its FROM clause
+ * @param {string} query - GAQL query string
+ * @returns {number} TTL in seconds (0 = do not cache)
+ */
+function getTtlSeconds(query) {
+  const resource = (query.match(/\bFROM\s+([a-z_]+)/i) || [])[1];
+  let overrides = {};
+  if (process.env.GAQL_CACHE_TTLS) {
+    try {
+      overrides = JSON.parse(process.env.GAQL_CACHE_TTLS) || {};
+    } catch (e) {
+      logger.warn('GAQL_CACHE_TTLS is not valid JSON, using default TTLs', { error: e.message });
+    }
+  }
+
+  const configured = overrides[resource] ?? DEFAULT_TTLS[resource] ?? (process.env.GAQL_CACHE_TTL || undefined);
+  const ttl = Number(configured ?? DEFAULT_TTL_SECONDS);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_TTL_SECONDS;
+}
+
+/**
+ * Builds the cache key of a query
+ * @param {Object} scope - {customerId, loginCustomerId, connectionId, query}
+ * @returns {string} Key starting with "gaql:<customerId>:"
+ */
+function buildCacheKey({ customerId, loginCustomerId, connectionId, query }) {
+  const normalizedQuery = query.replace(/\s+/g, ' ').trim();
+  const connectionHash = crypto.createHash('sha256').update(String(connectionId || '')).digest('hex').substring(0, 16);
+  const queryHash = crypto.createHash('sha256').update(normalizedQuery).digest('hex');
+  return `${KEY_PREFIX}${customerId}:${loginCustomerId || '-'}:${connectionHash}:${queryHash}`;
+}
+
+/**
+ * Deletes expired entries; runs every SWEEP_EVERY_WRITES writes so abandoned keys do not pile up
+ * @param {Object} cacheStore - Store with get/delete/list
+ * @returns {Promise<void>}
+ */
+async function sweepExpired(cacheStore) {
+  const now = Date.now();
+  for (const key of await cacheStore.list(KEY_PREFIX)) {
+    const entry = await cacheStore.get(key);
+    if (entry && entry.expires_at <= now) await cacheStore.delete(key);
+  }
+}
+
+/**
+ * Returns cached rows for a query, or runs it and caches the result
+ * Cache failures are logged and never fail the request
+ * @param {Object} scope - {customerId, loginCustomerId, connectionId, query}
+ * @param {{read: boolean, write: boolean}} policy - From readCachePolicy
+ * @param {function(): Promise<Array>} runQuery - Fetches the rows from Google
+ * @returns {Promise<Array>} Result rows
+ */
+async function withGaqlCache(scope, policy, runQuery) {
+  const cacheStore = getGaqlCacheStore();
+  const ttl = getTtlSeconds(scope.query);
+  if (!cacheStore || ttl === 0 || (!policy.read && !policy.write)) return runQuery();
+
+  const key = buildCacheKey(scope);
+
+  if (policy.read) {
+    try {
+      const entry = await cacheStore.get(key);
+      if (entry && entry.expires_at > Date.now()) {
+        logger.info('GAQL cache hit', { customer_id: scope.customerId, rows: entry.rows.length, age_ms: Date.now() - entry.cached_at });
+        return entry.rows;
+      }
+    } catch (err) {
+      logger.warn('GAQL cache read failed', { error: err });
+    }
+  }
+
+  const rows = await runQuery();
+
+  if (policy.write) {
+    try {
+      const now = Date.now();
+      await cacheStore.set(key, { rows, cached_at: now, expires_at: now + ttl * 1000 });
+      if (++writesSinceSweep >= SWEEP_EVERY_WRITES) {
+        writesSinceSweep = 0;
+        await sweepExpired(cacheStore);
+      }
+    } catch (err) {
+      logger.warn('GAQL cache write failed', { error: err });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Drops every cached query of a customer (called after our own mutations)
+ * @param {string} customerId - Normalized customer ID
+ * @returns {Promise<number>} Number of entries removed
+ */
+async function invalidateCustomer(customerId) {
+  const cacheStore = getGaqlCacheStore();
+  if (!cacheStore) return 0;
+
+  try {
+    const keys = await cacheStore.list(`${KEY_PREFIX}${customerId}:`);
+    for (const key of keys) {
+      await cacheStore.delete(key);
+    }
+    logger.debug('GAQL cache invalidated', { customer_id: customerId, entries: keys.length });
+    return keys.length;
+  } catch (err) {
+    logger.warn('GAQL cache invalidation failed', { customer_id: customerId, error: err });
+    return 0;
+  }
+}
+
+module.exports = {
+  DEFAULT_TTLS,
+  getGaqlCacheStore,
+  setGaqlCacheStore,
+  readCachePolicy,
+  getTtlSeconds,
+  withGaqlCache,
+  invalidateCustomer,
+};
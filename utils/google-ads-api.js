@@ -2,77 +2,141 @@
 /**
  * Shared Google Ads API utilities
  * Centralizes OAuth token refresh and GAQL query execution
- * Includes automatic token caching to prevent 401 errors
+ * Access tokens are cached in the token store (utils/token-store.js) to prevent 401 errors
  */
 
 const fetch = (...args) =>
   import("node-fetch").then(({ default: fetch }) => fetch(...args));
+const { createJsonArrayParser } = require('./search-stream-parser');
+const { CredentialError, isConnectionId, getRefreshToken, markConnectionNeedsReauth, touchConnection } = require('./credential-vault');
+const { parseId } = require('./gaql-builder');
+const { getRetryConfig, isQuotaError, isRetryable, computeRetryDelay, sleep } = require('./retry-policy');
+const { createKeyedLimiter } = require('./concurrency');
+const quotaTracker = require('./quota-tracker');
+const { createGoogleAdsError } = require('./google-ads-errors');
+const { logger, trackTiming } = require('./logger');
+const { withGaqlCache, invalidateCustomer } = require('./gaql-cache');
+const { getCachedAccessToken, cacheAccessToken, dropCachedAccessToken, dedupeRefresh } = require('./token-store');
 
 // API Version - single source of truth
 const GOOGLE_ADS_API_VERSION = 'v22';
+const GOOGLE_ADS_BASE_URL = `https://googleads.googleapis.com/${GOOGLE_ADS_API_VERSION}`;
 
 const CLIENT_ID = process.env.GADS_CLIENT_ID || process.env.CLIENT_ID;
 const CLIENT_SECRET = process.env.GADS_CLIENT_SECRET || process.env.CLIENT_SECRET;
 const DEVELOPER_TOKEN = process.env.GADS_DEVELOPER_TOKEN || process.env.DEVELOPER_TOKEN;
 const MANAGER_ID = process.env.GADS_MANAGER_ID || process.env.MANAGER_CUSTOMER_ID;
 
-// In-memory token cache: Map<refreshToken, {token, expiry}>
-const tokenCache = new Map();
+// Caps parallel requests per customer ID so fan-out jobs do not trip per-account rate limits
+const MAX_CONCURRENT_PER_CUSTOMER = parseInt(process.env.GOOGLE_ADS_MAX_CONCURRENT_PER_CUSTOMER, 10) || 4;
+const customerLimiter = createKeyedLimiter(MAX_CONCURRENT_PER_CUSTOMER);
 
 /**
- * Retrieves a fresh access token, using cache if available and valid
- * @param {string} refreshToken - OAuth refresh token (optional, falls back to env var)
- * @returns {Promise<string>} Access token
+ * Resolves a credential to a refresh token
+ * Connection IDs are looked up in the credential vault; anything else is treated as a raw refresh token
+ * @param {string} credential - Connection ID or refresh token (optional, falls back to env var)
+ * @returns {Promise<string|null>} Refresh token
  */
-async function getAccessTokenFromRefresh(refreshToken = null) {
-  // Use provided refresh_token or fall back to environment variable
-  const token = refreshToken || process.env.GADS_REFRESH_TOKEN || process.env.REFRESH_TOKEN;
-  
-  if (!token) {
-    throw new Error('Refresh token is required (provide via parameter or GADS_REFRESH_TOKEN/REFRESH_TOKEN env var)');
+async function resolveRefreshToken(credential = null) {
+  if (isConnectionId(credential)) {
+    const refreshToken = await getRefreshToken(credential);
+    await touchConnection(credential);
+    return refreshToken;
   }
+  return credential || process.env.GADS_REFRESH_TOKEN || process.env.REFRESH_TOKEN || null;
+}
 
-  // Check cache first
-  const now = Date.now();
-  const cached = tokenCache.get(token);
-  
-  if (cached && now < cached.expiry) {
-    console.log('✅ Using cached access token');
-    return cached.token;
-  }
+/**
+ * Exchanges a refresh token for a new access token and caches it
+ * Google answers invalid_grant when the token was revoked or expired: the connection is flagged
+ * for re-authorization and a CredentialError (REAUTH_REQUIRED) is thrown
+ * @param {string} refreshToken - OAuth refresh token
+ * @param {string|null} connectionId - Vault connection ID the token belongs to, if any
+ * @returns {Promise<string>} Access token
+ */
+async function refreshAccessToken(refreshToken, connectionId) {
+  logger.debug('Refreshing access token');
 
-  // Cache expired or missing, refresh token
-  console.log('🔄 Refreshing access token...');
-  
   const params = new URLSearchParams();
   params.append("client_id", CLIENT_ID);
   params.append("client_secret", CLIENT_SECRET);
   params.append("grant_type", "refresh_token");
-  params.append("refresh_token", token);
+  params.append("refresh_token", refreshToken);
 
   const response = await fetch("https://oauth2.googleapis.com/token", {
     method: "POST",
     body: params,
   });
 
-  const data = await response.json();
-  
+  const data = await response.json().catch(() => ({}));
+
+  if (data.error === 'invalid_grant') {
+    logger.warn('Refresh token rejected by Google', { error: data.error, description: data.error_description });
+    await dropCachedAccessToken(refreshToken);
+    if (connectionId) {
+      await markConnectionNeedsReauth(connectionId, data.error_description || data.error);
+    }
+    throw new CredentialError('Google rejected the stored authorization (invalid_grant). Reconnect via /api/auth', 'REAUTH_REQUIRED');
+  }
+
   if (!response.ok || !data.access_token) {
-    console.error('❌ Failed to refresh access token:', data);
-    throw new Error(`Failed to refresh token: ${JSON.stringify(data, null, 2)}`);
+    logger.error('Failed to refresh access token', { status: response.status, error: data.error, description: data.error_description });
+    const reason = [data.error, data.error_description].filter(Boolean).join(': ') || `HTTP ${response.status}`;
+    throw new Error(`Failed to refresh access token (${reason})`);
   }
 
-  // Cache the new token (expires_in is in seconds, cache for 55 minutes)
   const expiresIn = data.expires_in || 3600; // Default to 1 hour if not provided
-  const cacheExpiry = now + (expiresIn - 300) * 1000; // 5 minutes before expiry (55 min cache)
+  await cacheAccessToken(refreshToken, data.access_token, expiresIn);
+
+  logger.debug('New access token cached', { expires_in: expiresIn });
+  return data.access_token;
+}
+
+/**
+ * Retrieves a fresh access token, using the token store if a valid one is cached
+ * Concurrent requests for the same connection share a single refresh
+ * @param {string} credential - Vault connection ID or OAuth refresh token (optional, falls back to env var)
+ * @returns {Promise<string>} Access token
+ */
+async function getAccessTokenFromRefresh(credential = null) {
+  const token = await resolveRefreshToken(credential);
   
-  tokenCache.set(token, {
-    token: data.access_token,
-    expiry: cacheExpiry,
+  if (!token) {
+    throw new Error('Refresh token is required (provide a connection_id or set GADS_REFRESH_TOKEN/REFRESH_TOKEN env var)');
+  }
+
+  const cached = await getCachedAccessToken(token);
+  if (cached) {
+    logger.debug('Using cached access token');
+    return cached;
+  }
+
+  const connectionId = isConnectionId(credential) ? credential : null;
+  return dedupeRefresh(token, () => refreshAccessToken(token, connectionId));
+}
+
+/**
+ * Revokes a refresh token with Google and drops any cached access token for it
+ * @param {string} refreshToken - OAuth refresh token
+ * @returns {Promise<boolean>} True if Google confirmed the revocation
+ */
+async function revokeRefreshToken(refreshToken) {
+  await dropCachedAccessToken(refreshToken);
+
+  const params = new URLSearchParams();
+  params.append("token", refreshToken);
+
+  const response = await fetch("https://oauth2.googleapis.com/revoke", {
+    method: "POST",
+    body: params,
   });
 
-  console.log('✅ New access token generated and cached successfully');
-  return data.access_token;
+  if (!response.ok) {
+    // 400 invalid_token means it was already revoked or expired upstream
+    logger.warn('Google token revocation failed', { status: response.status });
+    return false;
+  }
+  return true;
 }
 
 /**
@@ -92,36 +156,26 @@ function parseSearchStreamChunk(chunk) {
     if (!chunk.ad_group && chunk.adGroup) chunk.ad_group = chunk.adGroup;
     if (!chunk.ad_group_ad && chunk.adGroupAd) chunk.ad_group_ad = chunk.adGroupAd;
     if (!chunk.customer_client && chunk.customerClient) chunk.customer_client = chunk.customerClient;
+    if (!chunk.campaign_budget && chunk.campaignBudget) chunk.campaign_budget = chunk.campaignBudget;
   }
 
   // Handle direct result object
-  if (chunk.campaign || chunk.ad_group || chunk.ad_group_ad || chunk.customer_client || chunk.metrics) {
+  if (chunk.campaign || chunk.ad_group || chunk.ad_group_ad || chunk.customer_client || chunk.campaign_budget || chunk.metrics) {
     return [chunk];
   }
 
   // If chunk has no recognized structure, log warning and return empty
-  console.warn('[DEBUG] Unexpected chunk format. Keys:', Object.keys(chunk));
+  logger.warn('Unexpected searchStream chunk format', { keys: Object.keys(chunk) });
   return [];
 }
 
 /**
- * Executes a GAQL query against Google Ads API with automatic token refresh on 401
- * @param {string} customerId - Google Ads customer ID (without dashes)
+ * Builds the standard request headers for a Google Ads API call
  * @param {string} accessToken - OAuth access token
- * @param {string} query - GAQL query string
- * @param {string} loginCustomerId - Optional MCC/Manager ID (for MCC token context)
- * @param {string} refreshToken - Optional refresh token for retry on 401
- * @returns {Promise<Array>} Array of result objects from API
+ * @param {string} loginCustomerId - Optional MCC/Manager ID (falls back to GADS_MANAGER_ID)
+ * @returns {Object} Headers object
  */
-async function executeGAQLQuery(customerId, accessToken, query, loginCustomerId = null, refreshToken = null) {
-  if (!customerId || !accessToken || !query) {
-    throw new Error('customerId, accessToken, and query are required');
-  }
-
-  // Normalize customer ID (remove dashes)
-  const normalizedCustomerId = customerId.replace(/-/g, '');
-  const body = JSON.stringify({ query });
-  
+function buildRequestHeaders(accessToken, loginCustomerId = null) {
   // Prepare headers with exact case sensitivity
   const headers = {
     'Authorization': `Bearer ${accessToken}`,
@@ -135,151 +189,489 @@ async function executeGAQLQuery(customerId, accessToken, query, loginCustomerId
     // Ensure no dashes in MCC ID and store as number (Google's preferred format)
     const cleanMccId = String(mccId).replace(/[^0-9]/g, '');
     headers['login-customer-id'] = cleanMccId;
-    console.log(`[DEBUG] Added login-customer-id header: ${cleanMccId}`);
+    logger.debug('Added login-customer-id header', { login_customer_id: cleanMccId });
   } else {
-    console.warn('[WARNING] No MCC header - loginCustomerId and MANAGER_ID both missing');
+    logger.debug('No login-customer-id header - loginCustomerId and MANAGER_ID both missing');
   }
 
-  // Use /search endpoint explicitly (temporary MCC reliability fix)
-  const effectiveUrl = `https://googleads.googleapis.com/${GOOGLE_ADS_API_VERSION}/customers/${normalizedCustomerId}/googleAds:search`;
-  console.log('[DEBUG] Using explicit /search endpoint (temporary MCC fix)');
-  console.log(`[DEBUG] Making request to: ${effectiveUrl}`);
-  
-  const requestOptions = {
-    method: 'POST',
-    headers,
-    body,
-  };
-
-  // Log request details for debugging
-  console.log('[DEBUG] Request headers:', JSON.stringify({
-    ...headers,
-    'Authorization': 'Bearer [REDACTED]',
-    'developer-token': headers['developer-token'] ? '[REDACTED]' : 'MISSING',
-  }, null, 2));
-
-  // Verify presence of login-customer-id header
-  if (!headers['login-customer-id']) {
-    console.error('[ERROR] login-customer-id header missing before request.');
-  } else {
-    console.log('[DEBUG] login-customer-id header verified:', headers['login-customer-id']);
-  }
+  return headers;
+}
 
-  let response = await fetch(effectiveUrl, requestOptions);
-  let shouldTrySearchFallback = false;
-  // Read once for normal path
-  if (response.status === 200) {
-    const text = await response.text();
-    // Cache parsed text for normal path to avoid double-reading the stream
-    response.parsedText = text;
-  }
+/**
+ * Sends a Google Ads API request with the shared retry policy
+ * Retries once with a fresh access token on 401, and retries transient failures (429, RESOURCE_EXHAUSTED,
+ * 5xx) with backoff - see utils/retry-policy.js. Any other non-2xx status throws a GoogleAdsApiError.
+ * Concurrent requests per customer are capped (GOOGLE_ADS_MAX_CONCURRENT_PER_CUSTOMER); a slot is held
+ * until the response headers arrive, so streamed bodies do not block other requests
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options (method, headers, body); headers.Authorization is replaced after a 401
+ * @param {Object} options - Retry settings
+ * @param {string} options.customerId - Customer ID used for the limiter and quota tracking
+ * @param {boolean} options.idempotent - False for mutates: only quota errors are retried
+ * @param {string} options.accessToken - OAuth access token already set in init.headers
+ * @param {string} options.refreshToken - Optional connection ID or refresh token for retry on 401
+ * @returns {Promise<{response: Object, accessToken: string}>} Successful fetch response and the access token that succeeded
+ */
+async function sendGoogleAdsRequest(url, init, { customerId = null, idempotent = true, accessToken, refreshToken = null }) {
+  const config = getRetryConfig();
+  let currentAccessToken = accessToken;
+  let refreshedAfter401 = false;
+
+  return customerLimiter.run(customerId || 'none', async () => {
+    for (let attempt = 0; ; attempt++) {
+      quotaTracker.recordRequest(customerId);
+      const response = await fetch(url, init);
+
+      // Handle 401 Unauthorized - token expired, clear cache and retry once
+      if (response.status === 401 && refreshToken && !refreshedAfter401) {
+        logger.warn('Received 401, clearing token cache and retrying', { customer_id: customerId });
+        refreshedAfter401 = true;
+        await dropCachedAccessToken(await resolveRefreshToken(refreshToken)); // Clear cache for this refresh token
+
+        // Get a fresh token and update authorization header
+        currentAccessToken = await getAccessTokenFromRefresh(refreshToken);
+        init.headers.Authorization = `Bearer ${currentAccessToken}`;
+        attempt--; // The token refresh does not use up a retry
+        continue;
+      }
 
-  // Handle 401 Unauthorized - token expired, clear cache and retry once
-  if ((response.status === 401 || shouldTrySearchFallback) && refreshToken) {
-    if (response.status === 401) {
-      console.warn('⚠️ Received 401, clearing token cache and retrying...');
-      tokenCache.delete(refreshToken); // Clear cache for this refresh token
-      
-      // Get a fresh token
-      const newAccessToken = await getAccessTokenFromRefresh(refreshToken);
-      
-      // Update authorization header with new token
-      headers.Authorization = `Bearer ${newAccessToken}`;
-    } else {
-      console.log('🔄 Attempting fallback to /search endpoint');
-    }
-    
-    // Retry using /search endpoint as well
-    let retryResponse = await fetch(
-      `https://googleads.googleapis.com/${GOOGLE_ADS_API_VERSION}/customers/${normalizedCustomerId}/googleAds:search`,
-      { method: 'POST', headers, body }
-    );
+      if (response.ok) {
+        return { response, accessToken: currentAccessToken };
+      }
 
-    if (!retryResponse.ok) {
-      const errText = await retryResponse.text();
+      const errText = await response.text();
       let errorDetails;
       try {
         errorDetails = JSON.parse(errText);
       } catch {
         errorDetails = errText;
       }
-      throw new Error(`Google Ads API error (${retryResponse.status}) after token refresh: ${JSON.stringify(errorDetails)}`);
-    }
 
-    // Handle /search response (single JSON object with results array)
-    let results = [];
-    const responseText = await retryResponse.text();
-    try {
-      const responseData = JSON.parse(responseText);
-      console.log(`[DEBUG] Retry /search response keys:`, Object.keys(responseData));
-      if (Array.isArray(responseData)) {
-        results = responseData.flatMap(parseSearchStreamChunk);
-      } else if (responseData.results && Array.isArray(responseData.results)) {
-        results = responseData.results.flatMap(parseSearchStreamChunk);
-      } else {
-        results = parseSearchStreamChunk(responseData);
+      const quotaError = isQuotaError(response.status, errorDetails);
+      const retryable = isRetryable(response.status, errorDetails, idempotent);
+      const { delayMs, hinted } = computeRetryDelay(
+        attempt,
+        { retryAfter: response.headers.get('retry-after'), body: errorDetails },
+        config
+      );
+
+      if (quotaError) {
+        quotaTracker.recordQuotaError(customerId, {
+          status: response.status,
+          message: errorDetails?.error?.message || String(errText).substring(0, 200),
+          retry_delay_ms: hinted ? delayMs : null,
+        });
+      }
+
+      // Waits longer than the cap (e.g. an exhausted daily quota) fail now instead of hanging the request
+      if (retryable && attempt < config.maxRetries && delayMs <= config.maxDelayMs) {
+        logger.warn('Retrying Google Ads API request', {
+          customer_id: customerId,
+          status: response.status,
+          retry: attempt + 1,
+          max_retries: config.maxRetries,
+          delay_ms: delayMs,
+        });
+        quotaTracker.recordRetry(customerId);
+        await sleep(delayMs);
+        continue;
       }
-    } catch (error) {
-      console.error('[ERROR] Failed to parse retry /search response:', error);
-      throw new Error(`Failed to parse retry /search response: ${error.message}`);
+
+      quotaTracker.recordFailure(customerId);
+      throw createGoogleAdsError(response.status, errorDetails, response.headers.get('request-id'));
     }
-    console.log(`[DEBUG] Total results parsed from retry response: ${results.length}`);
-    return results;
+  });
+}
+
+/**
+ * POSTs a JSON payload to a customer-scoped Google Ads API method
+ * Retries as described in sendGoogleAdsRequest; mutates are only retried on quota errors
+ * The response body is left unread so callers can either buffer or stream it
+ * @param {string} customerId - Google Ads customer ID (without dashes)
+ * @param {string} method - Service method, e.g. "googleAds:search"
+ * @param {Object} payload - Request body
+ * @param {string} accessToken - OAuth access token
+ * @param {string} loginCustomerId - Optional MCC/Manager ID (for MCC token context)
+ * @param {string} refreshToken - Optional connection ID or refresh token for retry on 401
+ * @returns {Promise<{response: Object, accessToken: string}>} Successful fetch response and the access token that succeeded
+ */
+async function fetchGoogleAds(customerId, method, payload, accessToken, loginCustomerId = null, refreshToken = null) {
+  const url = `${GOOGLE_ADS_BASE_URL}/customers/${customerId}/${method}`;
+  const headers = buildRequestHeaders(accessToken, loginCustomerId);
+  const body = JSON.stringify(payload);
+  logger.debug('Google Ads API request', { url });
+
+  return sendGoogleAdsRequest(url, { method: 'POST', headers, body }, {
+    customerId,
+    idempotent: !/mutate$/i.test(method),
+    accessToken,
+    refreshToken,
+  });
+}
+
+/**
+ * POSTs a JSON payload to a customer-scoped Google Ads API method and parses the JSON response
+ * @param {string} customerId - Google Ads customer ID (without dashes)
+ * @param {string} method - Service method, e.g. "googleAds:search"
+ * @param {Object} payload - Request body
+ * @param {string} accessToken - OAuth access token
+ * @param {string} loginCustomerId - Optional MCC/Manager ID (for MCC token context)
+ * @param {string} refreshToken - Optional connection ID or refresh token for retry on 401
+ * @returns {Promise<{data: Object, accessToken: string}>} Parsed response body and the access token that succeeded
+ */
+async function postGoogleAds(customerId, method, payload, accessToken, loginCustomerId = null, refreshToken = null) {
+  const { response, accessToken: usedAccessToken } = await fetchGoogleAds(
+    customerId, method, payload, accessToken, loginCustomerId, refreshToken
+  );
+  const text = await response.text();
+
+  try {
+    return { data: JSON.parse(text), accessToken: usedAccessToken };
+  } catch (e) {
+    logger.error(`Failed to parse ${method} response JSON`, { error: e.message, body: text.substring(0, 500) });
+    throw new Error(`Failed to parse ${method} response JSON: ${e.message}`);
   }
+}
 
-  // ✅ Normal (non-fallback) execution path
-  if (!response.ok) {
-    const errText = await response.text();
-    let errorDetails;
-    try {
-      errorDetails = JSON.parse(errText);
-    } catch {
-      errorDetails = errText;
+/**
+ * Extracts result rows from a /search response body
+ * @param {Object|Array} data - Parsed response body
+ * @returns {Array} Array of result objects
+ */
+function extractSearchResults(data) {
+  if (Array.isArray(data)) {
+    return data.flatMap(parseSearchStreamChunk);
+  }
+  if (data.results && Array.isArray(data.results)) {
+    return data.results.flatMap(parseSearchStreamChunk);
+  }
+  // Empty pages come back as {fieldMask, requestId} without a results key
+  if (data.fieldMask !== undefined || data.requestId !== undefined) {
+    return [];
+  }
+  return parseSearchStreamChunk(data);
+}
+
+/**
+ * Logs a GAQL call with its duration and adds it to the request's timing summary
+ * @param {string} method - googleAds:search or googleAds:searchStream
+ * @param {string} customerId - Google Ads customer ID
+ * @param {string} query - GAQL query string
+ * @param {number} startedAt - Start time in ms
+ * @param {Object} details - Outcome (rows, error, ...)
+ */
+function logGaqlCall(method, customerId, query, startedAt, details) {
+  const durationMs = Date.now() - startedAt;
+  trackTiming(method, durationMs);
+  logger[details.error ? 'warn' : 'info']('GAQL call', {
+    method,
+    customer_id: customerId,
+    duration_ms: durationMs,
+    ...details,
+    query: query.replace(/\s+/g, ' '),
+  });
+}
+
+/**
+ * Fetches a single page of GAQL results from googleAds:search
+ * @param {string} customerId - Google Ads customer ID (without dashes)
+ * @param {string} accessToken - OAuth access token
+ * @param {string} query - GAQL query string
+ * @param {string} pageToken - Page token from a previous response (null for the first page)
+ * @param {string} loginCustomerId - Optional MCC/Manager ID (for MCC token context)
+ * @param {string} refreshToken - Optional connection ID or refresh token for retry on 401
+ * @returns {Promise<{results: Array, nextPageToken: string|null, accessToken: string}>} Page rows and the token for the next page
+ */
+async function executeGAQLQueryPage(customerId, accessToken, query, pageToken = null, loginCustomerId = null, refreshToken = null) {
+  if (!customerId || !accessToken || !query) {
+    throw new Error('customerId, accessToken, and query are required');
+  }
+
+  // Normalize customer ID (remove dashes)
+  const normalizedCustomerId = customerId.replace(/-/g, '');
+  const payload = pageToken ? { query, pageToken } : { query };
+
+  const startedAt = Date.now();
+  let data;
+  let usedAccessToken;
+  try {
+    ({ data, accessToken: usedAccessToken } = await postGoogleAds(
+      normalizedCustomerId, 'googleAds:search', payload, accessToken, loginCustomerId, refreshToken
+    ));
+  } catch (err) {
+    logGaqlCall('googleAds:search', normalizedCustomerId, query, startedAt, { error: err });
+    throw err;
+  }
+
+  const results = extractSearchResults(data);
+  logGaqlCall('googleAds:search', normalizedCustomerId, query, startedAt, {
+    rows: results.length,
+    page: Boolean(pageToken),
+    has_next_page: Boolean(data.nextPageToken),
+  });
+
+  return {
+    results,
+    nextPageToken: data.nextPageToken || null,
+    accessToken: usedAccessToken,
+  };
+}
+
+/**
+ * Iterates over every row of a GAQL query, following nextPageToken until exhausted
+ * @param {string} customerId - Google Ads customer ID (without dashes)
+ * @param {string} accessToken - OAuth access token
+ * @param {string} query - GAQL query string
+ * @param {string} loginCustomerId - Optional MCC/Manager ID (for MCC token context)
+ * @param {string} refreshToken - Optional connection ID or refresh token for retry on 401
+ * @returns {AsyncGenerator<Object>} Result rows
+ */
+async function* iterateGAQLQuery(customerId, accessToken, query, loginCustomerId = null, refreshToken = null) {
+  let pageToken = null;
+  let currentAccessToken = accessToken;
+
+  do {
+    const page = await executeGAQLQueryPage(customerId, currentAccessToken, query, pageToken, loginCustomerId, refreshToken);
+    // Keep using a refreshed token for the remaining pages
+    currentAccessToken = page.accessToken;
+    pageToken = page.nextPageToken;
+
+    for (const row of page.results) {
+      yield row;
     }
-    throw new Error(`Google Ads API error (${response.status}): ${JSON.stringify(errorDetails)}`);
+  } while (pageToken);
+}
+
+/**
+ * Streams every row of a GAQL query from googleAds:searchStream
+ * The chunked JSON array is parsed incrementally, so rows are yielded as batches arrive
+ * instead of buffering the whole response in memory
+ * @param {string} customerId - Google Ads customer ID (without dashes)
+ * @param {string} accessToken - OAuth access token
+ * @param {string} query - GAQL query string
+ * @param {string} loginCustomerId - Optional MCC/Manager ID (for MCC token context)
+ * @param {string} refreshToken - Optional connection ID or refresh token for retry on 401
+ * @returns {AsyncGenerator<Object>} Result rows
+ */
+async function* streamGAQLQuery(customerId, accessToken, query, loginCustomerId = null, refreshToken = null) {
+  if (!customerId || !accessToken || !query) {
+    throw new Error('customerId, accessToken, and query are required');
   }
 
-  // Parse /search JSON response
-  const text = response.parsedText ?? await response.text();
-  console.log(`[DEBUG] Response status: ${response.status}`);
-  console.log(`[DEBUG] Response text length: ${text.length}`);
+  // Normalize customer ID (remove dashes)
+  const normalizedCustomerId = customerId.replace(/-/g, '');
+  const startedAt = Date.now();
+  let rowCount = 0;
+  let error = null;
+  let completed = false;
 
-  let results = [];
+  // Logged once the stream ends, fails or is abandoned by the caller
   try {
-    const data = JSON.parse(text);
-    console.log('[DEBUG] /search response top-level keys:', Array.isArray(data) ? ['<array>'] : Object.keys(data));
-    if (Array.isArray(data)) {
-      results = data.flatMap(parseSearchStreamChunk);
-    } else if (data.results && Array.isArray(data.results)) {
-      results = data.results.flatMap(parseSearchStreamChunk);
-    } else {
-      results = parseSearchStreamChunk(data);
+    const { response } = await fetchGoogleAds(
+      normalizedCustomerId, 'googleAds:searchStream', { query }, accessToken, loginCustomerId, refreshToken
+    );
+
+    const parser = createJsonArrayParser();
+    const decoder = new TextDecoder();
+
+    for await (const chunk of response.body) {
+      const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      for (const batch of parser.push(text)) {
+        for (const row of extractSearchResults(batch)) {
+          rowCount++;
+          yield row;
+        }
+      }
     }
-  } catch (e) {
-    console.error('[ERROR] Failed to parse /search response JSON:', e.message);
-    console.error('[ERROR] Raw body (first 500 chars):', text.substring(0, 500));
-    throw new Error(`Failed to parse /search response JSON: ${e.message}`);
+
+    for (const batch of parser.push(decoder.decode())) {
+      for (const row of extractSearchResults(batch)) {
+        rowCount++;
+        yield row;
+      }
+    }
+    parser.end();
+    completed = true;
+  } catch (err) {
+    error = err;
+    throw err;
+  } finally {
+    logGaqlCall('googleAds:searchStream', normalizedCustomerId, query, startedAt, {
+      rows: rowCount,
+      ...(error ? { error } : { completed }),
+    });
   }
+}
 
-  console.log(`[DEBUG] Total results parsed: ${results.length}`);
-  return results; // ✅ final return
+/**
+ * Executes a GAQL query against Google Ads API with automatic token refresh on 401
+ * Uses paginated /search by default (reliable under MCC login-customer-id headers);
+ * pass { stream: true } to read the full result set from searchStream instead
+ * @param {string} customerId - Google Ads customer ID (without dashes)
+ * @param {string} accessToken - OAuth access token
+ * @param {string} query - GAQL query string
+ * @param {string} loginCustomerId - Optional MCC/Manager ID (for MCC token context)
+ * @param {string} refreshToken - Optional connection ID or refresh token for retry on 401
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.stream - Use googleAds:searchStream instead of paginated /search
+ * @param {Object} options.cache - Cache policy from readCachePolicy (omit to always query Google)
+ * @returns {Promise<Array>} Array of result objects from API
+ */
+async function executeGAQLQuery(customerId, accessToken, query, loginCustomerId = null, refreshToken = null, options = {}) {
+  const runQuery = async () => {
+    const rows = options.stream
+      ? streamGAQLQuery(customerId, accessToken, query, loginCustomerId, refreshToken)
+      : iterateGAQLQuery(customerId, accessToken, query, loginCustomerId, refreshToken);
+
+    const results = [];
+    for await (const row of rows) {
+      results.push(row);
+    }
+
+    logger.debug('GAQL results collected', { rows: results.length });
+    return results;
+  };
+
+  if (!options.cache) return runQuery();
+
+  const scope = {
+    customerId: customerId.replace(/-/g, ''),
+    loginCustomerId,
+    connectionId: refreshToken,
+    query,
+  };
+  return withGaqlCache(scope, options.cache, runQuery);
 }
 
+/**
+ * Groups the errors of a partialFailureError status by mutate operation index
+ * Google reports the failing operation as the index of the first field path element
+ * @param {Object} status - partialFailureError (google.rpc.Status) from a mutate response
+ * @returns {Map<number, Array<{code: Object, message: string}>>} Errors per operation index
+ */
+function extractPartialFailureErrors(status) {
+  const errorsByIndex = new Map();
+  if (!status || !Array.isArray(status.details)) return errorsByIndex;
+
+  status.details.forEach(detail => {
+    (detail.errors || []).forEach(error => {
+      const index = error.location?.fieldPathElements?.[0]?.index ?? 0;
+      if (!errorsByIndex.has(index)) errorsByIndex.set(index, []);
+      errorsByIndex.get(index).push({
+        code: error.errorCode || {},
+        message: error.message || 'Unknown error',
+      });
+    });
+  });
+
+  return errorsByIndex;
+}
+
+/**
+ * Runs a batch of operations through googleAds:mutate with automatic token refresh on 401
+ * With partialFailure, valid operations are applied and failures are reported per operation;
+ * without it the batch is atomic and any failure throws
+ * Applied batches clear the account's cached GAQL results (utils/gaql-cache.js)
+ * @param {string} customerId - Google Ads customer ID (without dashes)
+ * @param {string} accessToken - OAuth access token
+ * @param {Array<Object>} mutateOperations - MutateOperation objects (e.g. { campaignOperation: {...} })
+ * @param {string} loginCustomerId - Optional MCC/Manager ID (for MCC token context)
+ * @param {string} refreshToken - Optional connection ID or refresh token for retry on 401
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.validateOnly - Validate without applying (dry run)
+ * @param {boolean} options.partialFailure - Apply valid operations even if others fail
+ * @returns {Promise<{responses: Array<Object>, errors: Map<number, Array>}>} Per-operation responses and errors by index
+ */
+async function executeMutate(customerId, accessToken, mutateOperations, loginCustomerId = null, refreshToken = null, options = {}) {
+  if (!customerId || !accessToken || !Array.isArray(mutateOperations) || mutateOperations.length === 0) {
+    throw new Error('customerId, accessToken, and at least one operation are required');
+  }
+
+  const payload = {
+    mutateOperations,
+    partialFailure: Boolean(options.partialFailure),
+    validateOnly: Boolean(options.validateOnly),
+  };
+
+  const startedAt = Date.now();
+  const { data } = await postGoogleAds(
+    customerId, 'googleAds:mutate', payload, accessToken, loginCustomerId, refreshToken
+  );
+
+  // Cached reads of this account may now be stale
+  if (!payload.validateOnly) {
+    await invalidateCustomer(customerId);
+  }
+
+  const durationMs = Date.now() - startedAt;
+  trackTiming('googleAds:mutate', durationMs);
+  logger.info('googleAds:mutate', {
+    customer_id: customerId,
+    operations: mutateOperations.length,
+    validate_only: payload.validateOnly,
+    duration_ms: durationMs,
+  });
+
+  return {
+    responses: data.mutateOperationResponses || [],
+    errors: extractPartialFailureErrors(data.partialFailureError),
+  };
+}
+
+/**
+ * Lists the customers the OAuth user can access directly (without a login-customer-id)
+ * Retries as described in sendGoogleAdsRequest
+ * @param {string} accessToken - OAuth access token
+ * @param {string} refreshToken - Optional connection ID or refresh token for retry on 401
+ * @returns {Promise<Array<string>>} Customer IDs (without dashes)
+ */
+async function listAccessibleCustomers(accessToken, refreshToken = null) {
+  const url = `${GOOGLE_ADS_BASE_URL}/customers:listAccessibleCustomers`;
+  const headers = {
+    'Authorization': `Bearer ${accessToken}`,
+    'developer-token': DEVELOPER_TOKEN,
+  };
+
+  const { response } = await sendGoogleAdsRequest(url, { method: 'GET', headers }, { accessToken, refreshToken });
+  const text = await response.text();
+  const data = JSON.parse(text);
+  return (data.resourceNames || []).map(name => name.replace('customers/', ''));
+}
+
+/**
+ * Returns the client's configuration and limiter state for /api/health
+ * @returns {Object} API version, developer token presence, retry settings and per-customer concurrency
+ */
+function getClientStatus() {
+  return {
+    api_version: GOOGLE_ADS_API_VERSION,
+    developer_token_configured: Boolean(DEVELOPER_TOKEN),
+    retry: getRetryConfig(),
+    concurrency: customerLimiter.stats(),
+  };
+}
 
 /**
  * Validates and normalizes customer ID (removes dashes)
  * @param {string} customerId - Customer ID (with or without dashes)
+ * @param {string} name - Parameter name used in the error message
  * @returns {string} Normalized customer ID (no dashes)
+ * @throws {GaqlValidationError} If the ID is not numeric
  */
-function normalizeCustomerId(customerId) {
-  if (!customerId || typeof customerId !== 'string') {
-    throw new Error('Invalid customer ID');
-  }
-  return customerId.replace(/-/g, '');
+function normalizeCustomerId(customerId, name = 'customer_id') {
+  return parseId(customerId, name);
 }
 
 module.exports = {
   getAccessTokenFromRefresh,
+  resolveRefreshToken,
+  revokeRefreshToken,
   executeGAQLQuery,
+  executeGAQLQueryPage,
+  iterateGAQLQuery,
+  streamGAQLQuery,
+  executeMutate,
+  listAccessibleCustomers,
+  getClientStatus,
   normalizeCustomerId,
 };
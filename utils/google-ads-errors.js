@@ -0,0 +1,231 @@
+// utils/google-ads-errors.js
+/**
+ * Typed Google Ads API errors
+ * Failed calls throw GoogleAdsApiError, which keeps what Google reported (errorCode, fieldPath, trigger,
+ * requestId, HTTP and RPC status) and the HTTP status / remediation hint this API answers with.
+ * The hints are written for end users, so the GPT can pass them on as they are.
+ */
+
+/**
+ * Error mapping table, matched from most to least specific:
+ *   "category.CODE" (e.g. "authorizationError.USER_PERMISSION_DENIED"), then "category",
+ *   then Google's RPC status (e.g. "PERMISSION_DENIED"), then Google's HTTP status
+ */
+const ERROR_MAPPINGS = {
+  // Authentication - the connection has to be re-authorized
+  'authenticationError': {
+    status: 401,
+    hint: 'The Google Ads connection is no longer valid. Reconnect the account through /api/auth and try again.',
+  },
+  'authenticationError.NOT_ADS_USER': {
+    status: 403,
+    hint: 'The connected Google account has no access to any Google Ads account. Reconnect with a user of the Google Ads account.',
+  },
+
+  // Authorization - the user or developer token cannot access this account
+  'authorizationError': {
+    status: 403,
+    hint: 'The connected user cannot access this account. Check customer_id, or pass login_customer_id of a manager account that manages it.',
+  },
+  'authorizationError.DEVELOPER_TOKEN_NOT_APPROVED': {
+    status: 403,
+    hint: 'The developer token is only approved for test accounts. Use a test account or apply for Basic access in the API Center.',
+  },
+  'authorizationError.CUSTOMER_NOT_ENABLED': {
+    status: 403,
+    hint: 'This Google Ads account is not enabled (it was cancelled or its setup is incomplete). Choose another account.',
+  },
+  'authorizationError.ACTION_NOT_PERMITTED': {
+    status: 403,
+    hint: 'The connected user has read-only access to this account. Ask an account admin for standard access to make changes.',
+  },
+
+  // Missing resources
+  'requestError.INVALID_CUSTOMER_ID': {
+    status: 404,
+    hint: 'This customer ID does not exist. Check customer_id (10 digits, dashes optional).',
+  },
+  'mutateError.RESOURCE_NOT_FOUND': {
+    status: 404,
+    hint: 'The campaign, ad group, ad or budget was not found in this account. Check the IDs.',
+  },
+
+  // Rejected queries and values
+  'queryError': {
+    status: 422,
+    hint: 'Google Ads rejected the report query. Check the filters and date range.',
+  },
+  'queryError.REQUESTED_METRICS_FOR_MANAGER': {
+    status: 422,
+    hint: 'Metrics cannot be requested for a manager account. Query one of its client accounts instead (see /api/mcc-accounts).',
+  },
+
+  // Rate limits and outages
+  'quotaError': {
+    status: 429,
+    hint: 'Google Ads rate limits were reached. Wait a minute before retrying, or query fewer accounts at once.',
+  },
+  'internalError': {
+    status: 503,
+    hint: 'Google Ads had a temporary problem. Try again in a few minutes.',
+  },
+
+  // RPC status fallbacks
+  'UNAUTHENTICATED': { status: 401, hint: 'The Google Ads connection is no longer valid. Reconnect the account through /api/auth and try again.' },
+  'PERMISSION_DENIED': { status: 403, hint: 'The connected user cannot access this account. Check customer_id and login_customer_id.' },
+  'NOT_FOUND': { status: 404, hint: 'The requested resource was not found. Check the IDs.' },
+  'INVALID_ARGUMENT': { status: 422, hint: 'Google Ads rejected a value in the request. See errors for the field and value.' },
+  'FAILED_PRECONDITION': { status: 422, hint: 'Google Ads rejected the request in the account\'s current state. See errors for details.' },
+  'RESOURCE_EXHAUSTED': { status: 429, hint: 'Google Ads rate limits were reached. Wait a minute before retrying, or query fewer accounts at once.' },
+  'UNAVAILABLE': { status: 503, hint: 'Google Ads is temporarily unavailable. Try again in a few minutes.' },
+  'INTERNAL': { status: 503, hint: 'Google Ads had a temporary problem. Try again in a few minutes.' },
+  'DEADLINE_EXCEEDED': { status: 503, hint: 'Google Ads took too long to answer. Try again, or narrow the date range.' },
+};
+
+// Last resort when neither the error codes nor the RPC status are known
+const HTTP_STATUS_FALLBACKS = {
+  401: 'UNAUTHENTICATED',
+  403: 'PERMISSION_DENIED',
+  404: 'NOT_FOUND',
+  429: 'RESOURCE_EXHAUSTED',
+};
+
+class GoogleAdsApiError extends Error {
+  /**
+   * @param {Object} fields - Error fields
+   * @param {number} fields.httpStatus - HTTP status returned by Google
+   * @param {string|null} fields.rpcStatus - google.rpc.Code name (e.g. "PERMISSION_DENIED")
+   * @param {string} fields.message - Top-level message from Google
+   * @param {Array<Object>} fields.errors - GoogleAdsError entries (see parseGoogleAdsFailure)
+   * @param {string|null} fields.requestId - Google request ID (quote it in support requests)
+   * @param {Object|string} fields.body - Raw error body
+   */
+  constructor({ httpStatus, rpcStatus = null, message, errors = [], requestId = null, body = null }) {
+    const first = errors[0];
+    const summary = first ? `${first.message} [${first.category}.${first.code}]` : message;
+    super(`Google Ads API error (${httpStatus}): ${summary}`);
+    this.name = 'GoogleAdsApiError';
+    this.httpStatus = httpStatus;
+    this.rpcStatus = rpcStatus;
+    this.errors = errors;
+    this.requestId = requestId;
+    this.body = body;
+
+    const { status, hint } = resolveMapping(httpStatus, rpcStatus, errors);
+    this.status = status;
+    this.hint = hint;
+    this.type = first ? first.code : (rpcStatus || `HTTP_${httpStatus}`);
+  }
+
+  /**
+   * Returns the error in the shape sent to API callers
+   * @returns {Object} Error details with snake_case keys
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      http_status: this.httpStatus,
+      rpc_status: this.rpcStatus,
+      request_id: this.requestId,
+      errors: this.errors.map(e => ({
+        error_code: e.errorCode,
+        message: e.message,
+        field_path: e.fieldPath,
+        trigger: e.trigger,
+      })),
+    };
+  }
+}
+
+/**
+ * Picks the response status and hint for an error from the mapping table
+ * @param {number} httpStatus - HTTP status returned by Google
+ * @param {string|null} rpcStatus - google.rpc.Code name
+ * @param {Array<Object>} errors - Parsed GoogleAdsError entries
+ * @returns {{status: number, hint: string}} Mapping
+ */
+function resolveMapping(httpStatus, rpcStatus, errors) {
+  const keys = [
+    ...errors.flatMap(e => [`${e.category}.${e.code}`, e.category]),
+    rpcStatus,
+    HTTP_STATUS_FALLBACKS[httpStatus] || (httpStatus >= 500 ? 'UNAVAILABLE' : 'INVALID_ARGUMENT'),
+  ];
+  const key = keys.find(k => k && ERROR_MAPPINGS[k]);
+  return ERROR_MAPPINGS[key];
+}
+
+/**
+ * Joins a GoogleAdsError location into a field path (e.g. "operations[0].create.name")
+ * @param {Object} location - {fieldPathElements: [{fieldName, index}]}
+ * @returns {string|null} Field path
+ */
+function toFieldPath(location) {
+  const elements = location?.fieldPathElements;
+  if (!Array.isArray(elements) || elements.length === 0) return null;
+  return elements
+    .map(e => (e.index !== undefined ? `${e.fieldName}[${e.index}]` : e.fieldName))
+    .join('.');
+}
+
+/**
+ * Unwraps a google.protobuf.Value trigger ({stringValue: "x"} -> "x")
+ * @param {Object} trigger - Trigger value
+ * @returns {*} Plain value or null
+ */
+function toTriggerValue(trigger) {
+  if (!trigger || typeof trigger !== 'object') return null;
+  const values = Object.values(trigger);
+  return values.length > 0 ? values[0] : null;
+}
+
+/**
+ * Reads the GoogleAdsFailure entries from an error body
+ * @param {Object} body - Parsed error body ({error: {details: [...]}})
+ * @returns {{errors: Array<Object>, requestId: string|null}} Parsed errors and the failure's request ID
+ */
+function parseGoogleAdsFailure(body) {
+  const details = Array.isArray(body?.error?.details) ? body.error.details : [];
+  const failure = details.find(d => Array.isArray(d.errors)) || {};
+
+  const errors = (failure.errors || []).map(e => {
+    const [category, code] = Object.entries(e.errorCode || {})[0] || ['unknownError', 'UNKNOWN'];
+    return {
+      errorCode: e.errorCode || {},
+      category,
+      code,
+      message: e.message || 'Unknown error',
+      fieldPath: toFieldPath(e.location),
+      trigger: toTriggerValue(e.trigger),
+    };
+  });
+
+  return { errors, requestId: failure.requestId || null };
+}
+
+/**
+ * Builds a GoogleAdsApiError from a failed response
+ * @param {number} httpStatus - HTTP status returned by Google
+ * @param {Object|string} body - Parsed error body, or the raw text when it was not JSON
+ * @param {string|null} requestIdHeader - Value of the request-id response header
+ * @returns {GoogleAdsApiError} Typed error
+ */
+function createGoogleAdsError(httpStatus, body, requestIdHeader = null) {
+  const { errors, requestId } = parseGoogleAdsFailure(body);
+  const message = body?.error?.message || body?.error?.status || (typeof body === 'string' ? body.substring(0, 500) : 'Unknown error');
+
+  return new GoogleAdsApiError({
+    httpStatus,
+    rpcStatus: body?.error?.status || null,
+    message,
+    errors,
+    requestId: requestId || requestIdHeader,
+    body,
+  });
+}
+
+module.exports = {
+  ERROR_MAPPINGS,
+  GoogleAdsApiError,
+  parseGoogleAdsFailure,
+  createGoogleAdsError,
+};
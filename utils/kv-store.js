@@ -0,0 +1,148 @@
+// utils/kv-store.js
+/**
+ * Pluggable key-value stores
+ * Every store exposes the same async interface: get, set, delete, list
+ * Values must be JSON-serializable. set accepts an optional {ttlSeconds}; the Redis store expires
+ * such keys on its own, the others keep them until deleted (callers check expiry themselves)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Creates an in-memory store (per serverless instance, lost on cold start)
+ * @returns {Object} Store with get/set/delete/list
+ */
+function createMemoryStore() {
+  const data = new Map();
+
+  return {
+    async get(key) {
+      return data.has(key) ? structuredClone(data.get(key)) : null;
+    },
+    async set(key, value) {
+      data.set(key, structuredClone(value));
+    },
+    async delete(key) {
+      return data.delete(key);
+    },
+    async list(prefix = '') {
+      return Array.from(data.keys()).filter(k => k.startsWith(prefix));
+    },
+  };
+}
+
+/**
+ * Creates a store persisted to a single JSON file (intended for local development)
+ * Writes are serialized within the process and replace the file atomically
+ * @param {string} filePath - Path of the JSON file (created on first write)
+ * @returns {Object} Store with get/set/delete/list
+ */
+function createFileStore(filePath) {
+  let queue = Promise.resolve();
+
+  const read = async () => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return {};
+      throw new Error(`Failed to read store file ${filePath}: ${err.message}`);
+    }
+  };
+
+  const write = async (data) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await fs.rename(tmpPath, filePath);
+  };
+
+  // Run read-modify-write operations one at a time
+  const exclusive = (fn) => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    async get(key) {
+      const data = await read();
+      return key in data ? data[key] : null;
+    },
+    set(key, value) {
+      return exclusive(async () => {
+        const data = await read();
+        data[key] = value;
+        await write(data);
+      });
+    },
+    delete(key) {
+      return exclusive(async () => {
+        const data = await read();
+        if (!(key in data)) return false;
+        delete data[key];
+        await write(data);
+        return true;
+      });
+    },
+    async list(prefix = '') {
+      const data = await read();
+      return Object.keys(data).filter(k => k.startsWith(prefix));
+    },
+  };
+}
+
+/**
+ * Creates a store backed by Redis or a Redis-compatible server (Valkey, KeyDB, Upstash, ...)
+ * Shared by every serverless instance; requires the ioredis package
+ * @param {string} url - Connection URL, e.g. redis://127.0.0.1:6379
+ * @param {Object} options - Optional settings
+ * @param {string} options.keyPrefix - Namespace prepended to every key (default "egpt:")
+ * @returns {Object} Store with get/set/delete/list
+ */
+function createRedisStore(url, { keyPrefix = 'egpt:' } = {}) {
+  let Redis;
+  try {
+    Redis = require('ioredis');
+  } catch (err) {
+    throw new Error('The redis store requires the ioredis package (npm install ioredis)');
+  }
+
+  // Connects on the first command; gives up after one reconnect attempt instead of hanging the request
+  const client = new Redis(url, { keyPrefix, lazyConnect: true, maxRetriesPerRequest: 1 });
+
+  return {
+    async get(key) {
+      const value = await client.get(key);
+      return value === null ? null : JSON.parse(value);
+    },
+    async set(key, value, { ttlSeconds } = {}) {
+      const payload = JSON.stringify(value);
+      if (ttlSeconds > 0) {
+        await client.set(key, payload, 'EX', Math.ceil(ttlSeconds));
+      } else {
+        await client.set(key, payload);
+      }
+    },
+    async delete(key) {
+      return (await client.del(key)) > 0;
+    },
+    async list(prefix = '') {
+      // SCAN matches on the full key, so the namespace is added to the pattern and stripped from results
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [next, batch] = await client.scan(cursor, 'MATCH', `${keyPrefix}${prefix}*`, 'COUNT', 100);
+        cursor = next;
+        keys.push(...batch.map(k => k.substring(keyPrefix.length)));
+      } while (cursor !== '0');
+      return keys;
+    },
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createRedisStore,
+};
@@ -0,0 +1,156 @@
+// utils/logger.js
+/**
+ * Structured request logger
+ * Writes one JSON object per line: {time, level, request_id, route, msg, ...fields}
+ *   - LOG_LEVEL (debug, info, warn, error; default info) filters entries
+ *   - withRequestLogging wraps a handler: every entry it logs carries the same request_id,
+ *     which is also returned to the caller in the X-Request-Id header
+ *   - fields named like secrets (token, secret, authorization, password, api key) are masked with maskToken
+ *   - trackTiming adds durations (e.g. GAQL calls) to the request's closing "request completed" entry
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = 'info';
+const MAX_DEPTH = 10;
+
+// A caller-supplied X-Request-Id is reused when it looks like an ID (lets callers trace across services)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,128}$/;
+const SECRET_KEY_PATTERN = /token|secret|password|api[_-]?key|^authorization$|^cookie$/i;
+const BEARER_PATTERN = /(Bearer\s+)([A-Za-z0-9._~+/-]+=*)/g;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Masks sensitive tokens in logs (shows first few chars + last few chars)
+ * @param {string} token - Token to mask
+ * @returns {string} Masked token
+ */
+function maskToken(token) {
+  if (!token || typeof token !== 'string' || token.length < 10) {
+    return '***';
+  }
+  return `${token.substring(0, 8)}...${token.substring(token.length - 6)}`;
+}
+
+/**
+ * Returns the minimum level to write, from LOG_LEVEL
+ * @returns {number} Level threshold
+ */
+function threshold() {
+  const name = String(process.env.LOG_LEVEL || DEFAULT_LEVEL).toLowerCase();
+  return LEVELS[name] ?? LEVELS[DEFAULT_LEVEL];
+}
+
+/**
+ * Masks secrets in a log value: secret-looking keys, bearer tokens in strings, and Error objects
+ * @param {*} value - Value to sanitize
+ * @param {string} key - Key the value is stored under
+ * @param {number} depth - Current nesting depth
+ * @returns {*} Sanitized copy
+ */
+function redact(value, key = '', depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: redact(value.message), ...(value.type && { type: value.type }) };
+  }
+  if (typeof value === 'string') {
+    if (SECRET_KEY_PATTERN.test(key)) return maskToken(value);
+    return value.replace(BEARER_PATTERN, (match, prefix, token) => `${prefix}${maskToken(token)}`);
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (depth > MAX_DEPTH) return '[truncated]';
+  if (Array.isArray(value)) return value.map(v => redact(v, key, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k, depth + 1)]));
+}
+
+/**
+ * Writes a log entry if its level passes LOG_LEVEL
+ * @param {string} level - debug, info, warn or error
+ * @param {string} message - Short description of the event
+ * @param {Object} fields - Structured details
+ */
+function log(level, message, fields = {}) {
+  if (LEVELS[level] < threshold()) return;
+
+  const store = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    ...(store && { request_id: store.requestId, route: store.route }),
+    msg: redact(message),
+    ...redact(fields),
+  };
+
+  const line = JSON.stringify(entry);
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+const logger = {
+  debug: (message, fields) => log('debug', message, fields),
+  info: (message, fields) => log('info', message, fields),
+  warn: (message, fields) => log('warn', message, fields),
+  error: (message, fields) => log('error', message, fields),
+};
+
+/**
+ * Returns the current request ID (null outside withRequestLogging)
+ * @returns {string|null} Request ID
+ */
+function getRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+/**
+ * Adds a duration to the current request's timing summary
+ * @param {string} name - Timing bucket (e.g. "googleAds:search")
+ * @param {number} durationMs - Elapsed milliseconds
+ */
+function trackTiming(name, durationMs) {
+  const store = requestContext.getStore();
+  if (!store) return;
+  const timing = store.timings[name] || (store.timings[name] = { count: 0, total_ms: 0 });
+  timing.count += 1;
+  timing.total_ms += durationMs;
+}
+
+/**
+ * Wraps an API handler with a request ID, the X-Request-Id header and a closing timing entry
+ * @param {function(Object, Object): Promise<*>} handler - Vercel handler
+ * @returns {function(Object, Object): Promise<*>} Wrapped handler
+ */
+function withRequestLogging(handler) {
+  return async (req, res) => {
+    const incoming = req.headers?.['x-request-id'];
+    const requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const route = `${req.method} ${String(req.url || '').split('?')[0]}`;
+    const store = { requestId, route, timings: {} };
+    const startedAt = Date.now();
+
+    res.setHeader('X-Request-Id', requestId);
+
+    return requestContext.run(store, async () => {
+      try {
+        return await handler(req, res);
+      } finally {
+        logger.info('request completed', {
+          status: res.statusCode,
+          duration_ms: Date.now() - startedAt,
+          timings: store.timings,
+        });
+      }
+    });
+  };
+}
+
+module.exports = {
+  logger,
+  maskToken,
+  getRequestId,
+  trackTiming,
+  withRequestLogging,
+};
@@ -0,0 +1,110 @@
+// utils/ndjson.js
+/**
+ * Newline-delimited JSON response helpers
+ * Used by endpoints that stream rows to the caller as they arrive (format=ndjson)
+ */
+
+const { GoogleAdsApiError } = require('./google-ads-errors');
+const { logger } = require('./logger');
+
+/**
+ * Sends NDJSON response headers; rows are written afterwards with writeNdjsonLine
+ * @param {Object} res - Response object
+ */
+function startNdjsonResponse(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+}
+
+/**
+ * Checks whether the client has gone away (socket closed or response destroyed)
+ * @param {Object} res - Response object
+ * @returns {boolean} True if nothing more can be written
+ */
+function isClosed(res) {
+  return Boolean(res.destroyed || res.writableEnded || res.socket?.destroyed);
+}
+
+/**
+ * Waits until a full write buffer drains, or the client disconnects or the response fails
+ * @param {Object} res - Response object
+ * @returns {Promise<boolean>} True if drained, false if the response can no longer be written
+ */
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const settle = (drained) => {
+      res.removeListener('drain', onDrain);
+      res.removeListener('close', onClose);
+      res.removeListener('error', onClose);
+      resolve(drained);
+    };
+    const onDrain = () => settle(true);
+    const onClose = () => settle(false);
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+    res.once('error', onClose);
+  });
+}
+
+/**
+ * Writes one JSON object as a line, waiting for the socket to drain when buffers are full
+ * @param {Object} res - Response object
+ * @param {Object} value - Row to serialize
+ * @returns {Promise<boolean>} False if the client disconnected and writing should stop
+ */
+async function writeNdjsonLine(res, value) {
+  if (isClosed(res)) return false;
+  const flushed = res.write(`${JSON.stringify(value)}\n`);
+  if (!flushed && typeof res.once === 'function') {
+    return waitForDrain(res);
+  }
+  return true;
+}
+
+/**
+ * Streams rows from an async iterable to the response as NDJSON
+ * Errors after headers are sent are reported as a final {"error": {...}} line.
+ * If the client disconnects, the source is closed with return() so the upstream stream is released.
+ * @param {Object} res - Response object
+ * @param {AsyncIterable<Object>} rows - Source rows
+ * @param {function(Object): Object} mapRow - Converts a source row into the output line
+ * @param {string} context - Context for error logging (e.g., "GET /api/ads-metrics")
+ * @returns {Promise<number>} Number of rows written
+ */
+async function streamNdjson(res, rows, mapRow, context = '') {
+  startNdjsonResponse(res);
+  const iterator = rows[Symbol.asyncIterator]();
+  let count = 0;
+
+  try {
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+      if (!(await writeNdjsonLine(res, mapRow(next.value)))) {
+        logger.warn('NDJSON client disconnected, closing upstream stream', { context, rows_sent: count });
+        await iterator.return?.();
+        return count;
+      }
+      count++;
+    }
+  } catch (err) {
+    logger.error('NDJSON stream aborted', { context, rows_sent: count, error: err });
+    await writeNdjsonLine(res, {
+      error: {
+        context: context || 'Unknown',
+        message: err.message || 'Unknown error',
+        ...(err instanceof GoogleAdsApiError && { type: err.type, hint: err.hint, request_id: err.requestId }),
+        rows_sent: count,
+      },
+    });
+  }
+
+  res.end();
+  return count;
+}
+
+module.exports = {
+  startNdjsonResponse,
+  writeNdjsonLine,
+  streamNdjson,
+};
@@ -0,0 +1,132 @@
+// utils/oauth-state.js
+/**
+ * OAuth flow hardening helpers
+ * Signed, expiring state values (login-CSRF protection), PKCE code verifiers,
+ * allowlisted post-login redirects and the short-lived flow cookie that binds them to the browser
+ */
+
+const crypto = require('crypto');
+
+const FLOW_COOKIE_NAME = 'gads_oauth_flow';
+const FLOW_TTL_SECONDS = 600; // 10 minutes to complete the Google consent screen
+
+/**
+ * Returns the HMAC secret used to sign state values
+ * @returns {string} Secret
+ */
+function getStateSecret() {
+  const secret = process.env.OAUTH_STATE_SECRET;
+  if (!secret) {
+    throw new Error('OAUTH_STATE_SECRET environment variable is required for the OAuth flow');
+  }
+  return secret;
+}
+
+/**
+ * Signs a payload and adds an expiry
+ * @param {Object} payload - Data to sign
+ * @param {number} ttlSeconds - Lifetime in seconds
+ * @returns {string} Token: base64url(json).base64url(hmac)
+ */
+function signPayload(payload, ttlSeconds = FLOW_TTL_SECONDS) {
+  const body = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + ttlSeconds * 1000 })).toString('base64url');
+  const signature = crypto.createHmac('sha256', getStateSecret()).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+/**
+ * Verifies a token produced by signPayload
+ * @param {string} token - Signed token
+ * @returns {Object|null} Payload, or null if the signature is invalid or the token expired
+ */
+function verifyPayload(token) {
+  if (typeof token !== 'string' || !token.includes('.')) return null;
+
+  const [body, signature] = token.split('.');
+  const expected = crypto.createHmac('sha256', getStateSecret()).update(body).digest();
+  const provided = Buffer.from(signature || '', 'base64url');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return typeof payload.exp === 'number' && payload.exp > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Generates a PKCE code verifier and its S256 challenge
+ * @returns {{verifier: string, challenge: string}} PKCE pair
+ */
+function createPkcePair() {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+/**
+ * Validates a post-login redirect target
+ * Same-site paths ("/...") are always allowed; absolute URLs must match an origin in OAUTH_RETURN_TO_ALLOWLIST
+ * @param {string} returnTo - Requested redirect target
+ * @returns {string|null} Normalized redirect target, or null if it is not allowed
+ */
+function resolveReturnTo(returnTo) {
+  if (!returnTo || typeof returnTo !== 'string') return null;
+
+  // Relative path on this deployment (reject protocol-relative "//host" and "/\host")
+  // Fragments are dropped: the callback appends its own (#connection_id=...)
+  if (/^\/(?![/\\])/.test(returnTo)) {
+    return returnTo.split('#')[0];
+  }
+
+  let url;
+  try {
+    url = new URL(returnTo);
+  } catch {
+    return null;
+  }
+
+  const allowedOrigins = (process.env.OAUTH_RETURN_TO_ALLOWLIST || '')
+    .split(',')
+    .map(o => o.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+  url.hash = '';
+  return url.protocol === 'https:' && allowedOrigins.includes(url.origin) ? url.toString() : null;
+}
+
+/**
+ * Builds the Set-Cookie header value for the OAuth flow cookie
+ * @param {string} value - Cookie value (empty string clears the cookie)
+ * @returns {string} Set-Cookie header value
+ */
+function serializeFlowCookie(value) {
+  const maxAge = value ? FLOW_TTL_SECONDS : 0;
+  return `${FLOW_COOKIE_NAME}=${value}; Max-Age=${maxAge}; Path=/api/auth; HttpOnly; Secure; SameSite=Lax`;
+}
+
+/**
+ * Reads the OAuth flow cookie from the request
+ * @param {Object} req - Request object
+ * @returns {string|null} Cookie value
+ */
+function readFlowCookie(req) {
+  const header = req.headers?.cookie || '';
+  for (const part of header.split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name === FLOW_COOKIE_NAME) return rest.join('=');
+  }
+  return null;
+}
+
+module.exports = {
+  signPayload,
+  verifyPayload,
+  createPkcePair,
+  resolveReturnTo,
+  serializeFlowCookie,
+  readFlowCookie,
+};
@@ -0,0 +1,281 @@
+// utils/openapi.js
+/**
+ * OpenAPI 3.1 building blocks
+ * Every endpoint declares its parameters and response shape as `spec` next to its handler
+ * (module.exports.spec); /api/openapi.json assembles those declarations into one document
+ * that can be imported as a ChatGPT Action.
+ *
+ * A spec looks like:
+ *   {
+ *     method: 'get',
+ *     operationId: 'listCampaigns',        // Unique, used by the GPT to name the action
+ *     summary: 'List campaigns',
+ *     description: '...',                  // ChatGPT truncates descriptions after 300 characters
+ *     parameters: [params.customerId(), ...],
+ *     requestBody: { ...JSON schema },     // POST endpoints
+ *     response: { ...JSON schema },        // 200 application/json body
+ *     exportFormats: ['csv', 'xlsx'],      // Other 200 content types selected by format=
+ *     consequential: true,                 // Changes the account: ChatGPT asks the user before calling
+ *   }
+ */
+
+const { DATE_RANGE_PRESETS } = require('./date-range');
+const { MAX_PAGE_SIZE } = require('./pagination');
+const { EXPORT_FORMATS } = require('./report-export');
+
+const OPENAPI_VERSION = '3.1.0';
+const MAX_DESCRIPTION_LENGTH = 300;
+
+const CONTENT_TYPES = {
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  tsv: 'text/tab-separated-values',
+};
+
+const ID_SCHEMA = { type: 'string', pattern: '^[0-9][0-9-]*$' };
+
+/**
+ * Returns a reference to a shared schema
+ * @param {string} name - Key in SCHEMAS
+ * @returns {Object} $ref object
+ */
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Shared component schemas
+ * Property lists describe what the endpoints return; objects stay open to additional properties
+ */
+const SCHEMAS = {
+  Metrics: {
+    type: 'object',
+    description: 'Performance metrics. cost, average_cpc and conversions_value are in account currency.',
+    properties: {
+      impressions: { type: 'integer' },
+      clicks: { type: 'integer' },
+      ctr: { type: 'number', description: 'Clicks / impressions (0-1)' },
+      average_cpc: { type: 'number' },
+      conversions: { type: 'number' },
+      cost_micros: { type: 'integer' },
+      cost: { type: 'number' },
+      conversions_value: { type: 'number' },
+      average_cpv: { type: 'number' },
+    },
+  },
+  Budget: {
+    type: 'object',
+    properties: {
+      id: { type: ['string', 'null'] },
+      name: { type: ['string', 'null'] },
+      resource_name: { type: ['string', 'null'] },
+      status: { type: 'string' },
+      amount_micros: { type: ['integer', 'null'] },
+      amount: { type: ['number', 'null'], description: 'Daily (or period) amount in account currency' },
+      total_amount: { type: ['number', 'null'] },
+      period: { type: 'string', description: 'DAILY, CUSTOM_PERIOD, ...' },
+      delivery_method: { type: 'string' },
+      shared: { type: 'boolean' },
+      reference_count: { type: ['integer', 'null'], description: 'Number of campaigns using the budget' },
+    },
+  },
+  Period: {
+    type: 'object',
+    properties: {
+      start_date: { type: 'string', format: 'date' },
+      end_date: { type: 'string', format: 'date' },
+    },
+  },
+  Guardrails: {
+    type: 'object',
+    description: 'Spend limits applied to budget changes in this account (null = no limit)',
+    properties: {
+      max_change_percent: { type: 'number', description: 'Largest allowed change per edit, in percent' },
+      daily_ceiling: { type: ['number', 'null'], description: 'Maximum combined daily budget of the account' },
+      approval_threshold: { type: ['number', 'null'], description: 'New amounts above this need an approver' },
+    },
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: false },
+      error: { type: 'string', description: 'Error type, e.g. USER_PERMISSION_DENIED, REAUTH_REQUIRED or "Missing required parameters"' },
+      message: { type: 'string' },
+      hint: { type: 'string', description: 'What the user can do about it; can be shown as is' },
+      request_id: { type: ['string', 'null'], description: 'Quote this when reporting a problem' },
+      google_ads_error: { type: 'object', additionalProperties: true },
+    },
+  },
+};
+
+/**
+ * Query parameter declarations shared by several endpoints
+ */
+const params = {
+  connectionId: () => ({
+    name: 'connection_id',
+    in: 'query',
+    required: true,
+    description: 'Connection ID shown after connecting through /api/auth (conn_...). The X-Connection-Id header can be sent instead.',
+    schema: { type: 'string', pattern: '^conn_[A-Za-z0-9_-]{32}$' },
+  }),
+  customerId: (required = true) => ({
+    name: 'customer_id',
+    in: 'query',
+    required,
+    description: 'Google Ads customer ID (10 digits, dashes optional)',
+    schema: ID_SCHEMA,
+  }),
+  loginCustomerId: () => ({
+    name: 'login_customer_id',
+    in: 'query',
+    description: 'Manager account (MCC) to access customer_id through; use the login_customer_id listed by /api/mcc-accounts',
+    schema: ID_SCHEMA,
+  }),
+  id: (name, description, required = false) => ({
+    name,
+    in: 'query',
+    required,
+    description,
+    schema: ID_SCHEMA,
+  }),
+  dateRange: (defaultValue = 'LAST_30_DAYS') => ({
+    name: 'date_range',
+    in: 'query',
+    description: 'Predefined date range',
+    schema: { type: 'string', enum: DATE_RANGE_PRESETS, default: defaultValue },
+  }),
+  customRange: () => [
+    { name: 'start_date', in: 'query', description: 'Custom range start (YYYY-MM-DD); overrides date_range together with end_date', schema: { type: 'string', format: 'date' } },
+    { name: 'end_date', in: 'query', description: 'Custom range end (YYYY-MM-DD)', schema: { type: 'string', format: 'date' } },
+  ],
+  pagination: (defaultPageSize) => [
+    { name: 'page_size', in: 'query', description: 'Items per page', schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: defaultPageSize } },
+    { name: 'cursor', in: 'query', description: 'next_cursor from the previous page', schema: { type: 'string' } },
+  ],
+  format: (formats = EXPORT_FORMATS) => [
+    { name: 'format', in: 'query', description: 'json (default) or a file export with every item', schema: { type: 'string', enum: formats, default: 'json' } },
+    { name: 'locale', in: 'query', description: 'Number format for CSV exports (BCP 47, e.g. de-DE)', schema: { type: 'string', default: 'en-US' } },
+  ],
+  fresh: () => ({
+    name: 'fresh',
+    in: 'query',
+    description: 'true skips cached Google Ads results',
+    schema: { type: 'boolean', default: false },
+  }),
+};
+
+/**
+ * Body property declarations shared by POST endpoints
+ */
+const bodyProperties = {
+  connection_id: { type: 'string', description: 'Connection ID shown after connecting through /api/auth (conn_...). The X-Connection-Id header can be sent instead.' },
+  customer_id: { ...ID_SCHEMA, description: 'Google Ads customer ID (10 digits, dashes optional)' },
+  login_customer_id: { ...ID_SCHEMA, description: 'Manager account (MCC) to access customer_id through' },
+  validate_only: { type: 'boolean', description: 'true checks the change with Google without applying it' },
+  banned_phrases: { type: 'array', items: { type: 'string' }, description: 'Extra phrases ad copy must not contain' },
+};
+
+/**
+ * Builds the response schema of a paginated list
+ * @param {string} itemsKey - Property holding the page of items
+ * @param {Object} itemSchema - Schema of one item
+ * @param {Object} extraProperties - Other response properties
+ * @returns {Object} Object schema
+ */
+function paginatedResponse(itemsKey, itemSchema, extraProperties = {}) {
+  return {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      count: { type: 'integer', description: 'Items on this page' },
+      total_count: { type: 'integer' },
+      page_size: { type: 'integer' },
+      next_cursor: { type: ['string', 'null'], description: 'Pass as cursor to get the next page; null on the last page' },
+      ...extraProperties,
+      [itemsKey]: { type: 'array', items: itemSchema },
+    },
+  };
+}
+
+/**
+ * Converts one endpoint spec into an OpenAPI operation
+ * @param {Object} spec - Endpoint declaration (see the header comment)
+ * @returns {Object} Operation object
+ */
+function buildOperation(spec) {
+  const content = { 'application/json': { schema: spec.response || { type: 'object' } } };
+  (spec.exportFormats || []).forEach(format => {
+    content[CONTENT_TYPES[format]] = { schema: { type: 'string' } };
+  });
+
+  const operation = {
+    operationId: spec.operationId,
+    summary: spec.summary,
+    description: spec.description,
+    ...(spec.tags && { tags: spec.tags }),
+    ...(spec.parameters && { parameters: spec.parameters.flat() }),
+    ...(spec.requestBody && {
+      requestBody: { required: true, content: { 'application/json': { schema: spec.requestBody } } },
+    }),
+    responses: {
+      200: { description: 'Success', content },
+      default: {
+        description: 'Error (400 invalid parameters, 401 reconnect, 403/404/422/429/503 mapped from Google Ads)',
+        content: { 'application/json': { schema: ref('Error') } },
+      },
+    },
+  };
+
+  if (spec.consequential !== undefined) {
+    operation['x-openai-isConsequential'] = spec.consequential;
+  }
+  return operation;
+}
+
+/**
+ * Assembles the OpenAPI document from endpoint specs
+ * @param {Object} endpoints - Map of path (e.g. "/api/campaigns") to the endpoint spec
+ * @param {Object} options - Document settings
+ * @param {string} options.serverUrl - Base URL the GPT calls (e.g. https://example.vercel.app)
+ * @param {string} options.version - API version shown in info.version
+ * @returns {Object} OpenAPI 3.1 document
+ * @throws {Error} If two endpoints share an operationId or a description is too long for ChatGPT
+ */
+function buildOpenApiDocument(endpoints, { serverUrl, version = '1.0.0' }) {
+  const paths = {};
+  const operationIds = new Set();
+
+  Object.entries(endpoints).forEach(([path, spec]) => {
+    if (operationIds.has(spec.operationId)) {
+      throw new Error(`Duplicate operationId ${spec.operationId} (${path})`);
+    }
+    if (String(spec.description || '').length > MAX_DESCRIPTION_LENGTH) {
+      throw new Error(`Description of ${spec.operationId} is longer than ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    operationIds.add(spec.operationId);
+    paths[path] = { ...paths[path], [spec.method]: buildOperation(spec) };
+  });
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: 'Enterprise GPT Google Ads API',
+      description: 'Reports on and manages Google Ads accounts for a custom GPT. Every Google Ads call needs the connection_id the user received after connecting through /api/auth.',
+      version,
+    },
+    servers: [{ url: serverUrl }],
+    paths,
+    components: { schemas: SCHEMAS },
+  };
+}
+
+module.exports = {
+  SCHEMAS,
+  params,
+  bodyProperties,
+  ref,
+  paginatedResponse,
+  buildOpenApiDocument,
+};
@@ -0,0 +1,82 @@
+// utils/pagination.js
+/**
+ * Cursor-based pagination helpers for list endpoints
+ * Cursors are opaque to clients (base64url-encoded offsets)
+ */
+
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Encodes a list offset as an opaque cursor
+ * @param {number} offset - Index of the first item on the next page
+ * @returns {string} Cursor string
+ */
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor string
+ * @returns {number|null} Offset, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const { o } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isInteger(o) && o >= 0 ? o : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads page_size and cursor query parameters
+ * @param {Object} query - Request query object
+ * @param {number} defaultPageSize - Page size used when page_size is omitted
+ * @returns {{pageSize: number, offset: number, error: string|null}} Parsed pagination parameters
+ */
+function parsePaginationParams(query = {}, defaultPageSize = 100) {
+  const { page_size, cursor } = query;
+  let pageSize = defaultPageSize;
+  let offset = 0;
+
+  if (page_size !== undefined && page_size !== '') {
+    pageSize = Number(page_size);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return { pageSize, offset, error: `page_size must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+  }
+
+  if (cursor) {
+    offset = decodeCursor(cursor);
+    if (offset === null) {
+      return { pageSize, offset: 0, error: 'cursor is invalid or expired' };
+    }
+  }
+
+  return { pageSize, offset, error: null };
+}
+
+/**
+ * Slices a fully-assembled list into one page
+ * @param {Array} items - All items in stable order
+ * @param {{pageSize: number, offset: number}} pagination - Parsed pagination parameters
+ * @returns {{items: Array, total_count: number, page_size: number, next_cursor: string|null}} Page of items and cursor for the next page
+ */
+function paginate(items, { pageSize, offset }) {
+  const end = offset + pageSize;
+  return {
+    items: items.slice(offset, end),
+    total_count: items.length,
+    page_size: pageSize,
+    next_cursor: end < items.length ? encodeCursor(end) : null,
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parsePaginationParams,
+  paginate,
+};
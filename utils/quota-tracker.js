@@ -0,0 +1,129 @@
+// utils/quota-tracker.js
+/**
+ * Developer token usage tracking for /api/health
+ * Counts requests per UTC day and per customer, retries and quota (rate limit) errors
+ * Counters live in memory, so each serverless instance reports its own usage since it started
+ *
+ * GOOGLE_ADS_DAILY_REQUEST_LIMIT sets the daily budget used for the remaining estimate
+ * (default 15000, the Basic access limit)
+ */
+
+const { maskToken } = require('./error-logger');
+
+const DEFAULT_DAILY_LIMIT = 15000;
+const RECENT_QUOTA_ERROR_MS = 5 * 60 * 1000;
+
+const startedAt = new Date().toISOString();
+let usage = newDay();
+
+/**
+ * Creates empty counters for the current UTC day
+ * @returns {Object} Counters
+ */
+function newDay() {
+  return {
+    day: new Date().toISOString().slice(0, 10),
+    requests: 0,
+    retries: 0,
+    quota_errors: 0,
+    failures: 0,
+    by_customer: {},
+    last_quota_error: null,
+  };
+}
+
+/**
+ * Returns today's counters, starting a new day when the date changed
+ * @returns {Object} Counters
+ */
+function today() {
+  if (usage.day !== new Date().toISOString().slice(0, 10)) usage = newDay();
+  return usage;
+}
+
+/**
+ * Returns the per-customer counters for today
+ * @param {string} customerId - Customer ID
+ * @returns {Object} Counters
+ */
+function customerUsage(customerId) {
+  const counters = today();
+  const key = customerId || 'none';
+  if (!counters.by_customer[key]) {
+    counters.by_customer[key] = { requests: 0, retries: 0, quota_errors: 0, failures: 0 };
+  }
+  return counters.by_customer[key];
+}
+
+/**
+ * Records one request sent to Google (every attempt counts against the quota)
+ * @param {string} customerId - Customer ID
+ */
+function recordRequest(customerId) {
+  today().requests += 1;
+  customerUsage(customerId).requests += 1;
+}
+
+/**
+ * Records a retry after a transient failure
+ * @param {string} customerId - Customer ID
+ */
+function recordRetry(customerId) {
+  today().retries += 1;
+  customerUsage(customerId).retries += 1;
+}
+
+/**
+ * Records a quota / rate limit error
+ * @param {string} customerId - Customer ID
+ * @param {Object} details - {status, message, retry_delay_ms}
+ */
+function recordQuotaError(customerId, details) {
+  const counters = today();
+  counters.quota_errors += 1;
+  counters.last_quota_error = { customer_id: customerId, at: new Date().toISOString(), ...details };
+  customerUsage(customerId).quota_errors += 1;
+}
+
+/**
+ * Records a request that failed after all retries
+ * @param {string} customerId - Customer ID
+ */
+function recordFailure(customerId) {
+  today().failures += 1;
+  customerUsage(customerId).failures += 1;
+}
+
+/**
+ * Returns the quota status reported by /api/health
+ * @returns {Object} Usage, limit estimate and whether quota errors happened recently
+ */
+function getQuotaStatus() {
+  const counters = today();
+  const limit = parseInt(process.env.GOOGLE_ADS_DAILY_REQUEST_LIMIT, 10) || DEFAULT_DAILY_LIMIT;
+  const lastError = counters.last_quota_error;
+  const developerToken = process.env.GADS_DEVELOPER_TOKEN || process.env.DEVELOPER_TOKEN;
+
+  return {
+    developer_token: developerToken ? maskToken(developerToken) : null,
+    tracking_since: startedAt,
+    day: counters.day,
+    daily_limit: limit,
+    requests_today: counters.requests,
+    remaining_estimate: Math.max(0, limit - counters.requests),
+    retries_today: counters.retries,
+    quota_errors_today: counters.quota_errors,
+    failures_today: counters.failures,
+    rate_limited_recently: Boolean(lastError && Date.now() - Date.parse(lastError.at) < RECENT_QUOTA_ERROR_MS),
+    last_quota_error: lastError,
+    by_customer: counters.by_customer,
+  };
+}
+
+module.exports = {
+  recordRequest,
+  recordRetry,
+  recordQuotaError,
+  recordFailure,
+  getQuotaStatus,
+};
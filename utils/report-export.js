@@ -0,0 +1,239 @@
+// utils/report-export.js
+/**
+ * Shared report export layer (format=json|ndjson|csv|xlsx)
+ * Endpoints build their normal JSON items, then hand rows to sendExport for file formats
+ * (tsv, Google Ads Editor's UTF-16LE tab-separated format, is available to endpoints that ask for it):
+ *   - nested objects are flattened into dotted columns (budget.amount, metrics.clicks)
+ *   - nested lists (ad group -> ads, campaign -> series) become one row per child
+ *   - columns follow the endpoint's declared order, then any extra keys in first-seen order
+ *   - CSV numbers use the requested locale's decimal separator (";" delimiter when it is ",")
+ *   - XLSX cells keep native numbers, so Excel formats them in the analyst's own locale
+ */
+
+const { startNdjsonResponse, writeNdjsonLine } = require('./ndjson');
+
+const EXPORT_FORMATS = ['json', 'ndjson', 'csv', 'xlsx'];
+const DEFAULT_LOCALE = 'en-US';
+const LIST_SEPARATOR = ' | ';
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  tsv: 'text/tab-separated-values; charset=utf-16le',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * Reads format and locale query parameters
+ * @param {Object} query - Request query object
+ * @param {Array<string>} formats - Formats the endpoint supports (default: all)
+ * @returns {{format: string, locale: string, error: string|null}} Parsed parameters or a validation message
+ */
+function parseExportParams(query = {}, formats = EXPORT_FORMATS) {
+  const format = query.format || 'json';
+  const locale = query.locale || DEFAULT_LOCALE;
+
+  if (!formats.includes(format)) {
+    return { format, locale, error: `format must be one of: ${formats.join(', ')}` };
+  }
+
+  let supported = [];
+  try {
+    supported = Intl.NumberFormat.supportedLocalesOf(locale);
+  } catch {
+    // Malformed BCP 47 tag - reported below
+  }
+  if (supported.length === 0) {
+    return { format, locale, error: 'locale must be a supported BCP 47 language tag (e.g. en-US, de-DE)' };
+  }
+
+  return { format, locale: supported[0], error: null };
+}
+
+/**
+ * Flattens nested objects into dotted keys; lists of plain values are joined into one cell
+ * Lists of objects are left out (use flattenNested for those)
+ * @param {Object} record - Item to flatten
+ * @param {string} prefix - Prefix for every key (e.g. "ad.")
+ * @returns {Object} Flat row
+ */
+function flattenRecord(record, prefix = '') {
+  const row = {};
+
+  Object.entries(record || {}).forEach(([key, value]) => {
+    const column = `${prefix}${key}`;
+    if (Array.isArray(value)) {
+      if (value.every(v => v === null || typeof v !== 'object')) row[column] = value.join(LIST_SEPARATOR);
+    } else if (value !== null && typeof value === 'object') {
+      Object.assign(row, flattenRecord(value, `${column}.`));
+    } else {
+      row[column] = value;
+    }
+  });
+
+  return row;
+}
+
+/**
+ * Flattens parent items with a nested child list into one row per child
+ * Parents without children still produce one row (with empty child columns)
+ * @param {Array<Object>} items - Parent items (e.g. ad groups)
+ * @param {string} childKey - Key of the child list (e.g. "ads")
+ * @param {Object} options - {parentPrefix, childPrefix}
+ * @returns {Array<Object>} Flat rows
+ */
+function flattenNested(items, childKey, { parentPrefix = '', childPrefix = `${childKey}.` } = {}) {
+  return items.flatMap(item => {
+    const { [childKey]: children, ...parent } = item;
+    const parentRow = flattenRecord(parent, parentPrefix);
+    if (!Array.isArray(children) || children.length === 0) return [parentRow];
+    return children.map(child => ({ ...parentRow, ...flattenRecord(child, childPrefix) }));
+  });
+}
+
+/**
+ * Orders columns: declared columns first (always present, for stable files), then extras
+ * A null nested object (e.g. budget: null) adds no column of its own when its fields are declared
+ * @param {Array<Object>} rows - Flat rows
+ * @param {Array<string>} declared - Preferred column order
+ * @returns {Array<string>} Column names
+ */
+function orderColumns(rows, declared = []) {
+  const columns = [...declared];
+  const known = new Set(columns);
+  const isDeclaredParent = (key) => declared.some(column => column.startsWith(`${key}.`));
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!known.has(key) && !isDeclaredParent(key)) {
+        known.add(key);
+        columns.push(key);
+      }
+    });
+  });
+  return columns;
+}
+
+/**
+ * Returns the decimal separator used by a locale
+ * @param {string} locale - BCP 47 tag
+ * @returns {string} Separator ("." or ",")
+ */
+function decimalSeparator(locale) {
+  const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(p => p.type === 'decimal');
+  return part ? part.value : '.';
+}
+
+/**
+ * Serializes rows as delimited text with a header row (CRLF line endings)
+ * Cells are quoted only when they contain the delimiter, a quote or a line break
+ * Text that a spreadsheet would read as a formula (=, +, -, @, tab, CR) is prefixed with '
+ * @param {Array<Object>} rows - Flat rows
+ * @param {Array<string>} columns - Column order
+ * @param {string} delimiter - Cell delimiter ("," ";" or "\t")
+ * @param {function(*): *} formatCell - Converts a value before it is written (default: as is)
+ * @returns {string} Delimited text
+ */
+function serializeDelimited(rows, columns, delimiter, formatCell = value => value) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.map(escape).join(delimiter)];
+  const cell = (value) => (typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : formatCell(value));
+  rows.forEach(row => lines.push(columns.map(column => escape(cell(row[column]))).join(delimiter)));
+  return lines.join('\r\n');
+}
+
+/**
+ * Serializes rows as CSV with locale-aware numbers and a UTF-8 BOM (for Excel)
+ * @param {Array<Object>} rows - Flat rows
+ * @param {Array<string>} columns - Column order
+ * @param {string} locale - BCP 47 tag
+ * @returns {string} CSV text
+ */
+function toCsv(rows, columns, locale) {
+  const numberFormat = new Intl.NumberFormat(locale, { useGrouping: false, maximumFractionDigits: 6 });
+  const formatCell = (value) => (typeof value === 'number' && Number.isFinite(value) ? numberFormat.format(value) : value);
+  const delimiter = decimalSeparator(locale) === ',' ? ';' : ',';
+
+  return `\ufeff${serializeDelimited(rows, columns, delimiter, formatCell)}`;
+}
+
+/**
+ * Serializes rows as UTF-16LE tab-separated values with a byte order mark (Google Ads Editor's format)
+ * @param {Array<Object>} rows - Flat rows
+ * @param {Array<string>} columns - Column order
+ * @returns {Buffer} Encoded bytes
+ */
+function toTsv(rows, columns) {
+  return Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(serializeDelimited(rows, columns, '\t'), 'utf16le')]);
+}
+
+/**
+ * Builds an XLSX workbook with a bold, frozen header row
+ * @param {Array<Object>} rows - Flat rows
+ * @param {Array<string>} columns - Column order
+ * @param {string} sheetName - Worksheet name
+ * @returns {Promise<Buffer>} Workbook bytes
+ */
+async function toXlsx(rows, columns, sheetName) {
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName.substring(0, 31), { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  sheet.columns = columns.map(column => ({ header: column, key: column, width: Math.min(Math.max(column.length + 2, 12), 60) }));
+  sheet.getRow(1).font = { bold: true };
+  rows.forEach(row => sheet.addRow(columns.map(column => row[column] ?? null)));
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Sends flat rows in a file or line format (csv, tsv, xlsx or ndjson)
+ * JSON responses stay with the endpoint, which keeps its own envelope and pagination
+ * @param {Object} res - Response object
+ * @param {Object} options - Export settings
+ * @param {string} options.format - csv, tsv, xlsx or ndjson
+ * @param {string} options.locale - Locale for CSV numbers
+ * @param {Array<Object>} options.rows - Flat rows (flattenRecord / flattenNested)
+ * @param {Array<string>} options.columns - Declared column order
+ * @param {string} options.filename - File name without extension
+ * @returns {Promise<void>}
+ */
+async function sendExport(res, { format, locale = DEFAULT_LOCALE, rows, columns = [], filename }) {
+  const orderedColumns = orderColumns(rows, columns);
+
+  if (format === 'ndjson') {
+    startNdjsonResponse(res);
+    for (const row of rows) {
+      if (!(await writeNdjsonLine(res, Object.fromEntries(orderedColumns.map(column => [column, row[column] ?? null]))))) {
+        return;
+      }
+    }
+    res.end();
+    return;
+  }
+
+  let body;
+  if (format === 'xlsx') {
+    body = await toXlsx(rows, orderedColumns, filename);
+  } else if (format === 'tsv') {
+    body = toTsv(rows, orderedColumns);
+  } else {
+    body = toCsv(rows, orderedColumns, locale);
+  }
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.status(200).send(body);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportParams,
+  flattenRecord,
+  flattenNested,
+  sendExport,
+};
@@ -0,0 +1,70 @@
+// utils/report-metrics.js
+/**
+ * Metric aggregation helpers shared by reporting endpoints
+ * Additive metrics (impressions, clicks, conversions, cost_micros, conversions_value) are summed;
+ * derived metrics (ctr, averages, cost) are recalculated with finalizeMetrics
+ */
+
+/**
+ * Builds a zeroed metrics object
+ * @returns {Object} Metrics with all counters at 0
+ */
+function emptyMetrics() {
+  return {
+    impressions: 0,
+    clicks: 0,
+    ctr: 0,
+    average_cpc: 0,
+    conversions: 0,
+    cost_micros: 0,
+    cost: 0,
+    conversions_value: 0,
+    average_cpv: 0,
+  };
+}
+
+/**
+ * Adds the additive metrics of a GAQL row to a metrics object
+ * @param {Object} target - Metrics object to update
+ * @param {Object} r - GAQL result row
+ */
+function addRowMetrics(target, r) {
+  target.impressions += parseInt(r.metrics?.impressions || 0);
+  target.clicks += parseInt(r.metrics?.clicks || 0);
+  target.conversions += parseFloat(r.metrics?.conversions || 0);
+  target.cost_micros += parseInt(r.metrics?.cost_micros || 0);
+  target.conversions_value += parseFloat(r.metrics?.conversions_value || 0);
+}
+
+/**
+ * Adds the additive metrics of one metrics object to another
+ * @param {Object} target - Metrics object to update
+ * @param {Object} source - Metrics object to add
+ */
+function addMetrics(target, source) {
+  target.impressions += source.impressions;
+  target.clicks += source.clicks;
+  target.conversions += source.conversions;
+  target.cost_micros += source.cost_micros;
+  target.conversions_value += source.conversions_value;
+}
+
+/**
+ * Recalculates derived metrics (ctr, averages, cost) from the additive ones
+ * @param {Object} metrics - Metrics object to update
+ * @returns {Object} The same metrics object
+ */
+function finalizeMetrics(metrics) {
+  metrics.ctr = metrics.impressions > 0 ? (metrics.clicks / metrics.impressions) : 0;
+  metrics.average_cpc = metrics.clicks > 0 ? (metrics.cost_micros / metrics.clicks / 1_000_000) : 0;
+  metrics.average_cpv = metrics.clicks > 0 ? (metrics.conversions_value / metrics.clicks) : 0;
+  metrics.cost = metrics.cost_micros / 1_000_000; // Convert micros to currency
+  return metrics;
+}
+
+module.exports = {
+  emptyMetrics,
+  addRowMetrics,
+  addMetrics,
+  finalizeMetrics,
+};
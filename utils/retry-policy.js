@@ -0,0 +1,150 @@
+// utils/retry-policy.js
+/**
+ * Retry policy for Google Ads API calls
+ * Transient failures (429, RESOURCE_EXHAUSTED, 500/502/503/504) are retried with exponential
+ * backoff and full jitter. Retry hints win over the computed delay: the Retry-After header,
+ * google.rpc.RetryInfo.retryDelay and QuotaErrorDetails.retryDelay in the error body.
+ * A hint longer than the maximum delay (e.g. an exhausted daily quota) is not waited out.
+ *
+ * Environment:
+ *   GOOGLE_ADS_MAX_RETRIES       retries after the first attempt (default 3)
+ *   GOOGLE_ADS_RETRY_BASE_MS     first backoff step (default 500)
+ *   GOOGLE_ADS_RETRY_MAX_MS      longest single wait (default 30000)
+ */
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_RPC_STATUSES = ['RESOURCE_EXHAUSTED', 'UNAVAILABLE', 'INTERNAL', 'DEADLINE_EXCEEDED'];
+
+/**
+ * Reads a non-negative integer setting from the environment
+ * @param {string} name - Variable name
+ * @param {number} defaultValue - Value when unset or invalid
+ * @returns {number} Setting
+ */
+function readIntEnv(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : defaultValue;
+}
+
+/**
+ * Returns the current retry settings
+ * @returns {{maxRetries: number, baseDelayMs: number, maxDelayMs: number}} Settings
+ */
+function getRetryConfig() {
+  return {
+    maxRetries: readIntEnv('GOOGLE_ADS_MAX_RETRIES', 3),
+    baseDelayMs: readIntEnv('GOOGLE_ADS_RETRY_BASE_MS', 500),
+    maxDelayMs: readIntEnv('GOOGLE_ADS_RETRY_MAX_MS', 30000),
+  };
+}
+
+/**
+ * Parses a protobuf Duration string ("30s", "1.5s") into milliseconds
+ * @param {string|Object} duration - Duration string or {seconds, nanos}
+ * @returns {number|null} Milliseconds
+ */
+function parseDuration(duration) {
+  if (typeof duration === 'string') {
+    const match = duration.match(/^(\d+(?:\.\d+)?)s$/);
+    return match ? Math.round(parseFloat(match[1]) * 1000) : null;
+  }
+  if (duration && typeof duration === 'object') {
+    return Math.round((Number(duration.seconds || 0) + Number(duration.nanos || 0) / 1e9) * 1000);
+  }
+  return null;
+}
+
+/**
+ * Parses a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Milliseconds
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Finds a retry delay hint in a Google error body
+ * @param {Object} body - Parsed error body ({error: {details: [...]}})
+ * @returns {number|null} Milliseconds
+ */
+function findRetryDelayHint(body) {
+  const details = body?.error?.details;
+  if (!Array.isArray(details)) return null;
+
+  for (const detail of details) {
+    if (String(detail['@type'] || '').endsWith('google.rpc.RetryInfo')) {
+      const delay = parseDuration(detail.retryDelay);
+      if (delay !== null) return delay;
+    }
+    for (const error of detail.errors || []) {
+      const delay = parseDuration(error.details?.quotaErrorDetails?.retryDelay);
+      if (delay !== null) return delay;
+    }
+  }
+  return null;
+}
+
+/**
+ * Tells whether a failed response is a quota / rate limit error
+ * @param {number} status - HTTP status
+ * @param {Object} body - Parsed error body
+ * @returns {boolean} True for 429 and RESOURCE_EXHAUSTED
+ */
+function isQuotaError(status, body) {
+  return status === 429 || body?.error?.status === 'RESOURCE_EXHAUSTED';
+}
+
+/**
+ * Tells whether a failed response is worth retrying
+ * Non-idempotent calls (mutates) are only retried on quota errors, which Google rejects before applying
+ * @param {number} status - HTTP status
+ * @param {Object} body - Parsed error body
+ * @param {boolean} idempotent - Whether repeating the call is safe after a server error
+ * @returns {boolean} True if the call may be retried
+ */
+function isRetryable(status, body, idempotent = true) {
+  if (isQuotaError(status, body)) return true;
+  if (!idempotent) return false;
+  return RETRYABLE_STATUSES.includes(status) || RETRYABLE_RPC_STATUSES.includes(body?.error?.status);
+}
+
+/**
+ * Computes the wait before the next attempt
+ * @param {number} attempt - Retry number (0 for the first retry)
+ * @param {Object} hints - {retryAfter: header value, body: parsed error body}
+ * @param {Object} config - Settings from getRetryConfig
+ * @returns {{delayMs: number, hinted: boolean}} Delay and whether it came from the server
+ */
+function computeRetryDelay(attempt, { retryAfter = null, body = null } = {}, config = getRetryConfig()) {
+  const hint = parseRetryAfter(retryAfter) ?? findRetryDelayHint(body);
+  if (hint !== null) return { delayMs: hint, hinted: true };
+
+  // Full jitter: uniform between 0 and the exponential ceiling
+  const ceiling = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** attempt);
+  return { delayMs: Math.round(Math.random() * ceiling), hinted: false };
+}
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  getRetryConfig,
+  parseDuration,
+  parseRetryAfter,
+  findRetryDelayHint,
+  isQuotaError,
+  isRetryable,
+  computeRetryDelay,
+  sleep,
+};
@@ -0,0 +1,80 @@
+// utils/search-stream-parser.js
+/**
+ * Incremental parser for googleAds:searchStream responses
+ * The REST searchStream body is one JSON array of batches ([{results: [...]}, ...])
+ * delivered in chunks, so elements are emitted as soon as each one is complete
+ */
+
+/**
+ * Creates a parser that accepts text chunks of a top-level JSON array
+ * and returns each array element once it has been fully received
+ * @returns {{push: function(string): Array, end: function(): void}} Parser instance
+ */
+function createJsonArrayParser() {
+  let buffer = '';
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let elementStart = -1;
+
+  return {
+    /**
+     * Feeds a chunk of text into the parser
+     * @param {string} text - Next chunk of the response body
+     * @returns {Array} Elements completed by this chunk
+     */
+    push(text) {
+      const elements = [];
+      const offset = buffer.length;
+      buffer += text;
+
+      for (let i = offset; i < buffer.length; i++) {
+        const ch = buffer[i];
+
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (ch === '\\') escaped = true;
+          else if (ch === '"') inString = false;
+          continue;
+        }
+
+        if (ch === '"') {
+          inString = true;
+        } else if (ch === '{' || ch === '[') {
+          if (depth === 1) elementStart = i;
+          depth++;
+        } else if (ch === '}' || ch === ']') {
+          depth--;
+          if (depth === 1 && elementStart !== -1) {
+            elements.push(JSON.parse(buffer.slice(elementStart, i + 1)));
+            elementStart = -1;
+          }
+        }
+      }
+
+      // Keep only the partial element (if any) to bound memory use
+      if (elementStart === -1) {
+        buffer = '';
+      } else {
+        buffer = buffer.slice(elementStart);
+        elementStart = 0;
+      }
+
+      return elements;
+    },
+
+    /**
+     * Signals the end of the body
+     * @throws {Error} If the array was not closed or an element was cut off
+     */
+    end() {
+      if (depth !== 0 || elementStart !== -1) {
+        throw new Error('searchStream response ended before the JSON array was complete');
+      }
+    },
+  };
+}
+
+module.exports = {
+  createJsonArrayParser,
+};
@@ -0,0 +1,157 @@
+// utils/token-store.js
+/**
+ * Access token cache
+ * Keeps OAuth access tokens between requests so each refresh token is exchanged about once an hour.
+ * Entries are keyed by a SHA-256 hash of the refresh token, never by the token itself.
+ *
+ * Backend is selected with TOKEN_CACHE_STORE:
+ *   memory  per instance, lost on cold start (default)
+ *   file    TOKEN_CACHE_PATH (default .data/token-cache.json), for local development
+ *   redis   REDIS_URL (default redis://127.0.0.1:6379), shared by every instance
+ * Entries in file and redis stores are encrypted with the credential vault key (CREDENTIAL_VAULT_KEY).
+ * Any store implementing get/set/delete/list can be plugged in with setTokenStore.
+ *
+ * Concurrent refreshes of the same refresh token within an instance share one request to Google.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createMemoryStore, createFileStore, createRedisStore } = require('./kv-store');
+const { encryptSecret, decryptSecret } = require('./credential-vault');
+const { logger } = require('./logger');
+
+const KEY_PREFIX = 'access-token:';
+const DEFAULT_FILE_PATH = path.join(process.cwd(), '.data', 'token-cache.json');
+const DEFAULT_REDIS_URL = 'redis://127.0.0.1:6379';
+
+// Tokens are dropped this long before Google's expiry so a request never starts with an expiring token
+const EXPIRY_MARGIN_SECONDS = 300;
+
+let store = null;
+let encryptEntries = false;
+const pendingRefreshes = new Map();
+
+/**
+ * Returns the configured token store, creating it on first use
+ * @returns {Object} Store with get/set/delete/list
+ */
+function getTokenStore() {
+  if (!store) {
+    const backend = (process.env.TOKEN_CACHE_STORE || 'memory').toLowerCase();
+    if (backend === 'memory') {
+      store = createMemoryStore();
+    } else if (backend === 'file') {
+      store = createFileStore(process.env.TOKEN_CACHE_PATH || DEFAULT_FILE_PATH);
+    } else if (backend === 'redis') {
+      store = createRedisStore(process.env.REDIS_URL || DEFAULT_REDIS_URL);
+    } else {
+      throw new Error(`Unsupported TOKEN_CACHE_STORE backend: ${backend}`);
+    }
+    encryptEntries = backend !== 'memory';
+  }
+  return store;
+}
+
+/**
+ * Replaces the token store (e.g. with a shared KV implementation)
+ * @param {Object} customStore - Store with get/set/delete/list
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.encrypt - Encrypt access tokens before storing them (default true)
+ */
+function setTokenStore(customStore, { encrypt = true } = {}) {
+  store = customStore;
+  encryptEntries = encrypt;
+  pendingRefreshes.clear();
+}
+
+/**
+ * Derives the cache key of a refresh token
+ * @param {string} refreshToken - OAuth refresh token
+ * @returns {string} Key containing the SHA-256 hash of the token
+ */
+function buildTokenKey(refreshToken) {
+  return KEY_PREFIX + crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Returns a cached access token that is still valid
+ * Store failures are logged and treated as a cache miss
+ * @param {string} refreshToken - OAuth refresh token
+ * @returns {Promise<string|null>} Access token, or null if none is cached
+ */
+async function getCachedAccessToken(refreshToken) {
+  const tokenStore = getTokenStore();
+  try {
+    const entry = await tokenStore.get(buildTokenKey(refreshToken));
+    if (!entry || Date.now() >= entry.expires_at) return null;
+    return entry.encrypted ? decryptSecret(entry.access_token) : entry.access_token;
+  } catch (err) {
+    logger.warn('Access token cache read failed', { error: err });
+    return null;
+  }
+}
+
+/**
+ * Stores an access token until shortly before it expires
+ * @param {string} refreshToken - OAuth refresh token it was issued for
+ * @param {string} accessToken - OAuth access token
+ * @param {number} expiresIn - Lifetime in seconds, as returned by Google
+ * @returns {Promise<void>}
+ */
+async function cacheAccessToken(refreshToken, accessToken, expiresIn) {
+  const ttlSeconds = Math.max(0, expiresIn - EXPIRY_MARGIN_SECONDS);
+  if (ttlSeconds === 0) return;
+
+  const tokenStore = getTokenStore();
+  try {
+    await tokenStore.set(buildTokenKey(refreshToken), {
+      access_token: encryptEntries ? encryptSecret(accessToken) : accessToken,
+      encrypted: encryptEntries,
+      expires_at: Date.now() + ttlSeconds * 1000,
+    }, { ttlSeconds });
+  } catch (err) {
+    logger.warn('Access token cache write failed', { error: err });
+  }
+}
+
+/**
+ * Drops the cached access token of a refresh token (after a 401, a revocation or invalid_grant)
+ * @param {string} refreshToken - OAuth refresh token
+ * @returns {Promise<void>}
+ */
+async function dropCachedAccessToken(refreshToken) {
+  const tokenStore = getTokenStore();
+  try {
+    await tokenStore.delete(buildTokenKey(refreshToken));
+  } catch (err) {
+    logger.warn('Access token cache delete failed', { error: err });
+  }
+}
+
+/**
+ * Runs a token refresh, sharing it with concurrent callers for the same refresh token
+ * @param {string} refreshToken - OAuth refresh token
+ * @param {function(): Promise<string>} refresh - Exchanges the refresh token for an access token
+ * @returns {Promise<string>} Access token
+ */
+function dedupeRefresh(refreshToken, refresh) {
+  const key = buildTokenKey(refreshToken);
+  const pending = pendingRefreshes.get(key);
+  if (pending) {
+    logger.debug('Waiting for an access token refresh already in progress');
+    return pending;
+  }
+
+  const run = refresh().finally(() => pendingRefreshes.delete(key));
+  pendingRefreshes.set(key, run);
+  return run;
+}
+
+module.exports = {
+  getTokenStore,
+  setTokenStore,
+  getCachedAccessToken,
+  cacheAccessToken,
+  dropCachedAccessToken,
+  dedupeRefresh,
+};